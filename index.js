@@ -1,18 +1,63 @@
+import crypto from 'node:crypto';
 import dotenv from 'dotenv';
 import Fastify from 'fastify';
 import fastifyFormBody from '@fastify/formbody';
 import fastifyWs from '@fastify/websocket';
 import { z } from 'zod';
 import nodemailer from 'nodemailer';
-+ import twilio from 'twilio';
+import twilio from 'twilio';
 import Stripe from 'stripe';
 // Import OpenAI realtime agent classes and Twilio transport layer.  These packages
 // are not bundled with this repository by default – see package.json for
 // dependencies and install them locally via `npm install`.
 // correct
 import { RealtimeAgent, RealtimeSession } from '@openai/agents/realtime';
-import { tool } from '@openai/agents';
+import { Agent, Runner, assistant, system, tool, user } from '@openai/agents';
 import { TwilioRealtimeTransportLayer } from '@openai/agents-extensions';
+import {
+  loadGuardrailConfig,
+  createOutputGuardrails,
+  historyHasDisclaimer,
+} from './src/guardrails.js';
+import {
+  publicRequestUrl,
+  createTwilioSignatureHook,
+  createStreamTokens,
+} from './src/twilioSecurity.js';
+import { waitForStreamStart, renderStreamParameters, escapeXml } from './src/twilioStream.js';
+import { openDatabase } from './src/db.js';
+import { createCallStore } from './src/callStore.js';
+import { adminRoutes } from './src/adminRoutes.js';
+import { createWarmTransfer } from './src/warmTransfer.js';
+import { createVoicemail } from './src/voicemail.js';
+import { createTranscriber } from './src/transcription.js';
+import { createBusinessHours } from './src/businessHours.js';
+import { createBookingStore } from './src/bookingStore.js';
+import { createPaymentStore } from './src/paymentStore.js';
+import { stripeWebhookRoutes, startOverduePaymentSweep } from './src/stripePayments.js';
+import {
+  createCalendlyScheduler,
+  createStubScheduler,
+  formatSlot,
+  startOfOfficeDay,
+  OFFICE_TIME_ZONE,
+} from './src/scheduler.js';
+import { loadTenants, createTenantDirectory, renderTemplate, callerLanguage } from './src/tenants.js';
+import { LANGUAGES, agreesToRecording, formatAppointmentTime } from './src/languages.js';
+import { createKnowledgeBase } from './src/knowledgeBase.js';
+import { createSmsStore } from './src/smsStore.js';
+import { createSmsChannel } from './src/smsChannel.js';
+import { createTranscript } from './src/transcript.js';
+import { createCallSummarizer } from './src/callSummary.js';
+import { buildCallReport } from './src/callReport.js';
+import { createRedactor, loadRedactionPolicy } from './src/redaction.js';
+import { normalizeToolInput } from './src/toolInputs.js';
+import { createClientDirectory, loadClientList } from './src/clientDirectory.js';
+import { createReminderStore } from './src/reminderStore.js';
+import { createReminderScheduler } from './src/reminders.js';
+import { createOutboxStore } from './src/outboxStore.js';
+import { createOutbox, postJson } from './src/outbox.js';
+import { createDataRetention } from './src/retention.js';
 
 // Load environment variables from the `.env` file.  See `.env.example` for the
 // variables required to run this application.
@@ -21,29 +66,43 @@ dotenv.config();
 // Destructure the configuration from process.env.  These environment
 // variables can be supplied via a `.env` file or directly in the execution
 // environment (e.g. on Vercel).  For security, never commit secrets to
-// version control.
+// version control.  Settings that belong to a firm (email, SMTP, Calendly,
+// Stripe, transfer numbers) live in its tenant profile under
+// `config/tenants/`, which may in turn reference environment variables.
 const {
   PORT,
   OPENAI_API_KEY,
-  LAW_FIRM_EMAIL,
-  ESCALATION_EMAIL,
-  SMTP_HOST,
-  SMTP_PORT,
-  SMTP_USER,
-  SMTP_PASS,
-  HUMAN_PHONE_NUMBER,
   TWILIO_ACCOUNT_SID,
   TWILIO_AUTH_TOKEN,
-  TWILIO_FROM_NUMBER,
-  // Calendly configuration
-  CALENDLY_PERSONAL_ACCESS_TOKEN,
-  CALENDLY_FREE_PHONE_LINK,
-  CALENDLY_FREE_ZOOM_LINK,
-  CALENDLY_PAID_ZOOM_LINK,
-  CALENDLY_PAID_IN_PERSON_LINK,
-  // Stripe configuration
-  STRIPE_SECRET_KEY,
-  STRIPE_PRICE_ID_60_MIN,
+  // Webhook security
+  PUBLIC_BASE_URL,
+  TWILIO_VALIDATE_SIGNATURES,
+  STREAM_TOKEN_SECRET,
+  STREAM_TOKEN_TTL_SECONDS,
+  // Firm profiles (defaults to config/tenants)
+  TENANTS_DIR,
+  // Guardrail rules (defaults to config/guardrails.json)
+  GUARDRAILS_CONFIG,
+  // Redaction policy (defaults to config/redaction.json)
+  REDACTION_CONFIG,
+  // Set to false to skip the DNS check on client email domains
+  EMAIL_DNS_CHECK,
+  // Call records and admin API
+  DATABASE_PATH,
+  ADMIN_API_TOKEN,
+  // Post-call summaries (defaults to the Agents SDK default model)
+  CALL_SUMMARY_MODEL,
+  // SMS conversations
+  SMS_MODEL,
+  SMS_IDLE_TIMEOUT_MINUTES,
+  // Notification outbox (defaults to 8 attempts per message)
+  OUTBOX_MAX_ATTEMPTS,
+  // Days to keep transcripts and client data (kept forever when unset)
+  DATA_RETENTION_DAYS,
+  // Voicemail transcription (openai, command or none; defaults to openai)
+  VOICEMAIL_TRANSCRIPTION,
+  VOICEMAIL_TRANSCRIPTION_MODEL,
+  VOICEMAIL_TRANSCRIBE_COMMAND,
 } = process.env;
 
 // Basic sanity check for the API key.  If the OPENAI_API_KEY is missing the
@@ -53,19 +112,38 @@ if (!OPENAI_API_KEY) {
   process.exit(1);
 }
 
-// Configure an SMTP transporter using nodemailer.  The SMTP credentials
-// determine where the call transcripts and tool outputs are delivered.  Use a
-// dedicated mailbox for outgoing mail (e.g. SendGrid, Gmail, or another
-// provider).  If your provider requires TLS, set `secure: true` and
-// configure the appropriate port (usually 465).
-const transporter = nodemailer.createTransport({
-  host: SMTP_HOST,
-  port: SMTP_PORT ? parseInt(SMTP_PORT) : 587,
-  secure: false,
-  auth: {
-    user: SMTP_USER,
-    pass: SMTP_PASS,
-  },
+// Card numbers, SSNs, bank details and dates of birth that callers read out
+// are masked in transcripts, tool records, every email and text message, and
+// the server logs.  See src/redaction.js for what is detected.
+const redactor = createRedactor(
+  loadRedactionPolicy(REDACTION_CONFIG || new URL('./config/redaction.json', import.meta.url))
+);
+redactor.installOnConsole();
+
+// Local SQLite database holding a record of every call.  The admin API reads
+// from the same store.
+const db = openDatabase(DATABASE_PATH || 'data/assistant.db');
+const callStore = createCallStore(db);
+const bookingStore = createBookingStore(db);
+const paymentStore = createPaymentStore(db);
+// Returning clients, recognised by their phone number; see
+// src/clientDirectory.js.
+const clientDirectory = createClientDirectory(db);
+const reminderStore = createReminderStore(db);
+const outboxStore = createOutboxStore(db);
+
+// Deletes transcripts and client data past DATA_RETENTION_DAYS, and
+// everything held about a client on request through the admin API; see
+// src/retention.js.
+const retention = createDataRetention({
+  db,
+  callStore,
+  bookingStore,
+  paymentStore,
+  reminderStore,
+  outboxStore,
+  clientDirectory,
+  retentionDays: DATA_RETENTION_DAYS ? parseInt(DATA_RETENTION_DAYS) : null,
 });
 
 // Optional Twilio client used to perform outbound calls when handing off to a
@@ -79,14 +157,98 @@ if (TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN) {
 twilioClient = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
 }
 
-// Optional Stripe client used to generate payment links for paid consultations.
-// The Stripe secret key and price ID must be provided via environment
-// variables.  When configured, the `book_consultation` tool will create
-// checkout links for the $500 consultation.
-let stripeClient = null;
-if (STRIPE_SECRET_KEY) {
-  stripeClient = new Stripe(STRIPE_SECRET_KEY, { apiVersion: '2022-11-15' });
+// Send a text message from one of the firm's Twilio numbers.  Throws when
+// Twilio is not configured so callers can report that the SMS was not sent.
+async function sendSms(to, body, from) {
+  if (!twilioClient || !from) {
+    throw new Error('Twilio SMS is not configured');
+  }
+  await twilioClient.messages.create({ from, to, body: redactor.redact(body) });
+}
+
+// How each kind of voicemail is introduced in the email to the firm.  The
+// kind is set by whichever flow sent the caller to voicemail.
+const VOICEMAIL_KINDS = {
+  'after-hours': {
+    subject: 'After-hours voicemail',
+    intro: 'A caller left a voicemail while the office was closed.',
+  },
+  'missed-transfer': {
+    subject: 'Voicemail after missed transfer',
+    intro: 'A caller could not be reached by a human during a transfer and left a voicemail.',
+  },
+  'session-failed': {
+    subject: 'Voicemail after assistant failure',
+    intro: 'The virtual receptionist could not be started for this call, so the caller was sent to voicemail.',
+  },
+  requested: {
+    subject: 'Voicemail',
+    intro: 'A caller asked the virtual receptionist to leave a message.',
+  },
+};
+
+// Voicemail for callers who cannot speak to a person.  Recordings are
+// transcribed by the provider chosen with VOICEMAIL_TRANSCRIPTION and emailed,
+// with the transcript, to the firm that took the call.
+const voicemail = createVoicemail({
+  twilioClient,
+  transcriber: createTranscriber({
+    provider: VOICEMAIL_TRANSCRIPTION || 'openai',
+    openaiApiKey: OPENAI_API_KEY,
+    model: VOICEMAIL_TRANSCRIPTION_MODEL || undefined,
+    command: VOICEMAIL_TRANSCRIBE_COMMAND,
+    twilioAuth: { accountSid: TWILIO_ACCOUNT_SID, authToken: TWILIO_AUTH_TOKEN },
+  }),
+  onVoicemail: async ({ from, recordingUrl, durationSeconds, transcript, details }) => {
+    const tenant = tenants.get(details?.tenantId);
+    const recipient = tenant.emails.escalation || tenant.emails.lawFirm;
+    if (!firmIsNotified(tenant, recipient)) return;
+    const kind = VOICEMAIL_KINDS[details?.kind] ?? VOICEMAIL_KINDS['missed-transfer'];
+    let text = `${kind.intro}\n\nCaller ID: ${from}\nRecording (${durationSeconds}s): ${recordingUrl}\n`;
+    if (details?.topic) {
+      text += `Topic: ${details.topic}\n`;
+    }
+    if (details?.reason) {
+      text += `\nEscalation reason: ${details.reason}\nName: ${details.clientName}\nPhone: ${details.clientPhone}\nEmail: ${details.clientEmail}\n`;
+    }
+    text += `\nTranscript:\n${transcript ?? '(not available; please listen to the recording)'}\n`;
+    tenant.notifyFirm({
+      event: 'voicemail',
+      to: recipient,
+      subject: `${kind.subject} from ${details?.clientName || from}`,
+      text,
+      data: { kind: details?.kind ?? 'missed-transfer', from, recordingUrl, durationSeconds },
+    });
+  },
+});
+
+// Live warm transfers to the firm's human number.  Requires the Twilio
+// client; when it is not configured escalation falls back to email only.  If
+// nobody picks up, the caller is offered voicemail.
+const warmTransfer = createWarmTransfer({ twilioClient, voicemail });
+
+// Twilio webhook verification.  Signature checks are on unless explicitly
+// disabled for local testing; without TWILIO_AUTH_TOKEN every Twilio route
+// answers 403 rather than running unauthenticated.
+const verifyTwilioSignature = createTwilioSignatureHook({
+  authToken: TWILIO_AUTH_TOKEN,
+  publicBaseUrl: PUBLIC_BASE_URL,
+  enabled: TWILIO_VALIDATE_SIGNATURES !== 'false',
+});
+if (TWILIO_VALIDATE_SIGNATURES === 'false') {
+  console.warn('Twilio signature validation is disabled (TWILIO_VALIDATE_SIGNATURES=false).');
 }
+const streamTokens = createStreamTokens({
+  secret: STREAM_TOKEN_SECRET || TWILIO_AUTH_TOKEN,
+  ttlSeconds: STREAM_TOKEN_TTL_SECONDS ? parseInt(STREAM_TOKEN_TTL_SECONDS) : 120,
+});
+
+// Output guardrail rules.  These are loaded once at startup so a malformed
+// config file stops the server instead of silently disabling the checks.
+const guardrailConfig = loadGuardrailConfig(
+  GUARDRAILS_CONFIG || new URL('./config/guardrails.json', import.meta.url)
+);
+const outputGuardrails = createOutputGuardrails(guardrailConfig);
 
 /*
  * Tool definitions
@@ -95,7 +257,11 @@ if (STRIPE_SECRET_KEY) {
  * definitions.  Each tool is declared with a name, description, parameter
  * schema using zod and an async execute function.  When the model
  * determines a tool call is appropriate it will call the execute function
- * with validated inputs.
+ * with validated inputs.  The tools are shared by every tenant and by both
+ * channels; each conversation's tenant (with its email, Stripe and Calendly
+ * settings) is on the context as `runContext.context.tenant`, and
+ * `runContext.context.channel` says whether it is a live call (`voice`) or a
+ * text conversation (`sms`).
  */
 
 // Schedule an appointment with the legal team.  In this example the tool
@@ -106,56 +272,287 @@ const scheduleAppointmentTool = tool({
   parameters: z.object({
     date: z
       .string()
-      .describe('Desired appointment date in YYYY-MM-DD format.'),
+      .describe('Desired appointment date, as YYYY-MM-DD or as the caller said it (e.g. "next Tuesday").'),
     time: z
       .string()
-      .describe('Desired appointment time (e.g. "15:00" or "3pm").'),
+      .describe('Desired appointment time with AM or PM (e.g. "3pm") or in 24-hour form ("15:00").'),
     clientName: z
       .string()
       .describe('Name of the client requesting the appointment.'),
   }),
-  execute: async ({ date, time, clientName }) => {
+  execute: async (rawInput, runContext) => {
+    const normalized = await normalizeInput(rawInput, runContext);
+    if (normalized.error) return normalized.error;
+    const { date, time, clientName } = normalized.input;
+    const { tenant } = runContext.context;
+    const requestedTime = describeBookingTime({ date, time });
     const subject = `Appointment request from ${clientName}`;
-    const body = `Client ${clientName} has requested an appointment on ${date} at ${time}.`;
-    if (LAW_FIRM_EMAIL) {
-      await transporter.sendMail({
-        from: SMTP_USER,
-        to: LAW_FIRM_EMAIL,
-        subject,
-        text: body,
+    const body = `Client ${clientName} has requested an appointment on ${requestedTime}.`;
+    tenant.notifyFirm({ event: 'appointment_request', subject, text: body, data: { clientName, date, time } });
+    return `Your appointment request for ${requestedTime} has been recorded. Our team will follow up to confirm availability.`;
+  },
+});
+
+const consultationTypeSchema = z
+  .enum([
+    'free_phone',
+    'free_zoom',
+    'paid_zoom',
+    'paid_in_person',
+  ])
+  .describe(
+    'Type of consultation requested: "free_phone" for a 15‑minute phone call, "free_zoom" for a 15‑minute Zoom call, "paid_zoom" for a 1‑hour Zoom consultation, or "paid_in_person" for a 1‑hour in‑person meeting.  Paid options cost the fee given in your instructions.'
+  );
+
+// How many open times `check_availability` reads out at once.
+const MAX_OFFERED_SLOTS = 6;
+
+// Look up real open times for a consultation type so the agent can offer the
+// caller a slot that actually exists.
+const checkAvailabilityTool = tool({
+  name: 'check_availability',
+  description:
+    'Look up open consultation times on the firm’s calendar for the next week, starting from a given date.  Times are in Pacific time.',
+  parameters: z.object({
+    consultationType: consultationTypeSchema,
+    fromDate: z
+      .string()
+      .nullable()
+      .describe('Earliest date the caller is interested in, as YYYY-MM-DD or as the caller said it (e.g. "next Tuesday"), or null for today.'),
+  }),
+  execute: async (rawInput, runContext) => {
+    const { scheduler } = runContext.context.tenant;
+    if (!scheduler) {
+      return 'Live availability is not available.  Ask the caller for a preferred date and time; the confirmation email will include a link to pick a confirmed time.';
+    }
+    const normalized = await normalizeInput(rawInput, runContext);
+    if (normalized.error) return normalized.error;
+    const { consultationType, fromDate } = normalized.input;
+    const now = new Date();
+    const start = fromDate ? new Date(Math.max(startOfOfficeDay(fromDate).getTime(), now.getTime())) : now;
+    let slots;
+    try {
+      slots = await scheduler.findAvailableSlots(consultationType, {
+        start,
+        end: new Date(start.getTime() + 7 * 24 * 60 * 60 * 1000),
       });
+    } catch (error) {
+      console.error('Error checking availability:', error);
+      return 'The calendar could not be reached.  Ask the caller for a preferred date and time; the confirmation email will include a link to pick a confirmed time.';
     }
-    return `Your appointment request for ${date} at ${time} has been recorded. Our team will follow up to confirm availability.`;
+    if (slots.length === 0) {
+      return 'There are no open times in that week.  Offer to check the following week.';
+    }
+    const offered = slots
+      .slice(0, MAX_OFFERED_SLOTS)
+      .map((slot) => `${formatSlot(slot.startTime)} (slotStartTime ${slot.startTime})`);
+    return `Open times, Pacific time: ${offered.join('; ')}.  Offer the caller a few of these and pass the chosen slotStartTime to book_consultation.`;
   },
 });
 
+// Check that a slot offered by `check_availability` is still open and reserve
+// it.  Returns `{ bookingUrl, startTime }`, `{ error }` with a message for the
+// agent, or null when the slot could not be reserved and the static link
+// should be used instead.
+async function reserveChosenSlot(scheduler, consultationType, slotStartTime, invitee) {
+  const requested = new Date(slotStartTime);
+  if (Number.isNaN(requested.getTime())) {
+    return {
+      error: 'That slotStartTime was not recognised.  Use check_availability again and pass one of the slotStartTime values it returns.',
+    };
+  }
+  try {
+    const open = await scheduler.findAvailableSlots(consultationType, {
+      start: new Date(requested.getTime() - 60 * 1000),
+      end: new Date(requested.getTime() + 60 * 1000),
+    });
+    if (!open.some((slot) => slot.startTime === requested.toISOString())) {
+      return {
+        error: `${formatSlot(requested)} is no longer available.  Use check_availability again and offer the caller another time.`,
+      };
+    }
+    return await scheduler.reserveSlot(consultationType, { startTime: requested.toISOString(), invitee });
+  } catch (error) {
+    console.error('Error reserving consultation slot:', error);
+    return null;
+  }
+}
+
+// A consultation type in words, in English unless a language is given.
+function describeConsultation(consultationType, language = 'en') {
+  const { consultations } = LANGUAGES[language];
+  return consultations[consultationType] ?? consultations.paid_in_person;
+}
+
+// A booking's time as read to the caller, e.g. "Tuesday, October 20 at 3:00
+// PM".  Requests made before dates and times were normalised are shown as
+// they were given.  Other languages are for client emails; see
+// src/languages.js.
+function describeBookingTime(booking, language = 'en') {
+  if (language !== 'en') return formatAppointmentTime(booking, language);
+  const { scheduledStart, date, time } = booking;
+  if (scheduledStart) return `${formatSlot(scheduledStart)} ${LANGUAGES.en.phrases.timeZone}`;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !/^\d{2}:\d{2}$/.test(time)) return `${date} at ${time}`;
+  const day = new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+  });
+  const [hours, minutes] = time.split(':').map(Number);
+  return `${day} at ${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+// US dollar amount as spoken and written to clients, e.g. "$500" or "$49.50".
+function formatPrice(amount) {
+  return Number.isInteger(amount) ? `$${amount}` : `$${amount.toFixed(2)}`;
+}
+
+// Placeholders every tenant email template may use.
+function firmTemplateValues(tenant) {
+  return { firmName: tenant.firm.name, signature: firmSignature(tenant) };
+}
+
+function firmSignature(tenant) {
+  return tenant.firm.signature ?? tenant.firm.name;
+}
+
+// Tells the agent to answer in the language the caller picked, since they
+// have only heard the greeting in it so far.
+function languageInstructions(code) {
+  if (!code) return '';
+  const { name } = LANGUAGES[code];
+  return `• **Language:** The caller chose ${name} in the phone menu and was greeted in ${name}.  Speak ${name} from your first reply, and only switch if the caller asks to or speaks another language.`;
+}
+
+// Confirmation codes are read back one character at a time.
+function spellOut(code) {
+  return code.split('').join(' ');
+}
+
+const ALWAYS_OPEN = { open: true, reason: 'open', note: null, until: null, reopens: null };
+
+// Whether the tenant's office is open at `now`; see src/businessHours.js.
+// Firms without configured hours are always open.
+function officeStatus(tenant, now = new Date()) {
+  return tenant.businessHours?.statusAt(now) ?? ALWAYS_OPEN;
+}
+
+// Live transfers only happen while the office is open, unless the firm has
+// someone on call out of hours.
+function liveTransferOffered(tenant, status) {
+  return status.open || Boolean(tenant.hours?.afterHours.liveTransfer);
+}
+
+// When the office reopens, e.g. "tomorrow at 9:00 AM Pacific Time".
+// In English unless another caller language is given, e.g. "mañana a las
+// 9:00, hora del Pacífico".
+function describeReopening(tenant, status, code = 'en') {
+  if (code === 'en') {
+    return status.reopens ? `${status.reopens} ${tenant.businessHours.timeZoneName}` : 'on the next business day';
+  }
+  const { locale, phrases } = LANGUAGES[code];
+  if (!status.reopensAt) return phrases.nextBusinessDay;
+  const { day, time } = status.reopensAt;
+  const tomorrow = new Date(`${status.day}T12:00:00Z`);
+  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+  const date = new Date(`${day}T12:00:00Z`).toLocaleDateString(locale, {
+    timeZone: 'UTC',
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+  });
+  const timeZone = new Intl.DateTimeFormat(locale, { timeZone: tenant.businessHours.timeZone, timeZoneName: 'longGeneric' })
+    .formatToParts(new Date())
+    .find((part) => part.type === 'timeZoneName').value;
+  return renderTemplate(phrases.reopens, {
+    day:
+      day === status.day
+        ? phrases.today
+        : day === tomorrow.toISOString().slice(0, 10)
+        ? phrases.tomorrow
+        : renderTemplate(phrases.onDate, { date }),
+    time: time.replace(/^0/, ''),
+    timeZone,
+  });
+}
+
+// The after-hours greeting in the caller's language.
+function afterHoursGreeting(tenant, language, status) {
+  const closedFor = !status.note
+    ? ''
+    : language.code === 'en'
+    ? ` for ${status.note}`
+    : renderTemplate(LANGUAGES[language.code].phrases.closedFor, { note: status.note });
+  return renderTemplate(language.afterHoursGreeting, {
+    firmName: tenant.firm.name,
+    closedFor,
+    reopens: describeReopening(tenant, status, language.code),
+  });
+}
+
+// Office status added to the agent instructions when each call starts, so
+// the agent does not promise a same-day callback or a transfer at 11pm.
+function officeStatusInstructions(tenant) {
+  if (!tenant.businessHours) return '';
+  const status = officeStatus(tenant);
+  if (status.open) {
+    return `• **Office status:** The office is open now, until ${status.until} ${tenant.businessHours.timeZoneName}, so the team can follow up today.`;
+  }
+  const closedFor = status.note ? ` for ${status.note}` : '';
+  const transfer = liveTransferOffered(tenant, status)
+    ? `'escalate_to_human' may still reach someone on call, but do not promise it.`
+    : `Nobody is available for a live transfer; 'escalate_to_human' passes the request on by email instead.`;
+  return `• **Office status:** The office is closed right now${closedFor} and reopens ${describeReopening(tenant, status)}.  Do not promise a same-day callback; tell callers the team will follow up after the office reopens.  ${transfer}`;
+}
+
+// Appointment hours for firms that have not configured office hours.
+const STANDARD_HOURS = createBusinessHours({
+  timeZone: OFFICE_TIME_ZONE,
+  weekly: Object.fromEntries(['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].map((day) => [day, ['09:00-17:00']])),
+});
+
+// Normalise the dates, times, phone numbers and emails in a tool's input; see
+// src/toolInputs.js.  Relative dates are resolved in the firm's time zone and
+// a requested appointment must fall within its office hours, unless the
+// caller chose a slot the calendar offered.  Returns `{ input }`, or
+// `{ error }` for the tool to return to the agent.
+function normalizeInput(input, runContext, { checkHours = !input.slotStartTime } = {}) {
+  const hours = runContext.context.tenant.businessHours ?? STANDARD_HOURS;
+  return normalizeToolInput(input, {
+    timeZone: hours.timeZone,
+    isBookable: checkHours ? (day, time) => hours.isOpenAt(day, time) : null,
+    domainExists: EMAIL_DNS_CHECK === 'false' ? async () => true : undefined,
+  });
+}
+
 /*
  * Book a consultation with the legal team.  Callers may choose between a
  * free 15‑minute consultation (over the phone or via Zoom) or a paid
- * one‑hour consultation (Zoom or in person) for $500.  When called, this
+ * one‑hour consultation (Zoom or in person) for the firm's fee.  When called, this
  * tool sends confirmation emails to both the client and the firm, creates a
  * Calendly scheduling link, and optionally generates a Stripe checkout
  * session for paid consultations.  The law firm can configure the
  * appropriate Calendly event links and Stripe price IDs via environment
- * variables.
+ * variables.  Every booking is stored so the Stripe webhook can match the
+ * payment back to it.
  */
 const bookConsultationTool = tool({
   name: 'book_consultation',
   description:
-    'Book a consultation for the caller.  Clients can choose a free 15‑minute call (phone or Zoom) or a 1‑hour session (Zoom or in person) that costs $500.',
+    'Book a consultation for the caller.  Clients can choose a free 15‑minute call (phone or Zoom) or a 1‑hour session (Zoom or in person) for a fee.',
   parameters: z.object({
-    consultationType: z
-      .enum([
-        'free_phone',
-        'free_zoom',
-        'paid_zoom',
-        'paid_in_person',
-      ])
-      .describe(
-        'Type of consultation requested: "free_phone" for a 15‑minute phone call, "free_zoom" for a 15‑minute Zoom call, "paid_zoom" for a 1‑hour Zoom consultation, or "paid_in_person" for a 1‑hour in‑person meeting.  Paid options cost $500.'
-      ),
-    date: z.string().describe('Preferred appointment date in YYYY‑MM‑DD format.'),
-    time: z.string().describe('Preferred appointment time (e.g. "15:00" or "3pm").'),
+    consultationType: consultationTypeSchema,
+    date: z
+      .string()
+      .describe('Preferred appointment date, as YYYY‑MM‑DD or as the caller said it (e.g. "next Tuesday").'),
+    time: z
+      .string()
+      .describe('Preferred appointment time with AM or PM (e.g. "3pm") or in 24‑hour form ("15:00").'),
+    slotStartTime: z
+      .string()
+      .nullable()
+      .describe('slotStartTime of the open time the caller chose from check_availability, or null if none was chosen.'),
     clientName: z
       .string()
       .describe('Full name of the client scheduling the consultation.'),
@@ -166,148 +563,682 @@ const bookConsultationTool = tool({
       .string()
       .describe('Client email address for sending confirmation and payment links.'),
   }),
-  execute: async ({
-    consultationType,
-    date,
-    time,
-    clientName,
-    clientPhone,
-    clientEmail,
-  }) => {
+  execute: async (rawInput, runContext) => {
+    const normalized = await normalizeInput(rawInput, runContext);
+    if (normalized.error) return normalized.error;
+    const { consultationType, date, time, slotStartTime, clientName, clientPhone, clientEmail } = normalized.input;
+    const { tenant } = runContext.context;
     // Determine the appropriate Calendly link for the requested consultation
-    let calendlyLink;
-    let paid = false;
-    switch (consultationType) {
-      case 'free_phone':
-        calendlyLink = CALENDLY_FREE_PHONE_LINK;
-        break;
-      case 'free_zoom':
-        calendlyLink = CALENDLY_FREE_ZOOM_LINK;
-        break;
-      case 'paid_zoom':
-        calendlyLink = CALENDLY_PAID_ZOOM_LINK;
-        paid = true;
-        break;
-      case 'paid_in_person':
-        calendlyLink = CALENDLY_PAID_IN_PERSON_LINK;
-        paid = true;
-        break;
-      default:
-        calendlyLink = CALENDLY_FREE_PHONE_LINK;
+    let calendlyLink = tenant.calendly.links[consultationType];
+    const paid = consultationType.startsWith('paid_');
+    // When the caller picked one of the offered times, make sure it is still
+    // open and reserve it with a single-use scheduling link.
+    let scheduledStart = null;
+    if (slotStartTime && tenant.scheduler) {
+      const reservation = await reserveChosenSlot(tenant.scheduler, consultationType, slotStartTime, {
+        name: clientName,
+        email: clientEmail,
+      });
+      if (reservation?.error) return reservation.error;
+      if (reservation) {
+        calendlyLink = reservation.bookingUrl;
+        scheduledStart = reservation.startTime;
+      }
     }
+    const booking = bookingStore.createBooking({
+      tenantId: tenant.id,
+      callSid: runContext.context.callSid,
+      consultationType,
+      date,
+      time,
+      scheduledStart,
+      schedulingUrl: calendlyLink,
+      clientName,
+      clientPhone,
+      clientEmail,
+      paid,
+      language: runContext.context.language ?? null,
+    });
+    rememberClient(tenant, 'booking', normalized.input);
+    scheduleReminders(booking);
     let paymentUrl = null;
-    if (paid && stripeClient && STRIPE_PRICE_ID_60_MIN) {
+    if (paid && tenant.stripeClient && tenant.stripe.consultationPriceId) {
       try {
-        // Create a Stripe Payment Link for the 1‑hour paid consultation.
-        const link = await stripeClient.paymentLinks.create({
+        // Create a Stripe Payment Link for the 1‑hour paid consultation.  The
+        // metadata is copied to the checkout session and lets the webhook
+        // find this booking again.
+        const link = await tenant.stripeClient.paymentLinks.create({
           line_items: [
             {
-              price: STRIPE_PRICE_ID_60_MIN,
+              price: tenant.stripe.consultationPriceId,
               quantity: 1,
             },
           ],
           metadata: {
+            booking_id: booking.id,
             client_name: clientName,
             client_email: clientEmail,
           },
         });
         paymentUrl = link.url;
+        bookingStore.setPaymentLink(booking.id, {
+          paymentLinkId: link.id,
+          paymentUrl,
+          paymentDueAt: new Date(Date.now() + tenant.payments.deadlineHours * 60 * 60 * 1000),
+        });
       } catch (error) {
         console.error('Error creating Stripe payment link:', error);
       }
     }
     // Construct the consultation description
-    const consultationDescription =
-      consultationType === 'free_phone'
-        ? 'a free 15‑minute phone consultation'
-        : consultationType === 'free_zoom'
-        ? 'a free 15‑minute Zoom consultation'
-        : consultationType === 'paid_zoom'
-        ? 'a paid 1‑hour Zoom consultation'
-        : 'a paid 1‑hour in‑person consultation';
-    // Build email for the client
-    const emailSubject = `Your consultation request with Pritpal Singh Law`;
-    let emailBody = `Hello ${clientName},\n\nThank you for choosing the Law Offices of Pritpal Singh for your real‑estate matter. You have requested ${consultationDescription} on ${date} at ${time}.\n\n`;
-    if (calendlyLink) {
-      emailBody += `To confirm your appointment, please use the following link to select a time on our calendar: ${calendlyLink}\n\n`;
-    }
-    if (paymentUrl) {
-      emailBody += `This consultation requires payment. Please use the following secure link to complete your $500 payment: ${paymentUrl}\n\n`;
+    const consultationDescription = describeConsultation(consultationType);
+    const requestedTime = describeBookingTime(booking);
+    // Build email for the client from the tenant's template, in the language
+    // they picked in the phone menu
+    const language = callerLanguage(tenant, runContext.context.language);
+    const { phrases } = LANGUAGES[language.code];
+    let schedulingInstructions = '';
+    if (scheduledStart && calendlyLink) {
+      schedulingInstructions = renderTemplate(phrases.reservedSlot, {
+        slot: describeBookingTime(booking, language.code),
+        link: calendlyLink,
+      });
+    } else if (calendlyLink) {
+      schedulingInstructions = renderTemplate(phrases.schedulingLink, { link: calendlyLink });
     }
-    emailBody += `If you have any questions or need to adjust your appointment, please reply to this email or call our office.\n\nWe look forward to speaking with you.\n\nBest regards,\nThe Law Offices of Pritpal Singh`;
+    const templateValues = {
+      ...firmTemplateValues(tenant),
+      clientName,
+      consultation: describeConsultation(consultationType, language.code),
+      time: describeBookingTime(booking, language.code),
+      confirmationCode: booking.confirmationCode,
+      schedulingInstructions,
+      paymentInstructions: paymentUrl
+        ? renderTemplate(phrases.payment, { amount: formatPrice(tenant.consultations.paidPrice), link: paymentUrl })
+        : '',
+    };
     // Send confirmation email to the client
     try {
-      await transporter.sendMail({
-        from: SMTP_USER,
-        to: clientEmail,
-        subject: emailSubject,
-        text: emailBody,
-      });
+      tenant.sendMail(
+        {
+          to: clientEmail,
+          subject: renderTemplate(language.templates.bookingConfirmation.subject, templateValues),
+          text: renderTemplate(language.templates.bookingConfirmation.text, templateValues),
+        },
+        { event: 'booking_confirmation', dedupeKey: `booking:${booking.id}:confirmation` }
+      );
     } catch (error) {
-      console.error('Error sending consultation confirmation email:', error);
+      console.error('Error queueing consultation confirmation email:', error);
     }
     // Notify the law firm of the booking request
     const internalSubject = `New consultation request from ${clientName}`;
-    let internalBody = `Client Name: ${clientName}\nPhone: ${clientPhone}\nEmail: ${clientEmail}\nRequested Type: ${consultationDescription}\nPreferred Date: ${date}\nPreferred Time: ${time}\n`;
+    let internalBody = `Confirmation Code: ${booking.confirmationCode}\nClient Name: ${clientName}\nPhone: ${clientPhone}\nEmail: ${clientEmail}\nRequested Type: ${consultationDescription}\nPreferred Date: ${date}\nPreferred Time: ${time}\n`;
+    if (runContext.context.language) {
+      internalBody += `Language: ${language.name}\n`;
+    }
+    if (scheduledStart) {
+      internalBody += `Chosen slot: ${formatSlot(scheduledStart)} Pacific (${scheduledStart})\n`;
+    }
     if (paymentUrl) {
       internalBody += `Payment link: ${paymentUrl}\n`;
     }
     if (calendlyLink) {
       internalBody += `Calendly link: ${calendlyLink}\n`;
     }
-    if (LAW_FIRM_EMAIL) {
-      try {
-        await transporter.sendMail({
-          from: SMTP_USER,
-          to: LAW_FIRM_EMAIL,
+    try {
+      tenant.notifyFirm(
+        {
+          event: 'booking_created',
           subject: internalSubject,
           text: internalBody,
-        });
-      } catch (error) {
-        console.error('Error sending internal consultation notification:', error);
+          data: { booking },
+        },
+        { dedupeKey: `booking:${booking.id}:created` }
+      );
+    } catch (error) {
+      console.error('Error queueing internal consultation notification:', error);
+    }
+    return `Thank you, ${clientName}. I’ve recorded your request for ${consultationDescription} on ${requestedTime}. Your confirmation code is ${spellOut(booking.confirmationCode)}. A confirmation has been sent to your email${paymentUrl ? ' with a payment link' : ''}.  Read the confirmation code back to the caller one character at a time.`;
+  },
+});
+
+// Find the booking a caller is asking about, either by its confirmation code
+// or by the caller's name plus phone number.  The phone number defaults to
+// the number the caller is calling from.  Only bookings made with the firm
+// that took this call are found; bookings from before firms had profiles
+// belong to the default tenant.  Returns `{ booking }`, or `{ message }`
+// telling the agent what to ask the caller next.
+function findCallerBooking({ confirmationCode, clientName, clientPhone }, runContext) {
+  const { tenant } = runContext.context;
+  const belongsToTenant = (booking) => tenants.get(booking.tenantId) === tenant;
+  if (confirmationCode) {
+    const booking = bookingStore.getBookingByCode(confirmationCode);
+    return booking && belongsToTenant(booking)
+      ? { booking }
+      : {
+          message:
+            'No booking matches that confirmation code.  Check the code with the caller, or look the booking up by their full name and phone number instead.',
+        };
+  }
+  const phone = clientPhone || runContext.context.callerNumber;
+  if (!clientName || !phone) {
+    return { message: 'Ask the caller for their confirmation code, or for their full name and the phone number on the booking.' };
+  }
+  const bookings = bookingStore.findActiveBookings({ clientName, clientPhone: phone }).filter(belongsToTenant);
+  if (bookings.length === 0) {
+    return {
+      message: `No active booking was found for ${clientName} with that phone number.  Ask for the confirmation code or the phone number they used when booking.`,
+    };
+  }
+  if (bookings.length > 1) {
+    const list = bookings
+      .map((booking) => `${booking.confirmationCode}: ${describeConsultation(booking.consultationType)} on ${describeBookingTime(booking)}`)
+      .join('; ');
+    return {
+      message: `${clientName} has ${bookings.length} active bookings: ${list}.  Ask the caller which one they mean and call again with its confirmationCode.`,
+    };
+  }
+  return { booking: bookings[0] };
+}
+
+// Send a booking change to the client and the firm.  The client's email is
+// the named template in the client's language (see `callerLanguage`), with
+// the booking's details plus `values`.  Failures are logged so the change
+// itself still goes through.
+async function notifyBookingChange(tenant, booking, { event, language, template, values, firmSubject, firmText }) {
+  if (booking.clientEmail) {
+    const templateValues = {
+      ...firmTemplateValues(tenant),
+      clientName: booking.clientName,
+      // "your free 15-minute phone consultation", "su consulta …"
+      consultation: describeConsultation(booking.consultationType, language.code).replace(/^(an?|una?) /, ''),
+      time: describeBookingTime(booking, language.code),
+      confirmationCode: booking.confirmationCode,
+      ...values,
+    };
+    try {
+      tenant.sendMail(
+        {
+          to: booking.clientEmail,
+          subject: renderTemplate(language.templates[template].subject, templateValues),
+          text: renderTemplate(language.templates[template].text, templateValues),
+        },
+        { event }
+      );
+    } catch (error) {
+      console.error('Error queueing booking update email:', error);
+    }
+  }
+  try {
+    tenant.notifyFirm({ event, subject: firmSubject, text: firmText, data: { booking } });
+  } catch (error) {
+    console.error('Error queueing internal booking update:', error);
+  }
+}
+
+function bookingDetails(booking) {
+  return `Confirmation Code: ${booking.confirmationCode}\nClient Name: ${booking.clientName}\nPhone: ${booking.clientPhone}\nEmail: ${booking.clientEmail}\nConsultation: ${describeConsultation(booking.consultationType)}\nTime: ${describeBookingTime(booking)}\nPayment: ${booking.paymentStatus}\n`;
+}
+
+const bookingLookupParameters = {
+  confirmationCode: z
+    .string()
+    .nullable()
+    .describe('Confirmation code given when the consultation was booked, or null if the caller does not have it.'),
+  clientName: z
+    .string()
+    .nullable()
+    .describe('Full name on the booking.  Needed when there is no confirmation code.'),
+  clientPhone: z
+    .string()
+    .nullable()
+    .describe('Phone number on the booking, or null to use the number the caller is calling from.'),
+};
+
+// Read back an existing booking.
+const lookupBookingTool = tool({
+  name: 'lookup_booking',
+  description:
+    'Look up an existing consultation booking by confirmation code, or by the caller’s full name and phone number.',
+  parameters: z.object(bookingLookupParameters),
+  execute: async (rawInput, runContext) => {
+    const normalized = await normalizeInput(rawInput, runContext);
+    if (normalized.error) return normalized.error;
+    const { booking, message } = findCallerBooking(normalized.input, runContext);
+    if (!booking) return message;
+    const payment =
+      booking.paymentStatus === 'not_required'
+        ? ''
+        : booking.paymentStatus === 'paid'
+        ? '  The consultation fee has been paid.'
+        : `  Payment status: ${booking.paymentStatus}.`;
+    const status =
+      booking.status === 'cancelled'
+        ? 'This booking has been cancelled.'
+        : `It is booked for ${describeBookingTime(booking)}.`;
+    return `Booking ${spellOut(booking.confirmationCode)} for ${booking.clientName}: ${describeConsultation(booking.consultationType)}.  ${status}${payment}`;
+  },
+});
+
+// Move an existing booking to a new date and time.  Any payment already made
+// or requested carries over to the new time.
+const rescheduleBookingTool = tool({
+  name: 'reschedule_booking',
+  description:
+    'Move an existing consultation booking to a new date and time.  Use check_availability first to offer open times.',
+  parameters: z.object({
+    ...bookingLookupParameters,
+    date: z
+      .string()
+      .describe('New appointment date, as YYYY‑MM‑DD or as the caller said it (e.g. "next Tuesday").'),
+    time: z
+      .string()
+      .describe('New appointment time with AM or PM (e.g. "3pm") or in 24‑hour form ("15:00").'),
+    slotStartTime: z
+      .string()
+      .nullable()
+      .describe('slotStartTime of the open time the caller chose from check_availability, or null if none was chosen.'),
+  }),
+  execute: async (rawInput, runContext) => {
+    const normalized = await normalizeInput(rawInput, runContext);
+    if (normalized.error) return normalized.error;
+    const { date, time, slotStartTime, ...lookup } = normalized.input;
+    const { booking, message } = findCallerBooking(lookup, runContext);
+    if (!booking) return message;
+    if (booking.status === 'cancelled') {
+      return 'That booking has been cancelled, so it cannot be moved.  Offer to book a new consultation instead.';
+    }
+    const { tenant } = runContext.context;
+    let schedulingUrl = tenant.calendly.links[booking.consultationType] ?? null;
+    let scheduledStart = null;
+    if (slotStartTime && tenant.scheduler) {
+      const reservation = await reserveChosenSlot(tenant.scheduler, booking.consultationType, slotStartTime, {
+        name: booking.clientName,
+        email: booking.clientEmail,
+      });
+      if (reservation?.error) return reservation.error;
+      if (reservation) {
+        schedulingUrl = reservation.bookingUrl;
+        scheduledStart = reservation.startTime;
       }
     }
-    return `Thank you, ${clientName}. I’ve recorded your request for ${consultationDescription} on ${date} at ${time}. A confirmation has been sent to your email${paymentUrl ? ' with a payment link' : ''}.`;
+    const previousTime = describeBookingTime(booking);
+    const updated = bookingStore.reschedule(booking.id, { date, time, scheduledStart, schedulingUrl });
+    scheduleReminders(updated);
+    const newTime = describeBookingTime(updated);
+    // The client hears back in the language of this call, or else the one
+    // they booked in.
+    const language = callerLanguage(tenant, runContext.context.language ?? booking.language);
+    const { phrases } = LANGUAGES[language.code];
+    let schedulingInstructions = '';
+    if (schedulingUrl) {
+      schedulingInstructions = scheduledStart
+        ? renderTemplate(phrases.rescheduledSlot, { slot: describeBookingTime(updated, language.code), link: schedulingUrl })
+        : renderTemplate(phrases.rescheduledLink, { link: schedulingUrl });
+    }
+    await notifyBookingChange(tenant, updated, {
+      event: 'booking_rescheduled',
+      language,
+      template: 'bookingRescheduled',
+      values: { previousTime: describeBookingTime(booking, language.code), schedulingInstructions },
+      firmSubject: `Consultation rescheduled: ${updated.clientName}`,
+      firmText: `A consultation was rescheduled by phone.\n\nPrevious Time: ${previousTime}\n${bookingDetails(updated)}${schedulingUrl ? `Calendly link: ${schedulingUrl}\n` : ''}`,
+    });
+    return `The booking ${spellOut(updated.confirmationCode)} has been moved from ${previousTime} to ${newTime}.  A confirmation has been sent to the client’s email.`;
+  },
+});
+
+// Cancel a booking, drop its reminders and tell the client and the firm.  An
+// unpaid Stripe payment link is switched off so the client cannot pay for a
+// cancelled consultation; a fee that was already paid is flagged to the firm
+// to review for a refund.  `via` says how the client cancelled, e.g. "by
+// phone", and `language` the language of the conversation, if one was
+// picked; otherwise the client hears back in the one they booked in.
+// Returns the cancelled booking.
+async function cancelBooking(tenant, booking, { reason, via, language = null }) {
+  if (booking.paymentLinkId && booking.paymentStatus !== 'paid' && tenant.stripeClient) {
+    try {
+      await tenant.stripeClient.paymentLinks.update(booking.paymentLinkId, { active: false });
+    } catch (error) {
+      console.error('Error deactivating Stripe payment link:', error);
+    }
+  }
+  const cancelled = bookingStore.cancel(booking.id);
+  reminders.cancel(booking.id);
+  const refundDue = cancelled.paymentStatus === 'paid';
+  const clientLanguage = callerLanguage(tenant, language ?? booking.language);
+  await notifyBookingChange(tenant, cancelled, {
+    event: 'booking_cancelled',
+    language: clientLanguage,
+    template: 'bookingCancelled',
+    values: { paymentNote: refundDue ? LANGUAGES[clientLanguage.code].phrases.paymentNote : '' },
+    firmSubject: `Consultation cancelled: ${cancelled.clientName}`,
+    firmText: `A consultation was cancelled ${via}.${refundDue ? ' The consultation fee was already paid; please review it for a refund.' : ''}\n\n${bookingDetails(cancelled)}Reason: ${reason || 'not given'}\n`,
+  });
+  return cancelled;
+}
+
+// Cancel an existing booking; see `cancelBooking`.
+const cancelBookingTool = tool({
+  name: 'cancel_booking',
+  description: 'Cancel an existing consultation booking.  Confirm with the caller before cancelling.',
+  parameters: z.object({
+    ...bookingLookupParameters,
+    reason: z.string().nullable().describe('Reason the caller gave for cancelling, if any.'),
+  }),
+  execute: async (rawInput, runContext) => {
+    const normalized = await normalizeInput(rawInput, runContext);
+    if (normalized.error) return normalized.error;
+    const { reason, ...lookup } = normalized.input;
+    const { booking, message } = findCallerBooking(lookup, runContext);
+    if (!booking) return message;
+    if (booking.status === 'cancelled') {
+      return `The booking ${spellOut(booking.confirmationCode)} was already cancelled.`;
+    }
+    const { tenant, channel } = runContext.context;
+    const cancelled = await cancelBooking(tenant, booking, {
+      reason,
+      via: channel === 'sms' ? 'by text message' : 'by phone',
+      language: runContext.context.language,
+    });
+    const refundDue = cancelled.paymentStatus === 'paid';
+    return `The booking ${spellOut(cancelled.confirmationCode)} for ${describeBookingTime(cancelled)} has been cancelled and a confirmation sent to the client’s email.${refundDue ? '  The fee was already paid; tell the caller our office will contact them about it.' : ''}`;
   },
 });
 
-// Process a payment for legal services.  This tool demonstrates how you might
-// integrate with a payment gateway.  In this sample the payment details are
-// emailed to the law firm’s billing department; no real payment is taken.
+/*
+ * Returning clients
+ *
+ * Bookings and escalations add the client to the firm's directory (see
+ * src/clientDirectory.js), alongside any client list the firm imports.  When
+ * a call or text comes from a number in the directory, the client's details
+ * are on the session context as `knownCaller` and in the agent instructions,
+ * so they are not asked for again.  Matter status is only given out by
+ * `lookup_matter_status`, after the caller has proved who they are.
+ */
+
+// Wrong dates of birth or PINs allowed per call or conversation.  The
+// directory also locks a client after repeated failures across calls.
+const MAX_VERIFICATION_ATTEMPTS = 3;
+
+// Remember a client who booked or asked to be called back.  A failure here
+// must not stop the booking or escalation.
+function rememberClient(tenant, source, { clientName, clientPhone, clientEmail }) {
+  try {
+    clientDirectory.recordContact({
+      tenantId: tenant.id,
+      phone: clientPhone,
+      name: clientName,
+      email: clientEmail,
+      source,
+    });
+  } catch (error) {
+    console.error('Error recording client contact:', error);
+  }
+}
+
+// What a call or conversation knows about who is on the other end: their
+// client record, if the number is in the directory, and whether they have
+// passed verification yet.
+function recognizeCaller(tenant, phone) {
+  let client = null;
+  try {
+    client = clientDirectory.findByPhone(tenant.id, phone);
+  } catch (error) {
+    console.error('Error looking up caller in the client directory:', error);
+  }
+  return { client, verified: false, failedAttempts: 0 };
+}
+
+// The verification details on file for a client, in words.
+function describeVerification(client) {
+  return client.verification.map((method) => (method === 'pin' ? 'PIN' : 'date of birth')).join(' or ');
+}
+
+// Extra instructions when the caller is a known client.
+function returningCallerInstructions(knownCaller) {
+  const client = knownCaller?.client;
+  if (!client) return '';
+  const name = client.name ?? 'an existing client';
+  const firstName = client.name?.split(' ')[0];
+  const onFile = [`phone ${client.phone}`, client.email && `email ${client.email}`].filter(Boolean).join(', ');
+  const matters = client.matters.length
+    ? `  Their matters: ${client.matters.map((matter) => `${matter.title} (${matter.reference})`).join('; ')}.`
+    : '';
+  const status = client.verification.length
+    ? `use 'lookup_matter_status', which first needs their ${describeVerification(client)}`
+    : "there is no way to verify this client here, so offer 'escalate_to_human'";
+  return `• **Returning client:** This number belongs to ${name} in the firm's client records (${onFile}).${matters}  Someone else may be using their phone, so ${firstName ? `ask whether you are speaking with ${firstName}` : 'ask for their name'} before using these details.  Once they confirm, do not ask for details already on file; confirm them instead (e.g. "Is your email still the same?").  Do not read out the email or matter details to someone who has not confirmed who they are.  Never describe how a matter is going yourself; for its status, ${status}.`;
+}
+
+// Read out the status line the firm approved for one of the caller's
+// matters.  Only for clients recognised by the number they are calling from,
+// and only once they have given the date of birth or PIN on file.
+const lookupMatterStatusTool = tool({
+  name: 'lookup_matter_status',
+  description:
+    'Give a returning client the latest approved status of one of their matters.  The caller must first prove who they are with the date of birth or PIN on file: pass what they said and the tool checks it.',
+  parameters: z.object({
+    matterReference: z
+      .string()
+      .nullable()
+      .describe('Reference or name of the matter the caller is asking about, or null if they did not say.'),
+    dateOfBirth: z
+      .string()
+      .nullable()
+      .describe('Date of birth the caller gave, with the year (e.g. "March 14, 1980"), or null.'),
+    pin: z
+      .string()
+      .nullable()
+      .describe('PIN the caller gave, or null.'),
+  }),
+  execute: async ({ matterReference, dateOfBirth, pin }, runContext) => {
+    const { knownCaller } = runContext.context;
+    const client = knownCaller?.client;
+    if (!client) {
+      return 'This number is not in the firm’s client records, so matter status can’t be given here.  Offer escalate_to_human so the team can get back to the caller.';
+    }
+    if (!knownCaller.verified) {
+      if (client.verification.length === 0) {
+        return 'There is no date of birth or PIN on file for this client, so who they are can’t be checked here.  Offer escalate_to_human instead.';
+      }
+      if (knownCaller.failedAttempts >= MAX_VERIFICATION_ATTEMPTS) {
+        return 'Verification has already failed too many times.  Do not ask again; offer escalate_to_human instead.';
+      }
+      if (!dateOfBirth && !pin) {
+        return `Ask the caller for their ${describeVerification(client)}, then call this tool again with it.`;
+      }
+      const result = clientDirectory.verify(client.id, { dateOfBirth, pin });
+      if (result === 'locked') {
+        return 'Verification is locked for this client after repeated failures.  Do not ask again; offer escalate_to_human instead.';
+      }
+      if (result !== 'verified') {
+        knownCaller.failedAttempts += 1;
+        const left = MAX_VERIFICATION_ATTEMPTS - knownCaller.failedAttempts;
+        return left > 0
+          ? `That does not match our records.  Tell the caller without saying what is on file, and let them try again (${left} ${left === 1 ? 'attempt' : 'attempts'} left).`
+          : 'That does not match our records.  Do not ask again; offer escalate_to_human instead.';
+      }
+      knownCaller.verified = true;
+    }
+    const list = client.matters.map((matter) => `${matter.title} (${matter.reference})`).join('; ');
+    let matter = null;
+    if (matterReference) {
+      matter =
+        clientDirectory.findMatter(client.id, matterReference) ??
+        client.matters.find((candidate) => candidate.title.toLowerCase().includes(matterReference.toLowerCase()));
+      if (!matter) {
+        return client.matters.length
+          ? `The caller is verified, but none of their matters matches "${matterReference}".  Their matters are: ${list}.  Ask which one they mean.`
+          : 'The caller is verified, but no matters are on file for them.  Offer escalate_to_human.';
+      }
+    } else if (client.matters.length === 1) {
+      [matter] = client.matters;
+    } else if (client.matters.length === 0) {
+      return 'The caller is verified, but no matters are on file for them.  Offer escalate_to_human.';
+    } else {
+      return `The caller is verified.  They have ${client.matters.length} matters: ${list}.  Ask which one they mean and call again with its matterReference.`;
+    }
+    if (!matter.status) {
+      return `The caller is verified, but no status update on ${matter.title} has been approved for sharing.  Offer escalate_to_human so the team can update them.`;
+    }
+    return `Status of ${matter.title} (${matter.reference})${matter.updatedAt ? ` as of ${matter.updatedAt}` : ''}: ${matter.status}\n\nRead this status to the caller as written.  Do not add to it, explain what it means for their case or guess at next steps; offer escalate_to_human for anything more.`;
+  },
+});
+
+// Request a payment for legal services.  The caller is sent a Stripe payment
+// link for the exact amount by text message and email, so card details are
+// never taken over the phone.  Nothing is charged until the caller completes
+// the link; the Stripe webhook records the result and sends the receipt.
 const processPaymentTool = tool({
   name: 'process_payment',
-  description:
-    'Process a client’s payment for legal fees. Use USD amounts and describe the payment method (e.g. credit card).',
+  description: `Send the caller a secure Stripe payment link for an outstanding legal fee or deposit, in US dollars.  The link is sent by text message and email.  The payment is pending until the caller completes it through the link.`,
   parameters: z.object({
     amount: z
       .number()
+      .positive()
       .describe('Amount to charge in US dollars.'),
     clientName: z
       .string()
       .describe('Name of the client making the payment.'),
-    paymentMethod: z
+    clientPhone: z
+      .string()
+      .describe('Mobile number to text the payment link to.'),
+    clientEmail: z
+      .string()
+      .describe('Email address to send the payment link and receipt to.'),
+    reference: z
       .string()
-      .describe('Method of payment (e.g. "Visa", "Mastercard", "bank transfer").'),
+      .describe('Client or matter reference the payment is for (e.g. invoice number, matter name or "retainer deposit").  Never include card or bank details.'),
   }),
-  execute: async ({ amount, clientName, paymentMethod }) => {
-    const subject = `Payment received from ${clientName}`;
-    const body = `A payment of $${amount} has been initiated via ${paymentMethod} for client ${clientName}. Please process this payment according to your billing procedures.`;
-    if (LAW_FIRM_EMAIL) {
-      await transporter.sendMail({
-        from: SMTP_USER,
-        to: LAW_FIRM_EMAIL,
-        subject,
-        text: body,
+  execute: async (rawInput, runContext) => {
+    const normalized = await normalizeInput(rawInput, runContext);
+    if (normalized.error) return normalized.error;
+    const { amount, clientName, clientPhone, clientEmail, reference: rawReference } = normalized.input;
+    const { tenant } = runContext.context;
+    // The reference is free text and ends up in Stripe and the database, so
+    // anything the caller read out by mistake is masked first.
+    const reference = redactor.redact(rawReference);
+    const { minAmount, maxAmount } = tenant.payments;
+    if (amount < minAmount || amount > maxAmount) {
+      return `Payments over the phone must be between ${formatPrice(minAmount)} and ${formatPrice(maxAmount)}. Please confirm the amount with the caller; for other amounts our billing team will contact them directly.`;
+    }
+    if (!tenant.stripeClient) {
+      return 'Online payments are not available right now. Let the caller know our billing team will contact them to arrange payment.';
+    }
+    const payment = paymentStore.createPayment({
+      tenantId: tenant.id,
+      callSid: runContext.context.callSid,
+      clientName,
+      clientPhone,
+      clientEmail,
+      reference,
+      amount: Math.round(amount * 100),
+    });
+    const formattedAmount = `$${(payment.amount / 100).toFixed(2)}`;
+    let paymentUrl;
+    try {
+      // Payment links need a price, so one is created for this exact amount.
+      const price = await tenant.stripeClient.prices.create({
+        currency: payment.currency,
+        unit_amount: payment.amount,
+        product_data: { name: `Legal fees – ${reference}` },
       });
+      const link = await tenant.stripeClient.paymentLinks.create({
+        line_items: [{ price: price.id, quantity: 1 }],
+        metadata: {
+          payment_id: payment.id,
+          client_name: clientName,
+          client_email: clientEmail,
+          reference,
+        },
+      });
+      paymentUrl = link.url;
+      paymentStore.setPaymentLink(payment.id, { paymentLinkId: link.id, paymentUrl });
+    } catch (error) {
+      console.error('Error creating Stripe payment link:', error);
+      paymentStore.setStatus(payment.id, 'failed');
+      return 'I wasn’t able to create a payment link just now. Our billing team will contact you to arrange payment.';
+    }
+    const templateValues = {
+      ...firmTemplateValues(tenant),
+      clientName,
+      amount: formattedAmount,
+      reference,
+      paymentUrl,
+    };
+    let texted = false;
+    try {
+      tenant.sendSms(clientPhone, renderTemplate(tenant.templates.paymentLinkSms, templateValues), {
+        event: 'payment_link',
+        dedupeKey: `payment:${payment.id}:link:sms`,
+      });
+      texted = true;
+    } catch (error) {
+      console.error('Error queueing payment link SMS:', error);
+    }
+    try {
+      tenant.sendMail(
+        {
+          to: clientEmail,
+          subject: renderTemplate(tenant.templates.paymentLink.subject, templateValues),
+          text: renderTemplate(tenant.templates.paymentLink.text, templateValues),
+        },
+        { event: 'payment_link', dedupeKey: `payment:${payment.id}:link:email` }
+      );
+    } catch (error) {
+      console.error('Error queueing payment link email:', error);
+    }
+    try {
+      tenant.notifyFirm(
+        {
+          event: 'payment_link_sent',
+          subject: `Payment link sent to ${clientName}`,
+          text: `A payment link for ${formattedAmount} was sent to ${clientName}. The payment is pending until Stripe confirms it.\n\nPhone: ${clientPhone}\nEmail: ${clientEmail}\nReference: ${reference}\nPayment link: ${paymentUrl}\n`,
+          data: { paymentId: payment.id, amount: payment.amount, reference, paymentUrl },
+        },
+        { dedupeKey: `payment:${payment.id}:link` }
+      );
+    } catch (error) {
+      console.error('Error queueing payment request notice:', error);
     }
-    return `Thank you, ${clientName}. A payment of $${amount} via ${paymentMethod} has been recorded. A receipt will be sent shortly.`;
+    return `I’ve sent a secure payment link for ${formattedAmount} ${texted ? 'by text message and ' : ''}to ${clientEmail}. The payment isn’t complete until you pay through that link, and you’ll receive a receipt as soon as it goes through.`;
+  },
+});
+
+// Report the status of the payment links sent during this call, as last
+// recorded from Stripe's webhook.
+const checkPaymentStatusTool = tool({
+  name: 'check_payment_status',
+  description:
+    'Check whether the payment links sent during this call have been paid.  Use this when the caller says they have completed a payment.',
+  parameters: z.object({}),
+  execute: async (_input, runContext) => {
+    const { callSid } = runContext.context;
+    const payments = callSid ? paymentStore.listPaymentsForCall(callSid) : [];
+    if (payments.length === 0) {
+      return 'No payment links have been sent during this call.';
+    }
+    return payments
+      .map((payment) => {
+        const amount = `$${(payment.amount / 100).toFixed(2)}`;
+        const status =
+          payment.status === 'paid'
+            ? 'has been paid'
+            : payment.status === 'failed'
+            ? 'failed; the caller can try again with the same link'
+            : 'has not been paid yet';
+        return `The payment of ${amount} for ${payment.reference} ${status}.`;
+      })
+      .join(' ');
   },
 });
 
 // Escalate a call to a human legal assistant.  If a TWILIO client is
-// configured the tool will initiate an outbound phone call to connect the
-// caller with a designated human.  Regardless, an email is sent to the
-// law firm detailing the reason for the escalation.
+// configured the caller's live call is warm-transferred to a designated
+// human, who first hears a summary of the escalation; out of office hours
+// this only happens if the firm has someone on call.  Regardless, an email
+// is sent to the law firm detailing the reason for the escalation.
 const escalatetoHumanTool = tool({
   name: 'escalate_to_human',
   description:
@@ -335,199 +1266,1135 @@ const escalatetoHumanTool = tool({
       .enum(['phone', 'email'])
       .describe('Preferred method to reach the caller (phone or email).'),
   }),
-  execute: async ({
-    reason,
-    clientName,
-    clientPhone,
-    clientEmail,
-    preferredContactDay,
-    preferredContactTime,
-    preferredContactMedium,
-  }) => {
+  execute: async (rawInput, runContext) => {
+    const normalized = await normalizeInput(rawInput, runContext);
+    if (normalized.error) return normalized.error;
+    const {
+      reason,
+      clientName,
+      clientPhone,
+      clientEmail,
+      preferredContactDay,
+      preferredContactTime,
+      preferredContactMedium,
+    } = normalized.input;
+    const { tenant, channel, callSid, publicBaseUrl } = runContext.context;
+    rememberClient(tenant, 'escalation', normalized.input);
+    const status = officeStatus(tenant);
+    const language = callerLanguage(tenant, runContext.context.language);
     // Compose escalation details
     const subject = `Escalation request from ${clientName}`;
-    const body = `A caller has requested human assistance for the following reason: ${reason}.\n\nCaller Details:\nName: ${clientName}\nPhone: ${clientPhone}\nEmail: ${clientEmail}\nPreferred contact day: ${preferredContactDay}\nPreferred contact time: ${preferredContactTime}\nPreferred contact medium: ${preferredContactMedium}\n\nPlease follow up with the client as soon as possible.`;
-    const recipient = ESCALATION_EMAIL || LAW_FIRM_EMAIL;
-    if (recipient) {
-      try {
-        await transporter.sendMail({
-          from: SMTP_USER,
-          to: recipient,
-          subject,
-          text: body,
-        });
-      } catch (error) {
-        console.error('Error sending escalation email:', error);
-      }
+    let body = `A caller has requested human assistance for the following reason: ${reason}.\n\nCaller Details:\nName: ${clientName}\nPhone: ${clientPhone}\nEmail: ${clientEmail}\nPreferred contact day: ${preferredContactDay}\nPreferred contact time: ${preferredContactTime}\nPreferred contact medium: ${preferredContactMedium}\n`;
+    if (runContext.context.language) {
+      body += `Language: ${language.name}\n`;
+    }
+    body += '\nPlease follow up with the client as soon as possible.';
+    if (!status.open) {
+      body += `\n\nThis request was made while the office was closed; the caller was told the team will follow up after it reopens ${describeReopening(tenant, status)}.`;
+    }
+    try {
+      tenant.notifyFirm({
+        event: 'escalation',
+        to: tenant.emails.escalation || tenant.emails.lawFirm,
+        subject,
+        text: body,
+        data: { reason, clientName, clientPhone, clientEmail, preferredContactMedium },
+      });
+    } catch (error) {
+      console.error('Error queueing escalation notice:', error);
     }
-    // Optionally dial a human representative using Twilio
-    if (twilioClient && TWILIO_FROM_NUMBER && HUMAN_PHONE_NUMBER) {
+    // Let the client know, in their language, that the request was passed on
+    try {
+      const values = {
+        ...firmTemplateValues(tenant),
+        clientName,
+        contactMedium: LANGUAGES[language.code].phrases.contactMedium[preferredContactMedium],
+        contactTime: `${preferredContactDay}, ${preferredContactTime}`,
+      };
+      tenant.sendMail(
+        {
+          to: clientEmail,
+          subject: renderTemplate(language.templates.escalationReceipt.subject, values),
+          text: renderTemplate(language.templates.escalationReceipt.text, values),
+        },
+        { event: 'escalation_receipt' }
+      );
+    } catch (error) {
+      console.error('Error queueing escalation receipt email:', error);
+    }
+    // Warm-transfer the live call to a human when possible and someone is
+    // there to answer.  Redirecting the call ends the media stream, so this
+    // conversation stops here.
+    if (
+      channel === 'voice' &&
+      callSid &&
+      tenant.transfer.humanPhoneNumber &&
+      warmTransfer.isAvailable() &&
+      liveTransferOffered(tenant, status)
+    ) {
       try {
-        await twilioClient.calls.create({
-          from: TWILIO_FROM_NUMBER,
-          to: HUMAN_PHONE_NUMBER,
-          url: `https://handler.twilio.com/twiml/EHXXXXXXXXXXXXXXXXXXXXXXXXXXXX`,
+        await warmTransfer.transfer({
+          callSid,
+          publicBaseUrl,
+          humanNumber: tenant.transfer.humanPhoneNumber,
+          timeoutSeconds: tenant.transfer.timeoutSeconds,
+          voice: tenant.voice,
+          details: { tenantId: tenant.id, reason, clientName, clientPhone, clientEmail },
+          voicemail: runContext.context.consent !== 'declined',
         });
+        return 'The caller is being transferred to a member of our team now.';
       } catch (error) {
-        console.error('Error placing outbound call for escalation:', error);
+        console.error('Error transferring call to a human:', error);
       }
     }
+    if (!status.open) {
+      return `Thank you. Our office is closed right now, so someone from our team will follow up after it reopens ${describeReopening(tenant, status)}.`;
+    }
     return 'Thank you. I will have someone from our team follow up with you soon.';
   },
 });
 
+// Let the caller leave a recorded message instead of talking to the agent.
+// The live call is redirected into the voicemail flow, which ends the media
+// stream; the recording and its transcript are emailed to the firm.
+const leaveVoicemailTool = tool({
+  name: 'leave_voicemail',
+  description:
+    'Send the caller to voicemail so they can record a message for the firm.  Use when the caller asks to leave a message.  Tell the caller they will hear a tone before calling this tool.',
+  parameters: z.object({
+    topic: z
+      .string()
+      .nullable()
+      .describe('What the message is about, if the caller said, or null.'),
+  }),
+  execute: async ({ topic }, runContext) => {
+    const { tenant, channel, callSid, publicBaseUrl, consent } = runContext.context;
+    if (channel !== 'voice' || !callSid || !voicemail.isAvailable()) {
+      return 'Voicemail is not available right now.  Offer to pass the message on with escalate_to_human instead.';
+    }
+    if (consent === 'declined') {
+      return 'The caller did not agree to the call being recorded, so they cannot leave a voicemail.  Offer to pass the message on with escalate_to_human instead.';
+    }
+    try {
+      await voicemail.redirect({
+        callSid,
+        publicBaseUrl,
+        prompt: 'Please leave your name, number and message after the tone.',
+        voice: tenant.voice,
+        details: { tenantId: tenant.id, kind: 'requested', topic },
+      });
+      return 'The caller is being connected to voicemail now.';
+    } catch (error) {
+      console.error('Error redirecting call to voicemail:', error);
+      return 'Voicemail is not available right now.  Offer to pass the message on with escalate_to_human instead.';
+    }
+  },
+});
+
+// How many passages `search_firm_knowledge` returns per query.
+const MAX_KNOWLEDGE_PASSAGES = 3;
+
+// Answer questions about the firm from its approved documents.  The source
+// IDs of the passages returned are reported back to the call so they end up
+// in the transcript.
+const searchFirmKnowledgeTool = tool({
+  name: 'search_firm_knowledge',
+  description:
+    'Search the firm’s approved documents (services, fees, consultations, frequently asked questions) and return the most relevant passages with their source IDs.',
+  parameters: z.object({
+    query: z.string().describe('The caller’s question, or the key words from it.'),
+  }),
+  execute: async ({ query }, runContext) => {
+    const { tenant, onKnowledgeSources } = runContext.context;
+    if (!tenant.knowledgeBase) {
+      return 'No knowledge base is available.  Answer only in general terms, or offer a consultation.';
+    }
+    const passages = tenant.knowledgeBase.search(query, { limit: MAX_KNOWLEDGE_PASSAGES });
+    onKnowledgeSources?.(query, passages.map((passage) => passage.id));
+    if (passages.length === 0) {
+      return 'Nothing in the firm’s documents matches that question.  Say you don’t have that information and offer a consultation or escalate_to_human.';
+    }
+    const results = passages.map((passage) => `[${passage.id}] ${passage.title}: ${passage.text}`);
+    return `${results.join('\n\n')}\n\nAnswer only from these passages, in your own words.  Do not read out the source IDs.`;
+  },
+});
+
+// Every tool the agent can be given.  Tenant profiles choose from these by
+// name in their `tools` list.
+const TOOLS = [
+  searchFirmKnowledgeTool,
+  checkAvailabilityTool,
+  bookConsultationTool,
+  lookupBookingTool,
+  rescheduleBookingTool,
+  cancelBookingTool,
+  lookupMatterStatusTool,
+  scheduleAppointmentTool,
+  processPaymentTool,
+  checkPaymentStatusTool,
+  escalatetoHumanTool,
+  leaveVoicemailTool,
+];
+
+// Tools that only make sense on a live call.
+const VOICE_ONLY_TOOLS = ['leave_voicemail'];
+
+// Extra instructions for the SMS agent, added after the firm's own.
+const SMS_INSTRUCTIONS = `• **Text messages:** This conversation is by SMS, not a phone call.  Reply in plain text (no Markdown) in one to three short sentences.  The client's phone number is the number they are texting from, so there is no need to ask for it unless they want to use another one.  Write confirmation codes without spaces.  You cannot transfer the client to a person by text; 'escalate_to_human' passes their request on to the team.`;
+
 /*
- * Create the realtime agent.  The instructions define the assistant’s
- * personality and behaviours.  They emphasise that the assistant is
- * informative but not a lawyer, so it should not provide legal advice.  The
- * tools array enables the model to perform structured actions such as
- * scheduling, billing and escalation when appropriate.
+ * Create the agents for a tenant.  The instructions, from the file named in
+ * the tenant profile, define the assistant’s personality and behaviours.
+ * They emphasise that the assistant is informative but not a lawyer, so it
+ * should not provide legal advice.  The tools array enables the model to
+ * perform structured actions such as scheduling, billing and escalation when
+ * appropriate, limited to the ones the tenant switched on.  Calls use a
+ * realtime agent; SMS conversations use a text agent with the same
+ * instructions and tools, minus the ones that need a live call.
  */
-const agent = new RealtimeAgent({
-  name: 'Pritpal Singh Law AI Assistant',
-  instructions: `
-You are an AI voice assistant for the Law Offices of Pritpal Singh.  Your role is to greet callers, collect minimal information necessary to assist them, provide concise and neutral information about California real‑estate law, offer to book consultations, process payments for paid consultations, and hand off to a human when needed.  Follow these guidelines:
-
-• **Tone and persona:** Maintain a warm, professional and concise tone. Pronounce “Pritpal Singh” as “Prit‑pall Sing.” Speak plainly and avoid legal jargon unless the caller uses it first. Always include the disclaimer “This conversation does not create an attorney‑client relationship and is for informational purposes only.”【213820349183228†L29-L38】【213820349183228†L321-L324】
-• **Language support:** Detect the caller’s language (English, Spanish or Mandarin) and respond in the same language. Translate your responses if necessary and be mindful of cultural politeness.  If you are unsure which language the caller is using, politely ask them to continue in English, Spanish, or Mandarin.
-• **Practice areas:** You can answer general questions about California real‑estate law, including landlord/tenant matters, premises liability, boundary disputes, quiet title actions, adverse possession, easements and encroachments, mortgage fraud, foreclosure defense, contract drafting and review, purchase agreements, closings, broker disputes, financing documents and title and escrow issues【213820349183228†L42-L139】.  Summarise the service: “We assist with [Short Name] in several ways, including [Key Talking Points]”【213820349183228†L158-L169】.  Provide neutral information drawn from the firm’s website and the training script, but never offer definitive legal advice【213820349183228†L36-L38】.
-• **Appointment booking:** If the caller wishes to schedule a consultation, offer the choice of a **free 15‑minute consultation** (by phone or via Zoom) or a **paid 1‑hour consultation** (via Zoom or in person) that costs $500.  Use the 'book_consultation' tool to collect the caller’s full name, phone number, email address, preferred date and time, and consultation type.  For paid consultations, inform the caller that a secure payment link will be sent via email and that payment is required to confirm the booking.  Confirm the caller’s details before invoking the tool and reassure them that their information will only be used for scheduling purposes【213820349183228†L216-L239】.
-• **Payments:** When a caller asks to pay an outstanding legal fee or deposit, use the 'process_payment' tool.  Record the amount, the caller’s name and the payment method (e.g. Visa, Mastercard, bank transfer).  Acknowledge the payment politely and confirm that a receipt will be sent shortly.
-• **Escalation:** If the caller requests legal advice, insists on speaking with an attorney immediately, has an emergency (such as a sale occurring soon), or presents a complex multi‑practice matter, use the 'escalate_to_human' tool【213820349183228†L239-L244】.  Before escalating, collect the caller’s name, phone number, email, preferred day and time to be contacted, and whether they prefer a call or an email.  Explain that a human will follow up as soon as possible.
-• **Data privacy:** Only collect information necessary to schedule or triage the matter.  If the caller asks why details are needed, explain that the firm collects only what is necessary to book the consultation and that their data will not be shared outside the firm without consent【213820349183228†L225-L228】.  Always confirm personal details back to the caller before ending the call【213820349183228†L39-L40】.
-• **Call closure:** At the end of the conversation, thank the caller for contacting the Law Offices of Pritpal Singh and wish them a good day.  Include the disclaimer if it has not been stated yet.  Do not exceed the scope of informational assistance.
-`,
-  tools: [bookConsultationTool, scheduleAppointmentTool, processPaymentTool, escalatetoHumanTool],
-});
+function createAgents(tenant) {
+  const { firm } = tenant;
+  const instructions = renderTemplate(tenant.agent.instructions, {
+    firmName: firm.name,
+    pronunciation: firm.pronunciation,
+    practiceAreas: firm.practiceAreas.join(', '),
+    paidConsultationPrice: formatPrice(tenant.consultations.paidPrice),
+  }).trimEnd();
+  const tools = TOOLS.filter((candidate) => !tenant.tools || tenant.tools.includes(candidate.name));
+  return {
+    voice: new RealtimeAgent({
+      name: tenant.agent.name,
+      // Rendered as each session starts, so the office status is current.
+      instructions: (runContext) =>
+        [
+          instructions,
+          officeStatusInstructions(tenant),
+          returningCallerInstructions(runContext.context.knownCaller),
+          reminderCallInstructions(runContext.context.reminderBooking),
+          languageInstructions(runContext.context.language),
+        ]
+          .filter(Boolean)
+          .join('\n'),
+      tools,
+    }),
+    sms: new Agent({
+      name: tenant.agent.name,
+      instructions: (runContext) =>
+        [
+          instructions,
+          officeStatusInstructions(tenant),
+          returningCallerInstructions(runContext.context.knownCaller),
+          SMS_INSTRUCTIONS,
+        ]
+          .filter(Boolean)
+          .join('\n'),
+      tools: tools.filter((candidate) => !VOICE_ONLY_TOOLS.includes(candidate.name)),
+      model: SMS_MODEL || undefined,
+    }),
+  };
+}
 
 /*
- * Transcript management
+ * Firms served by this deployment
  *
- * We accumulate conversational turns into a single string which is emailed to
- * the law firm once the WebSocket connection closes.  Each entry is
- * prefixed with the role or item type for clarity.
+ * Each tenant profile gets its own SMTP transport, Stripe client, scheduler
+ * and agent.  Calls are matched to a tenant by the dialled number in
+ * `/incoming-call` and `/media-stream`; tools find it on the session context.
  */
-function createTranscriptManager() {
-  const buffer = [];
-  return {
-    add(entry) {
-      buffer.push(entry);
-    },
-    get() {
-      return buffer.join('\n');
+function createTenant(profile) {
+  // Configure an SMTP transporter using nodemailer.  The SMTP credentials
+  // determine where the call transcripts and tool outputs are delivered.  Use
+  // a dedicated mailbox for outgoing mail (e.g. SendGrid, Gmail, or another
+  // provider).  If your provider requires TLS, set `secure: true` and
+  // configure the appropriate port (usually 465).
+  const transporter = nodemailer.createTransport({
+    host: profile.smtp.host,
+    port: profile.smtp.port,
+    secure: false,
+    auth: {
+      user: profile.smtp.user,
+      pass: profile.smtp.pass,
     },
-    isEmpty() {
-      return buffer.length === 0;
+  });
+
+  // Optional Stripe client used to generate payment links for paid
+  // consultations and fees.
+  const stripeClient = profile.stripe.secretKey
+    ? new Stripe(profile.stripe.secretKey, { apiVersion: '2022-11-15' })
+    : null;
+
+  // Scheduler behind `check_availability` and slot booking.  Calendly is used
+  // when a personal access token is configured; `"scheduler": "stub"` swaps
+  // in an offline calendar for local development.  Without either, the agent
+  // falls back to sending the static scheduling links.
+  let scheduler = null;
+  if (profile.calendly.scheduler === 'stub') {
+    scheduler = createStubScheduler({ eventLinks: profile.calendly.links });
+  } else if (profile.calendly.personalAccessToken) {
+    scheduler = createCalendlyScheduler({
+      token: profile.calendly.personalAccessToken,
+      eventLinks: profile.calendly.links,
+    });
+  }
+
+  // Office schedule behind the after-hours greeting and routing.
+  const businessHours = profile.hours ? createBusinessHours(profile.hours) : null;
+
+  // Approved documents behind `search_firm_knowledge`, reindexed whenever a
+  // file in the folder changes.
+  const knowledgeBase = profile.knowledgeDir ? createKnowledgeBase(profile.knowledgeDir) : null;
+
+  // The firm's own client list, imported again at every start so the
+  // directory follows the file, less any clients erased since.  A broken file
+  // stops the server.
+  if (profile.clientList) {
+    clientDirectory.importClients(profile.id, loadClientList(profile.clientList));
+  }
+
+  const tenant = {
+    ...profile,
+    transporter,
+    stripeClient,
+    scheduler,
+    businessHours,
+    knowledgeBase,
+    // Queue an email from the firm's mailbox; see "Notification outbox"
+    // below.  `options.dedupeKey` names the email so it is only sent once.
+    sendMail: (mail, options) => queueNotification(tenant, 'email', mail, options),
+    // Queue a text message from the firm's Twilio number.  Throws at once
+    // when Twilio is not configured, so callers can tell the client.
+    sendSms: (to, body, options) => {
+      if (!twilioClient || !profile.sms.fromNumber) {
+        throw new Error('Twilio SMS is not configured');
+      }
+      return queueNotification(tenant, 'sms', { to, from: profile.sms.fromNumber, body }, options);
     },
+    // Tell the firm: by email, and in Slack, Teams and the CRM if configured.
+    notifyFirm: (notice, options) => notifyFirm(tenant, notice, options),
   };
+  const agents = createAgents(tenant);
+  tenant.agent = agents.voice;
+  tenant.smsAgent = agents.sms;
+  return tenant;
+}
+
+const tenants = createTenantDirectory(
+  loadTenants(TENANTS_DIR || new URL('./config/tenants/', import.meta.url), {
+    toolNames: TOOLS.map((candidate) => candidate.name),
+  }).map(createTenant)
+);
+
+/*
+ * Notification outbox
+ *
+ * Emails, text messages and the firm's Slack, Teams and CRM webhooks are
+ * queued in the database and sent by the outbox (see src/outbox.js), which
+ * retries failures with backoff and keeps what keeps failing as dead letters
+ * for the admin API to replay.  Queueing returns at once, so a tool never
+ * waits on SMTP or Twilio mid-call.  Everything is masked by the redactor
+ * before it is stored.
+ */
+const outbox = createOutbox({
+  store: outboxStore,
+  tenants,
+  channels: {
+    email: (mail, tenant) => tenant.transporter.sendMail({ from: tenant.smtp.user, ...mail }),
+    sms: ({ to, from, body }) => sendSms(to, body, from),
+    slack: ({ subject, text }, tenant) =>
+      postJson(notificationUrl(tenant, 'slackWebhookUrl'), { text: `*${subject}*\n${text}` }),
+    teams: ({ subject, text }, tenant) =>
+      postJson(notificationUrl(tenant, 'teamsWebhookUrl'), { text: `**${subject}**\n\n${text}` }),
+    webhook: (notice, tenant) =>
+      postJson(
+        notificationUrl(tenant, 'webhookUrl'),
+        { tenantId: tenant.id, firm: tenant.firm.name, ...notice },
+        { secret: tenant.notifications.webhookSecret }
+      ),
+  },
+  maxAttempts: OUTBOX_MAX_ATTEMPTS ? parseInt(OUTBOX_MAX_ATTEMPTS) : undefined,
+  // Reminder jobs follow their message (queued with the dedupe key
+  // `reminder:<job ID>` by `deliverReminder`).
+  onSettled: (message, status) => {
+    const [, jobId] = message.dedupeKey.match(/^reminder:(.+)$/) ?? [];
+    if (!jobId) return;
+    reminderStore.settle(jobId, status === 'sent' ? 'sent' : 'failed', {
+      note: status === 'sent' ? `outbox ${message.id}` : `outbox ${message.id} not delivered`,
+    });
+  },
+});
+
+// The firm's webhook URL for a channel.  Read when the message is sent, so a
+// URL fixed in the profile applies to messages already queued.
+function notificationUrl(tenant, name) {
+  const url = tenant.notifications[name];
+  if (!url) throw new Error(`${name} is not configured for ${tenant.id}`);
+  return url;
+}
+
+// Queue a message for one of a tenant's channels.
+function queueNotification(tenant, channel, payload, { event = null, dedupeKey = null } = {}) {
+  return outbox.enqueue({ tenantId: tenant.id, channel, event, dedupeKey, payload: redactor.redactValue(payload) });
+}
+
+// Whether the firm hears about anything at all: by email or on one of its
+// notification webhooks.
+function firmIsNotified(tenant, to = tenant.emails.lawFirm) {
+  const { slackWebhookUrl, teamsWebhookUrl, webhookUrl } = tenant.notifications;
+  return Boolean(to || slackWebhookUrl || teamsWebhookUrl || webhookUrl);
+}
+
+// Tell the firm about something.  The email goes to `to` (the firm's inbox
+// by default) with any attachments; Slack and Teams get the subject and
+// text, and the CRM webhook gets `event` and `data` as well.  `event` names
+// the kind of notice, e.g. "booking_created".
+function notifyFirm(tenant, notice, { dedupeKey } = {}) {
+  const { event, subject, text, to = tenant.emails.lawFirm, attachments, data = null } = notice;
+  const options = (channel) => ({ event, dedupeKey: dedupeKey ? `${dedupeKey}:${channel}` : null });
+  if (to) {
+    queueNotification(tenant, 'email', { to, subject, text, ...(attachments ? { attachments } : {}) }, options('email'));
+  }
+  if (tenant.notifications.slackWebhookUrl) {
+    queueNotification(tenant, 'slack', { subject, text }, options('slack'));
+  }
+  if (tenant.notifications.teamsWebhookUrl) {
+    queueNotification(tenant, 'teams', { subject, text }, options('teams'));
+  }
+  if (tenant.notifications.webhookUrl) {
+    queueNotification(tenant, 'webhook', { event, subject, text, data }, options('webhook'));
+  }
+}
+
+/*
+ * Call reports
+ *
+ * Calls and SMS conversations keep a structured transcript (see
+ * src/transcript.js).  When one ends it is stored with the call record, then
+ * summarised with action items and sent to the firm: by email with the
+ * transcript attached as HTML and JSON (see src/callReport.js), and to its
+ * Slack, Teams or CRM webhooks if it has them.
+ */
+const callSummarizer = createCallSummarizer({ model: CALL_SUMMARY_MODEL || undefined });
+
+// Send the report for a finished call or conversation to the firm.  The
+// report still goes out, without a summary, if the summary cannot be written.
+async function sendCallReport({ tenant, channel, callSid, caller, called, transcript, endedAt, outcome }) {
+  if (!firmIsNotified(tenant) || transcript.isEmpty()) return;
+  let summary = null;
+  try {
+    summary = await callSummarizer.summarize({ channel, transcript: transcript.toText() });
+  } catch (error) {
+    console.error('Error summarising call:', error);
+  }
+  try {
+    const report = buildCallReport({
+      channel,
+      callSid,
+      firmName: tenant.firm.name,
+      caller,
+      called,
+      startedAt: transcript.startedAt,
+      endedAt,
+      outcome,
+      summary,
+      entries: transcript.entries(),
+      redactions: transcript.redactions(),
+      redactionSummary: redactor.describeCounts(transcript.redactions()),
+      timeZone: tenant.businessHours?.timeZone,
+    });
+    tenant.notifyFirm(
+      {
+        event: 'call_report',
+        ...report,
+        data: { channel, callSid, caller, called, outcome, summary },
+      },
+      { dedupeKey: callSid ? `call:${callSid}:report` : null }
+    );
+  } catch (error) {
+    console.error('Error queueing call report:', error);
+  }
 }
 
+/*
+ * Appointment reminders
+ *
+ * Consultations are reminded 24 hours and 1 hour ahead by email and text
+ * message, and optionally with a call; see src/reminders.js for how the jobs
+ * are planned and sent.  Clients can reply CONFIRM or CANCEL BOOKING to a
+ * text reminder (CANCEL on its own is a carrier opt-out keyword).  The firm
+ * records a no-show through the admin API, which sends the client a link to
+ * book again.
+ */
+const reminders = createReminderScheduler({
+  store: reminderStore,
+  bookingStore,
+  tenants,
+  channels: (tenant) => tenant.reminders,
+  deliver: deliverReminder,
+  timeZone: (tenant) => (tenant.businessHours ?? STANDARD_HOURS).timeZone,
+});
+
+// Plan a booking's reminders.  A failure here must not stop the booking.
+function scheduleReminders(booking) {
+  try {
+    reminders.schedule(booking);
+  } catch (error) {
+    console.error('Error scheduling reminders:', error);
+  }
+}
+
+// Placeholders for the reminder and no-show templates.
+function reminderTemplateValues(tenant, booking, kind) {
+  const link = tenant.calendly.links[booking.consultationType];
+  return {
+    ...firmTemplateValues(tenant),
+    clientName: booking.clientName,
+    consultation: describeConsultation(booking.consultationType),
+    time: describeBookingTime(booking),
+    when: kind === 'reminder_1h' ? 'in an hour' : 'tomorrow',
+    confirmationCode: booking.confirmationCode,
+    replyInstructions: booking.confirmedAt
+      ? 'Reply CANCEL BOOKING to cancel.'
+      : 'Reply CONFIRM to confirm or CANCEL BOOKING to cancel.',
+    rebooking: link ? `You can book a new time here: ${link}` : 'Please call our office to book a new time.',
+  };
+}
+
+// Send one reminder or no-show follow-up.
+async function deliverReminder(job, booking, tenant) {
+  const values = reminderTemplateValues(tenant, booking, job.kind);
+  const noShow = job.kind === 'no_show';
+  if (job.channel === 'email') {
+    if (!booking.clientEmail) return { status: 'skipped', note: 'no email address' };
+    const template = noShow ? tenant.templates.noShow : tenant.templates.reminder;
+    const { id } = tenant.sendMail(
+      {
+        to: booking.clientEmail,
+        subject: renderTemplate(template.subject, values),
+        text: renderTemplate(template.text, values),
+      },
+      { event: job.kind, dedupeKey: `reminder:${job.id}` }
+    );
+    return { status: 'queued', note: `outbox ${id}` };
+  }
+  if (!booking.clientPhone) return { status: 'skipped', note: 'no phone number' };
+  if (!twilioClient) return { status: 'skipped', note: 'Twilio is not configured' };
+  if (job.channel === 'sms') {
+    if (!tenant.sms.fromNumber) return { status: 'skipped', note: 'no SMS number configured' };
+    if (smsStore.isOptedOut(tenant.id, booking.clientPhone)) return { status: 'skipped', note: 'opted out of text messages' };
+    const { id } = tenant.sendSms(
+      booking.clientPhone,
+      renderTemplate(noShow ? tenant.templates.noShowSms : tenant.templates.reminderSms, values),
+      { event: job.kind, dedupeKey: `reminder:${job.id}` }
+    );
+    return { status: 'queued', note: `outbox ${id}` };
+  }
+  // A reminder call needs a public URL for Twilio to fetch its TwiML from.
+  const from = tenant.sms.fromNumber ?? tenant.phoneNumbers[0];
+  if (!PUBLIC_BASE_URL || !from) return { status: 'skipped', note: 'reminder calls need PUBLIC_BASE_URL and a firm number' };
+  const call = await twilioClient.calls.create({
+    to: booking.clientPhone,
+    from,
+    url: new URL(`/reminder-call?booking=${encodeURIComponent(booking.id)}`, PUBLIC_BASE_URL).toString(),
+    machineDetection: 'Enable',
+  });
+  return { status: 'sent', note: `call ${call.sid}` };
+}
+
+// Replies to a text reminder.  Without a reminded booking for the number the
+// message goes to the agent like any other.
+const reminderReplies = {
+  CONFIRM: async ({ tenant, phone }) => {
+    const booking = reminders.findRemindedBooking(tenant, phone);
+    if (!booking) return null;
+    bookingStore.confirm(booking.id);
+    return `${tenant.firm.name}: thank you, your consultation on ${describeBookingTime(booking)} is confirmed. See you then.`;
+  },
+  'CANCEL BOOKING': async ({ tenant, phone }) => {
+    const booking = reminders.findRemindedBooking(tenant, phone);
+    if (!booking) return null;
+    const cancelled = await cancelBooking(tenant, booking, { reason: 'replied to a reminder', via: 'by text message' });
+    return `${tenant.firm.name}: your consultation on ${describeBookingTime(cancelled)} (code ${cancelled.confirmationCode}) is cancelled. ${reminderTemplateValues(tenant, cancelled, 'no_show').rebooking}`;
+  },
+};
+
+// Extra instructions on a reminder call, when the client picks up.
+function reminderCallInstructions(booking) {
+  if (!booking) return '';
+  return `• **Reminder call:** You called this client, they did not call you.  They have just heard a reminder of their ${describeConsultation(booking.consultationType).replace(/^an? /, '')} on ${describeBookingTime(booking)} (confirmation code ${spellOut(booking.confirmationCode)}).  If they want to reschedule or cancel, use that confirmation code with 'reschedule_booking' or 'cancel_booking'.  Otherwise thank them and keep the call short.`;
+}
+
+/*
+ * SMS conversations
+ *
+ * Texts to a firm's number are answered by its SMS agent with the same tools
+ * as a call.  Each conversation is stored as a call record with channel
+ * `sms`, using the first message SID as its ID, and the thread is emailed to
+ * the firm once it has been quiet for SMS_IDLE_TIMEOUT_MINUTES.
+ */
+const smsStore = createSmsStore(db);
+
+// Client messages carry personal details, so SMS runs are not traced.
+const smsRunner = new Runner({ tracingDisabled: true });
+
+// Sent instead of a reply that still breaks a guardrail after being rewritten.
+const SMS_GUARDRAIL_FALLBACK =
+  'I’m not able to help with that by text, but I can pass your question on to our team. Would you like me to do that?';
+
+// Record the tools an SMS agent run used, with their results, against the
+// conversation and in its transcript.  These also determine its outcome.
+function recordToolCalls({ id: callSid, transcript }, items) {
+  const outputs = new Map(
+    items.filter((item) => item.type === 'tool_call_output_item').map((item) => [item.rawItem.callId, item.output])
+  );
+  for (const item of items) {
+    if (item.type !== 'tool_call_item' || item.rawItem.type !== 'function_call') continue;
+    // The transcript entry holds the masked arguments and result.
+    const entry = transcript.tool({
+      name: item.rawItem.name,
+      args: item.rawItem.arguments,
+      result: outputs.get(item.rawItem.callId),
+    });
+    try {
+      callStore.recordToolInvocation(callSid, { name: entry.name, args: entry.arguments, result: entry.result });
+    } catch (error) {
+      console.error('Error recording tool invocation:', error);
+    }
+  }
+}
+
+// The first output guardrail a reply trips, if any.  The guardrails are the
+// realtime ones, so they are handed the history the way a session would.
+async function trippedGuardrail(reply, context, history) {
+  for (const guardrail of outputGuardrails) {
+    const result = await guardrail.execute({ agentOutput: reply, context: { context: { ...context, history } } });
+    if (result.tripwireTriggered) return { guardrail, outputInfo: result.outputInfo };
+  }
+  return null;
+}
+
+// Run the SMS agent on one incoming message and return the reply.  Replies
+// are checked against the same guardrail rules as speech; one that trips a
+// rule is rewritten with the rule's policy hint, and replaced by a fallback
+// if it trips again.
+async function respondToSms(conversation, text) {
+  const { tenant } = conversation;
+  if (!conversation.knownCaller) {
+    conversation.knownCaller = recognizeCaller(tenant, conversation.phone);
+    if (conversation.knownCaller.client) {
+      conversation.transcript.note(`Texting from the number of client ${conversation.knownCaller.client.name ?? conversation.phone}`);
+    }
+  }
+  const context = {
+    tenant,
+    channel: 'sms',
+    callSid: conversation.id,
+    callerNumber: conversation.phone,
+    knownCaller: conversation.knownCaller,
+    publicBaseUrl: conversation.publicBaseUrl,
+    onKnowledgeSources: (query, sources) => conversation.transcript.knowledge(query, sources),
+  };
+  let result = await smsRunner.run(tenant.smsAgent, [...conversation.history, user(text)], { context });
+  recordToolCalls(conversation, result.newItems);
+  for (let attempt = 0; ; attempt++) {
+    const trip = await trippedGuardrail(result.finalOutput, context, result.history);
+    if (!trip) break;
+    conversation.transcript.guardrail(trip.guardrail.name, {
+      ...trip.outputInfo,
+      action: attempt ? 'reply withheld' : 'reply rewritten',
+    });
+    if (attempt) {
+      conversation.history = [...result.history, assistant(SMS_GUARDRAIL_FALLBACK)];
+      return SMS_GUARDRAIL_FALLBACK;
+    }
+    result = await smsRunner.run(tenant.smsAgent, [...result.history, system(trip.guardrail.policyHint)], { context });
+    recordToolCalls(conversation, result.newItems);
+  }
+  conversation.history = result.history;
+  return result.finalOutput;
+}
+
+const smsChannel = createSmsChannel({
+  tenants,
+  smsStore,
+  // Replies go out through the outbox like every other text, from the number
+  // the client texted.  Each part gets its own dedupe key, since the same
+  // words may well be sent twice in one conversation.
+  sendSms: (to, body, from) => {
+    if (!twilioClient || !from) {
+      throw new Error('Twilio SMS is not configured');
+    }
+    queueNotification(tenants.forNumber(from), 'sms', { to, from, body }, {
+      event: 'sms_reply',
+      dedupeKey: `sms_reply:${crypto.randomUUID()}`,
+    });
+  },
+  respond: respondToSms,
+  helpText: (tenant) => renderTemplate(tenant.templates.smsHelp, firmTemplateValues(tenant)),
+  replyKeywords: reminderReplies,
+  redactor,
+  idleTimeoutMs: (SMS_IDLE_TIMEOUT_MINUTES ? parseInt(SMS_IDLE_TIMEOUT_MINUTES) : 30) * 60 * 1000,
+  onConversationStart: ({ id, tenant, phone, number }) => {
+    callStore.startCall({ callSid: id, tenantId: tenant.id, caller: phone, called: number, channel: 'sms' });
+  },
+  // Store the thread and email the report to the firm, like a call.
+  onConversationEnd: async ({ id, tenant, phone, number, transcript }) => {
+    const endedAt = new Date();
+    let outcome = null;
+    try {
+      outcome = callStore.finishCall(id, {
+        transcript: transcript.toText(),
+        entries: transcript.entries(),
+        redactions: transcript.redactions(),
+        endedAt,
+      });
+    } catch (error) {
+      console.error('Error storing SMS conversation:', error);
+    }
+    await sendCallReport({ tenant, channel: 'sms', callSid: id, caller: phone, called: number, transcript, endedAt, outcome });
+  },
+});
+
 // Initialise the Fastify server and register plugins for form parsing and
 // WebSocket support.  Fastify is chosen for its low overhead and built-in
-// WebSocket integration.
+// WebSocket integration.  The plugins are awaited so that the `websocket`
+// route option is recognised when `/media-stream` is declared below.
 const fastify = Fastify();
-fastify.register(fastifyFormBody);
-fastify.register(fastifyWs);
+await fastify.register(fastifyFormBody);
+await fastify.register(fastifyWs);
+await fastify.register(warmTransfer.routes, { preValidation: verifyTwilioSignature });
+await fastify.register(voicemail.routes, { preValidation: verifyTwilioSignature });
+await fastify.register(smsChannel.routes, {
+  preValidation: verifyTwilioSignature,
+  publicBaseUrl: (request) => new URL(publicRequestUrl(request, { publicBaseUrl: PUBLIC_BASE_URL })).origin,
+});
+await fastify.register(stripeWebhookRoutes, { tenants, bookingStore, paymentStore, callStore });
+await fastify.register(adminRoutes, {
+  prefix: '/admin',
+  adminToken: ADMIN_API_TOKEN,
+  callStore,
+  bookingStore,
+  reminders,
+  outbox,
+  retention,
+});
 
-// Greeting that plays when the call is first answered.  Using an Amazon Polly
-// neural voice via Twilio provides a natural-sounding greeting.
-// Greeting that plays when the call is first answered.  This wording follows
-// the training script: it states the firm name, identifies the virtual
-// receptionist, and invites the caller to describe their real‑estate matter.
-const WELCOME_GREETING =
-  'LAW OFFICES OF PRITPAL SINGH—this is the virtual receptionist. How can I assist you with your California real‑estate matter today?';
+// How long the language menu waits for a key before using the first language.
+const LANGUAGE_MENU_TIMEOUT_SECONDS = 5;
+
+// How long the recording consent question waits for an answer.
+const CONSENT_TIMEOUT_SECONDS = 6;
+
+// Ask the caller, in one of the firm's languages, whether the call may be
+// transcribed.  Twilio posts the answer (a key or what was said) to
+// `action`; with no answer at all it is redirected there empty-handed.
+function consentGather(language, action) {
+  const { locale } = LANGUAGES[language.code];
+  const url = escapeXml(action);
+  return `  <Gather input="dtmf speech" numDigits="1" timeout="${CONSENT_TIMEOUT_SECONDS}" speechTimeout="auto" language="${locale}" action="${url}" method="POST">\n    <Say voice="${escapeXml(language.voice)}">${escapeXml(language.consent.prompt)}</Say>\n  </Gather>\n  <Redirect method="POST">${url}</Redirect>`;
+}
+
+// Read the caller's answer to the consent question.  Only 1 or a yes counts
+// as consent (see `agreesToRecording`); 2, a no, anything unclear and
+// silence all count as a refusal.
+// `consentAnswer` says what the caller did, for the transcript.
+function readConsent(language, { Digits: digits, SpeechResult: speech }) {
+  if (digits) {
+    return { consent: digits === '1' ? 'granted' : 'declined', consentAnswer: `pressed ${digits}` };
+  }
+  if (speech) {
+    return {
+      consent: agreesToRecording(language.code, speech) ? 'granted' : 'declined',
+      consentAnswer: `said “${speech}”`,
+    };
+  }
+  return { consent: 'declined', consentAnswer: 'gave no answer' };
+}
 
 // Webhook invoked by Twilio when an incoming call is received.  Respond with
-// TwiML to greet the caller and initiate a media stream over WebSocket.  The
+// TwiML to greet the caller in the voice of the firm that owns the dialled
+// number, and initiate a media stream over WebSocket.  The
 // WebSocket endpoint must be publicly accessible (e.g. via ngrok) for Twilio
-// to connect.
-fastify.all('/incoming-call', async (request, reply) => {
-  const host = request.headers.host;
-  const response = `<?xml version="1.0" encoding="UTF-8"?>\n<Response>\n  <Say voice="Polly.Joanna-Neural">${WELCOME_GREETING}</Say>\n  <Connect>\n    <Stream url="wss://${host}/media-stream" />\n  </Connect>\n</Response>`;
+// to connect.  The stream carries a short-lived token bound to this call SID
+// which `/media-stream` checks before starting a realtime session, plus the
+// caller and dialled numbers for the call record.  While the firm's office is
+// closed the caller first hears the after-hours greeting, and firms that
+// route after-hours calls to voicemail skip the agent altogether.  Firms
+// with a language menu first ask the caller to pick a language; Twilio posts
+// the digit back here, and the greetings, their voice and the agent then
+// follow the caller's choice.  Unless the firm has switched it off, the
+// caller is then asked, in the same language, to agree to the call being
+// transcribed; the answer comes back here too and goes to the agent with the
+// stream.  A caller who declines still talks to the agent, but nothing from
+// the call is stored or emailed.  After-hours callers bound for voicemail
+// are asked too, and are only recorded if they agree.
+fastify.all('/incoming-call', { preValidation: verifyTwilioSignature }, async (request, reply) => {
+  const params = { ...request.query, ...request.body };
+  const { CallSid: callSid, From: from, To: to, Digits: digits } = params;
+  const tenant = tenants.forNumber(to);
+  const say = (text, voice = tenant.voice) => `  <Say voice="${escapeXml(voice)}">${escapeXml(text)}</Say>`;
+  const status = officeStatus(tenant);
+  const toVoicemail = !status.open && tenant.hours.afterHours.route === 'voicemail';
+  const { languages } = tenant;
+  if (languages.menu && !toVoicemail && request.query.menu !== 'done') {
+    // Callers who press nothing (or another key) get the first language.
+    const action = escapeXml('/incoming-call?menu=done');
+    const prompts = languages.options.map((option) => `  ${say(option.prompt, option.voice)}`);
+    reply
+      .type('text/xml')
+      .send(
+        `<?xml version="1.0" encoding="UTF-8"?>\n<Response>\n  <Gather input="dtmf" numDigits="1" timeout="${LANGUAGE_MENU_TIMEOUT_SECONDS}" action="${action}" method="POST">\n${prompts.join('\n')}\n  </Gather>\n  <Redirect method="POST">${action}</Redirect>\n</Response>`
+      );
+    return;
+  }
+  // Only a language the caller actually picked is passed on to the agent.
+  // Once the consent question has been asked the choice is in the query,
+  // since the digits are then the answer to that.
+  const consentAsked = request.query.consent === 'asked';
+  const chosen = !languages.menu
+    ? null
+    : consentAsked
+    ? languages.options.find((option) => option.code === request.query.language)
+    : languages.options.find((option) => option.digit === digits);
+  const welcome = languages.menu ? chosen ?? languages.options[0] : tenant;
+  const language = callerLanguage(tenant, chosen?.code);
+  // Callers sent straight to voicemail only hear the after-hours greeting.
+  const greeting = toVoicemail ? [] : [say(welcome.greeting, welcome.voice)];
+  if (!status.open) {
+    greeting.unshift(say(afterHoursGreeting(tenant, language, status), language.voice));
+  }
+  let consent = {};
+  if (tenant.recordingConsent.enabled && !consentAsked) {
+    const action = `/incoming-call?menu=done&consent=asked${chosen ? `&language=${chosen.code}` : ''}`;
+    reply
+      .type('text/xml')
+      .send(
+        `<?xml version="1.0" encoding="UTF-8"?>\n<Response>\n${greeting.join('\n')}\n${consentGather(language, action)}\n</Response>`
+      );
+    return;
+  }
+  if (consentAsked) {
+    // The caller has heard the greeting already.
+    consent = readConsent(language, params);
+    greeting.length = 0;
+    if (consent.consent === 'declined') {
+      greeting.push(say(language.consent.declined, language.voice));
+    }
+  }
+  if (toVoicemail) {
+    // A message is a recording, so a caller who declined cannot leave one.
+    const body =
+      consent.consent === 'declined'
+        ? `${say(language.consent.noMessage, language.voice)}\n  <Hangup/>`
+        : voicemail.record({
+            callSid,
+            prompt: tenant.hours.afterHours.voicemailPrompt,
+            voice: tenant.voice,
+            details: { tenantId: tenant.id, kind: 'after-hours' },
+          });
+    reply
+      .type('text/xml')
+      .send(`<?xml version="1.0" encoding="UTF-8"?>\n<Response>\n${[...greeting, body].join('\n')}\n</Response>`);
+    return;
+  }
+  const streamUrl = new URL(
+    '/media-stream',
+    publicRequestUrl(request, { publicBaseUrl: PUBLIC_BASE_URL, websocket: true })
+  );
+  const parameters = renderStreamParameters({
+    token: streamTokens.issue(callSid),
+    from,
+    to,
+    ...(chosen ? { language: chosen.code } : {}),
+    ...consent,
+  });
+  const stream = `  <Connect>\n    <Stream url="${streamUrl}">\n${parameters}\n    </Stream>\n  </Connect>`;
+  const response = `<?xml version="1.0" encoding="UTF-8"?>\n<Response>\n${[...greeting, stream].join('\n')}\n</Response>`;
   reply.type('text/xml').send(response);
 });
 
+// TwiML for a reminder call placed by the reminder scheduler.  The client
+// hears the reminder and is then connected to the agent, in case they want
+// to reschedule or cancel; an answering machine only gets the message.  The
+// stream parameters name the client as the caller, like an incoming call.
+// As on incoming calls, the client is asked to agree to the transcript
+// before the agent starts.
+fastify.all('/reminder-call', { preValidation: verifyTwilioSignature }, async (request, reply) => {
+  const params = { ...request.query, ...request.body };
+  const { CallSid: callSid, AnsweredBy: answeredBy = '' } = params;
+  const booking = request.query.booking ? bookingStore.getBooking(request.query.booking) : null;
+  reply.type('text/xml');
+  if (!booking || booking.status === 'cancelled') {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n<Response>\n  <Hangup/>\n</Response>';
+  }
+  const tenant = tenants.get(booking.tenantId);
+  const say = (text) => `  <Say voice="${escapeXml(tenant.voice)}">${escapeXml(text)}</Say>`;
+  const message = say(renderTemplate(tenant.templates.reminderCall, reminderTemplateValues(tenant, booking, 'reminder_24h')));
+  const consentAsked = request.query.consent === 'asked';
+  if (!consentAsked && (answeredBy.startsWith('machine') || answeredBy === 'fax')) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<Response>\n${message}\n${say('If you need to reschedule or cancel, please call our office. Goodbye.')}\n  <Hangup/>\n</Response>`;
+  }
+  // Reminders are in English.
+  const consentLanguage = callerLanguage(tenant, 'en');
+  if (tenant.recordingConsent.enabled && !consentAsked) {
+    const action = `/reminder-call?booking=${encodeURIComponent(booking.id)}&consent=asked`;
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<Response>\n${message}\n${consentGather(consentLanguage, action)}\n</Response>`;
+  }
+  const consent = consentAsked ? readConsent(consentLanguage, params) : {};
+  const declined = consent.consent === 'declined' ? `${say(consentLanguage.consent.declined)}\n` : '';
+  const streamUrl = new URL(
+    '/media-stream',
+    publicRequestUrl(request, { publicBaseUrl: PUBLIC_BASE_URL, websocket: true })
+  );
+  const parameters = renderStreamParameters({
+    token: streamTokens.issue(callSid),
+    from: booking.clientPhone,
+    to: tenant.sms.fromNumber ?? tenant.phoneNumbers[0],
+    booking: booking.id,
+    ...consent,
+  });
+  const reminder = consentAsked ? '' : `${message}\n`;
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<Response>\n${reminder}${declined}${say('If you need to reschedule or cancel, just tell me now.')}\n  <Connect>\n    <Stream url="${streamUrl}">\n${parameters}\n    </Stream>\n  </Connect>\n</Response>`;
+});
+
+// The transcript speaker of a realtime message, by its role.
+const TRANSCRIPT_SPEAKERS = { user: 'client', assistant: 'agent' };
+
+// Stored in place of the transcript of a call whose caller declined.
+const NO_CONSENT_TRANSCRIPT = 'System: the caller did not agree to the call being transcribed, so no transcript was kept';
+
 // WebSocket handler for Twilio media streams.  When Twilio connects to this
 // endpoint the server will establish a realtime session with OpenAI and
-// forward audio to and from the model.  Conversation history is captured
-// via history events for later email.
-fastify.get('/media-stream', { websocket: true }, async (connection) => {
-  // Create a new transcript manager per connection
-  const transcriptManager = createTranscriptManager();
+// forward audio to and from the model.  Conversation history and session
+// events are captured in a structured transcript for the call report.  The
+// handshake must carry a valid Twilio signature, and no realtime session is
+// opened until the stream's start message has presented the token issued by
+// `/incoming-call`.
+fastify.get('/media-stream', { websocket: true, preValidation: verifyTwilioSignature }, async (connection, request) => {
+  // Create a new transcript per connection
+  const transcript = createTranscript({ redactor });
+  // Set once the stream is verified, so a failure to start the realtime
+  // session can send the caller to voicemail instead of dead air.
+  let fallback = null;
+  // Set once the call record has been finished, by whichever of the hangup
+  // and a failure to start comes first.
+  let finished = false;
   try {
+    const { start, replay } = await waitForStreamStart(connection.socket);
+    if (!streamTokens.verify(start.customParameters?.token, start.callSid)) {
+      console.warn(`Rejected media stream for call ${start.callSid}: invalid or expired stream token`);
+      connection.socket.close(1008, 'Forbidden');
+      return;
+    }
+    const { callSid } = start;
+    const caller = start.customParameters?.from;
+    const called = start.customParameters?.to;
+    const tenant = tenants.forNumber(called);
+    // Set when the caller was asked to agree to the transcript.  A caller who
+    // declined gets no stored transcript and no call report.
+    const consent = start.customParameters?.consent ?? null;
+    const keepRecord = consent !== 'declined';
+    callStore.startCall({ callSid, tenantId: tenant.id, caller, called, consent });
+    if (consent) {
+      const agreed = consent === 'granted' ? 'agreed' : 'did not agree';
+      transcript.note(`Caller ${agreed} to the call being transcribed (${start.customParameters.consentAnswer})`);
+    }
+    const knownCaller = recognizeCaller(tenant, caller);
+    // Set on reminder calls placed through `/reminder-call`.
+    const reminderBooking = start.customParameters?.booking
+      ? bookingStore.getBooking(start.customParameters.booking)
+      : null;
+    // Set when the caller picked a language in the phone menu.
+    const language = tenant.languages.options.find((option) => option.code === start.customParameters?.language);
+    if (language) {
+      transcript.note(`Caller chose ${language.name} in the language menu`);
+    }
+    if (knownCaller.client) {
+      transcript.note(`Calling from the number of client ${knownCaller.client.name ?? caller}`);
+    }
     // Establish the transport layer bridging the Twilio media stream and the
     // OpenAI realtime session.
     const transport = new TwilioRealtimeTransportLayer({
-      twilioWebSocket: connection,
+      twilioWebSocket: connection.socket,
     });
-    const session = new RealtimeSession(agent, {
+    // Tools read the tenant, the call SID and our public origin from the
+    // session context when they need to act on the live call (e.g. a warm
+    // transfer).
+    const publicBaseUrl = new URL(publicRequestUrl(request, { publicBaseUrl: PUBLIC_BASE_URL })).origin;
+    fallback = { callSid, tenant, publicBaseUrl, consent };
+    const session = new RealtimeSession(tenant.agent, {
       transport,
+      context: {
+        tenant,
+        channel: 'voice',
+        callSid,
+        callerNumber: caller,
+        knownCaller,
+        reminderBooking,
+        language: language?.code,
+        consent,
+        publicBaseUrl,
+        // Note which approved documents each knowledge search drew on.
+        onKnowledgeSources: (query, sources) => transcript.knowledge(query, sources),
+      },
+      outputGuardrails,
+      outputGuardrailSettings: {
+        debounceTextLength: guardrailConfig.debounceTextLength,
+      },
+      // The SDK's default transcription model, told which language to expect.
+      ...(language
+        ? { config: { inputAudioTranscription: { model: 'gpt-4o-mini-transcribe', language: language.code } } }
+        : {}),
     });
-    // Start streaming events.  This asynchronous generator yields events such
-    // as history updates, tool calls and handoffs.  Use a for-await loop to
-    // handle them as they arrive.
-    (async () => {
-      for await (const event of session.stream()) {
-        if (event.type === 'history_added') {
-          const { item } = event;
-          // Determine how to extract text from different item types
-          let roleLabel = '';
-          let text = '';
-          if (item.role) {
-            roleLabel = item.role;
-          } else if (item.type) {
-            roleLabel = item.type;
-          }
-          if (item.content && Array.isArray(item.content)) {
-            // The content property is an array of InputText objects
-            text = item.content.map((c) => c.text).filter(Boolean).join(' ');
-          }
-          // Some items (e.g. audio) may have a transcript property
-          if (!text && item.transcript) {
-            text = item.transcript;
-          }
-          if (text) {
-            transcriptManager.add(`${roleLabel}: ${text}`);
-          }
-        } else if (event.type === 'handoff') {
-          // When a handoff event occurs the conversation is being transferred.
-          transcriptManager.add('System: conversation handed off to a human agent');
-        }
+    // Capture conversation events as they arrive.  Messages, tool calls,
+    // handoffs, interruptions and guardrail trips all end up in the
+    // transcript.  A spoken message is added before its transcription is
+    // ready, so its text is filled in as the history is updated.
+    const addMessage = (item) => {
+      if (item.type !== 'message' || !TRANSCRIPT_SPEAKERS[item.role]) return;
+      const text = item.content
+        .map((part) => part.text ?? part.transcript)
+        .filter(Boolean)
+        .join(' ');
+      transcript.message(TRANSCRIPT_SPEAKERS[item.role], text, { itemId: item.itemId });
+    };
+    session.on('history_added', addMessage);
+    session.on('history_updated', (history) => history.forEach(addMessage));
+    session.on('agent_handoff', () => {
+      // When a handoff event occurs the conversation is being transferred.
+      transcript.handoff();
+    });
+    // The caller started talking while the agent was speaking.
+    session.on('audio_interrupted', () => transcript.interruption());
+    // Record every tool the agent runs, with its arguments and result, against
+    // the call.  These also determine the call's outcome.
+    session.on('agent_tool_end', (_context, _agent, tool, result, { toolCall }) => {
+      // The transcript entry holds the masked arguments and result.
+      const entry = transcript.tool({ name: tool.name, args: toolCall.arguments, result });
+      try {
+        // Without consent only the tool's name is kept, for the outcome.
+        callStore.recordToolInvocation(
+          callSid,
+          keepRecord ? { name: entry.name, args: entry.arguments, result: entry.result } : { name: entry.name }
+        );
+      } catch (error) {
+        console.error('Error recording tool invocation:', error);
       }
-    })();
-    // Connect to the OpenAI realtime API.  Note that connecting after
-    // registering the event loop ensures we capture all events.
-    await session.connect({ apiKey: OPENAI_API_KEY });
-    console.log('Connected to OpenAI realtime API');
-    // When the WebSocket connection closes send the transcript via email
+    });
+    // The SDK has already interrupted the response and sent the policy hint
+    // back to the model by the time this fires; we only record the trip.
+    session.on('guardrail_tripped', (_context, _agent, error) => {
+      const { guardrail, output } = error.result;
+      transcript.guardrail(guardrail.name, { ...output.outputInfo, action: 'response interrupted' });
+    });
+    // Without a listener the emitter would throw and take down every call on
+    // this server, so transport errors are logged instead.
+    session.on('error', (event) => {
+      console.error('Realtime session error:', event.error);
+    });
+    // When the WebSocket connection closes store the call record and email
+    // the call report, unless the caller declined.  This is set up before
+    // connecting, so a caller who hangs up while the session is still
+    // starting is recorded too.
     connection.socket.on('close', async () => {
-      if (!transcriptManager.isEmpty()) {
-        const transcriptText = transcriptManager.get();
-        try {
-          if (LAW_FIRM_EMAIL) {
-            await transporter.sendMail({
-              from: SMTP_USER,
-              to: LAW_FIRM_EMAIL,
-              subject: 'Call transcript',
-              text: transcriptText,
-            });
-          }
-        } catch (error) {
-          console.error('Error sending transcript email:', error);
+      if (finished) return;
+      finished = true;
+      if (!transcript.isEmpty()) {
+        // Final audit: flag calls that ended without the disclaimer, e.g.
+        // because the caller hung up before the agent closed the call.
+        if (!historyHasDisclaimer(session.history, guardrailConfig)) {
+          transcript.guardrail('disclaimer_missing', {
+            reason: 'the attorney-client disclaimer was not stated during this call',
+          });
         }
       }
+      const endedAt = new Date();
+      let outcome = null;
+      try {
+        outcome = callStore.finishCall(
+          callSid,
+          keepRecord
+            ? {
+                transcript: transcript.toText(),
+                entries: transcript.entries(),
+                redactions: transcript.redactions(),
+                endedAt,
+              }
+            : { transcript: NO_CONSENT_TRANSCRIPT, endedAt }
+        );
+      } catch (error) {
+        console.error('Error storing call record:', error);
+      }
+      if (keepRecord) {
+        await sendCallReport({ tenant, channel: 'voice', callSid, caller, called, transcript, endedAt, outcome });
+      }
     });
+    // Connect to the OpenAI realtime API.  Note that connecting after
+    // registering the event handlers ensures we capture all events.
+    await session.connect({ apiKey: OPENAI_API_KEY });
+    console.log('Connected to OpenAI realtime API');
+    if (finished) {
+      // The caller hung up while we were connecting.
+      session.close();
+      return;
+    }
+    // The transport only starts listening to Twilio once connected, so hand
+    // it the start message it missed; it needs the stream SID from it.
+    replay();
+    fallback = null;
   } catch (err) {
     console.error('Realtime connection error:', err);
-    connection.close();
+    if (fallback && !finished) {
+      finished = true;
+      await sendToVoicemailAfterFailure(fallback);
+    }
+    connection.socket.close();
   }
 });
 
+// The realtime session could not be started: apologise and take a message
+// rather than leaving the caller in silence.  A caller who declined to be
+// recorded only hears the apology.
+async function sendToVoicemailAfterFailure({ callSid, tenant, publicBaseUrl, consent }) {
+  try {
+    callStore.finishCall(callSid, { transcript: 'System: the realtime session could not be started' });
+  } catch (error) {
+    console.error('Error storing call record:', error);
+  }
+  if (!voicemail.isAvailable()) return;
+  try {
+    const declined = consent === 'declined';
+    await voicemail.redirect({
+      callSid,
+      publicBaseUrl,
+      prompt: declined
+        ? 'I’m sorry, our virtual receptionist is unavailable right now. Please call us again later. Goodbye.'
+        : 'I’m sorry, our virtual receptionist is unavailable right now. Please leave your name, number and a short message after the tone, and we will call you back.',
+      voice: tenant.voice,
+      record: !declined,
+      details: { tenantId: tenant.id, kind: 'session-failed' },
+    });
+  } catch (error) {
+    console.error('Error redirecting call to voicemail:', error);
+  }
+}
+
 // Basic health-check route to verify the server is running
 fastify.get('/', async () => {
   return { ok: true };
 });
 
+// Flag paid consultations that are still unpaid after the deadline.
+startOverduePaymentSweep({ bookingStore, tenants });
+
+// Send appointment reminders and no-show follow-ups as they fall due.
+reminders.start();
+
+// Send queued notifications, retrying those that failed.
+outbox.start();
+
+// Delete transcripts and client data once they are past the retention period.
+retention.start();
+
 // Start the HTTP server.  Use the provided PORT or default to 3000.
 const port = PORT ? parseInt(PORT) : 3000;
 fastify.listen({ port }, (err, address) => {
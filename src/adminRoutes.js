@@ -0,0 +1,166 @@
+import crypto from 'node:crypto';
+import { z } from 'zod';
+import { CALL_OUTCOMES } from './callStore.js';
+import { OUTBOX_CHANNELS, OUTBOX_STATUSES } from './outboxStore.js';
+import { normalizePhone } from './toolInputs.js';
+
+/*
+ * Admin API
+ *
+ * JSON routes for the firm's staff to review stored calls and bookings, to
+ * record a client who missed their consultation, to review and replay
+ * notifications that could not be delivered, and to erase everything held
+ * about a client who asks for it.  Every route requires
+ * `Authorization: Bearer <ADMIN_API_TOKEN>`; when no token is configured the
+ * API stays closed.  Register with a prefix, e.g.
+ * `fastify.register(adminRoutes, { prefix: '/admin', ... })`.
+ */
+
+const listCallsQuery = z.object({
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  tenant: z.string().optional(),
+  channel: z.enum(['voice', 'sms']).optional(),
+  caller: z.string().optional(),
+  outcome: z.enum(CALL_OUTCOMES).optional(),
+  q: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+// Without a status, the dead letters are listed.
+const listOutboxQuery = z.object({
+  status: z.enum(OUTBOX_STATUSES).default('dead'),
+  tenant: z.string().optional(),
+  channel: z.enum(OUTBOX_CHANNELS).optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+const eraseClientQuery = z
+  .object({
+    phone: z.string().trim().min(1).optional(),
+    email: z.string().trim().toLowerCase().email().optional(),
+  })
+  .refine(({ phone, email }) => phone || email, { message: 'give a phone number or an email address' });
+
+function tokensMatch(expected, actual) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Fastify plugin serving the admin API.
+ *
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {object} options
+ * @param {string} [options.adminToken] Bearer token required on every request.
+ * @param {ReturnType<import('./callStore.js').createCallStore>} options.callStore
+ * @param {ReturnType<import('./bookingStore.js').createBookingStore>} options.bookingStore
+ * @param {ReturnType<import('./reminders.js').createReminderScheduler>} options.reminders
+ * @param {ReturnType<import('./outbox.js').createOutbox>} options.outbox
+ * @param {ReturnType<import('./retention.js').createDataRetention>} options.retention
+ */
+export async function adminRoutes(fastify, { adminToken, callStore, bookingStore, reminders, outbox, retention }) {
+  fastify.addHook('onRequest', async (request, reply) => {
+    const [scheme, token] = (request.headers.authorization ?? '').split(' ');
+    if (!adminToken || scheme !== 'Bearer' || !token || !tokensMatch(adminToken, token)) {
+      console.warn(`Rejected admin request to ${request.url} from ${request.ip}`);
+      await reply.code(401).send({ error: 'Unauthorized' });
+    }
+  });
+
+  // List calls, optionally filtered by start date, caller number, outcome or
+  // a full-text search (`q`) over the transcript.
+  fastify.get('/calls', async (request, reply) => {
+    const parsed = listCallsQuery.safeParse(request.query);
+    if (!parsed.success) {
+      return reply.code(400).send({ error: 'Invalid query', issues: parsed.error.issues });
+    }
+    return { calls: callStore.listCalls(parsed.data) };
+  });
+
+  // Fetch a single call with its transcript and tool invocations.
+  fastify.get('/calls/:callSid', async (request, reply) => {
+    const call = callStore.getCall(request.params.callSid);
+    if (!call) {
+      return reply.code(404).send({ error: 'Call not found' });
+    }
+    return call;
+  });
+
+  // Fetch a booking by its confirmation code, with its reminders.
+  fastify.get('/bookings/:code', async (request, reply) => {
+    const booking = bookingStore.getBookingByCode(request.params.code);
+    if (!booking) {
+      return reply.code(404).send({ error: 'Booking not found' });
+    }
+    return { ...booking, reminders: reminders.listForBooking(booking.id) };
+  });
+
+  // Record that the client missed their consultation.  They are sent the
+  // no-show follow-up with a link to book again.
+  fastify.post('/bookings/:code/no-show', async (request, reply) => {
+    const booking = bookingStore.getBookingByCode(request.params.code);
+    if (!booking) {
+      return reply.code(404).send({ error: 'Booking not found' });
+    }
+    if (booking.status === 'cancelled') {
+      return reply.code(409).send({ error: 'Booking was cancelled' });
+    }
+    if (booking.noShowAt) {
+      return reply.code(409).send({ error: 'No-show already recorded' });
+    }
+    const updated = reminders.recordNoShow(booking);
+    return { ...updated, reminders: reminders.listForBooking(booking.id) };
+  });
+
+  // List queued notifications, by default the dead letters: messages that
+  // failed every attempt.
+  fastify.get('/outbox', async (request, reply) => {
+    const parsed = listOutboxQuery.safeParse(request.query);
+    if (!parsed.success) {
+      return reply.code(400).send({ error: 'Invalid query', issues: parsed.error.issues });
+    }
+    const { tenant, ...filters } = parsed.data;
+    return { messages: outbox.listMessages({ ...filters, tenantId: tenant }) };
+  });
+
+  // Fetch a single notification with its payload and last error.
+  fastify.get('/outbox/:id', async (request, reply) => {
+    const message = outbox.getMessage(request.params.id);
+    if (!message) {
+      return reply.code(404).send({ error: 'Message not found' });
+    }
+    return message;
+  });
+
+  // Send a dead letter again, with a fresh set of attempts.
+  fastify.post('/outbox/:id/replay', async (request, reply) => {
+    const message = outbox.getMessage(request.params.id);
+    if (!message) {
+      return reply.code(404).send({ error: 'Message not found' });
+    }
+    if (message.status !== 'dead') {
+      return reply.code(409).send({ error: `Message is ${message.status}, not dead` });
+    }
+    return outbox.replay(message.id) ?? reply.code(409).send({ error: 'Message is no longer dead' });
+  });
+
+  // Erase everything held about a client, by phone number and/or email
+  // address.  Answers with how many records of each kind were deleted.
+  fastify.delete('/client-data', async (request, reply) => {
+    const parsed = eraseClientQuery.safeParse(request.query);
+    if (!parsed.success) {
+      return reply.code(400).send({ error: 'Invalid query', issues: parsed.error.issues });
+    }
+    const phone = parsed.data.phone ? normalizePhone(parsed.data.phone) : null;
+    if (phone?.error) {
+      return reply.code(400).send({ error: 'Invalid phone number' });
+    }
+    const deleted = retention.eraseClient({ phone: phone?.value, email: parsed.data.email });
+    console.log(`Erased client data on request from ${request.ip}:`, deleted);
+    return { deleted };
+  });
+}
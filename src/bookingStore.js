@@ -0,0 +1,392 @@
+import crypto from 'node:crypto';
+import { ensureColumns } from './db.js';
+
+/*
+ * Consultation bookings
+ *
+ * Each `book_consultation` call creates a booking row.  Paid consultations
+ * carry the Stripe payment link that was sent to the client and a payment
+ * deadline; the Stripe webhook moves them from `pending` to `paid` (or
+ * `failed`) and a periodic sweep flags the ones still unpaid after the
+ * deadline as `overdue`.  Free consultations are `not_required`.  When the
+ * caller picked an open time, the slot and the single-use scheduling link
+ * reserved for it are stored too, and so is the language they picked in the
+ * phone menu, for the emails that follow.
+ *
+ * Every booking gets a short confirmation code that is read back to the
+ * caller, so they can later look it up, reschedule or cancel it.  Cancelled
+ * bookings are kept with `status = 'cancelled'`; an unpaid payment is then
+ * `cancelled` too.  A client who confirms after a reminder sets
+ * `confirmed_at` (cleared again when the booking moves), and the firm can
+ * record a missed consultation as `no_show_at`.
+ *
+ * Bookings are deleted once both the booking and its consultation are older
+ * than the retention period, unless their payment is still pending, and
+ * when the client asks for their data to be erased (see `retention.js`).
+ */
+
+export const PAYMENT_STATUSES = ['not_required', 'pending', 'paid', 'failed', 'overdue', 'cancelled'];
+
+export const BOOKING_STATUSES = ['booked', 'rescheduled', 'cancelled'];
+
+// Confirmation codes avoid characters that are easily confused when read
+// aloud or written down (0/O, 1/I/L, 5/S, 8/B).
+const CODE_ALPHABET = '2345679ACDEFGHJKMNPQRTUVWXYZ';
+const CODE_LENGTH = 6;
+
+function generateConfirmationCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Normalise a confirmation code as spoken or typed by a caller, e.g.
+ * "k7m 3qx" becomes "K7M3QX".
+ */
+export function normaliseConfirmationCode(code) {
+  return String(code).toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+// Last ten digits of a phone number, so "+1 (510) 443-2123" and "5104432123"
+// compare equal.
+function phoneKey(phone) {
+  return String(phone ?? '').replace(/\D/g, '').slice(-10);
+}
+
+function toIso(value) {
+  return (value instanceof Date ? value : new Date(value)).toISOString();
+}
+
+function rowToBooking(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    confirmationCode: row.confirmation_code,
+    status: row.status,
+    callSid: row.call_sid,
+    consultationType: row.consultation_type,
+    date: row.date,
+    time: row.time,
+    scheduledStart: row.scheduled_start,
+    schedulingUrl: row.scheduling_url,
+    clientName: row.client_name,
+    clientPhone: row.client_phone,
+    clientEmail: row.client_email,
+    paymentStatus: row.payment_status,
+    paymentLinkId: row.payment_link_id,
+    paymentUrl: row.payment_url,
+    paymentDueAt: row.payment_due_at,
+    paidAt: row.paid_at,
+    amountPaid: row.amount_paid,
+    currency: row.currency,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    cancelledAt: row.cancelled_at,
+    confirmedAt: row.confirmed_at,
+    noShowAt: row.no_show_at,
+    language: row.language,
+  };
+}
+
+/**
+ * Create the booking store on top of an open database.
+ *
+ * @param {import('better-sqlite3').Database} db
+ */
+export function createBookingStore(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bookings (
+      id TEXT PRIMARY KEY,
+      call_sid TEXT,
+      consultation_type TEXT NOT NULL,
+      date TEXT NOT NULL,
+      time TEXT NOT NULL,
+      client_name TEXT NOT NULL,
+      client_phone TEXT,
+      client_email TEXT,
+      payment_status TEXT NOT NULL,
+      payment_link_id TEXT,
+      payment_url TEXT,
+      payment_due_at TEXT,
+      paid_at TEXT,
+      amount_paid INTEGER,
+      currency TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS bookings_payment_link ON bookings (payment_link_id);
+    CREATE INDEX IF NOT EXISTS bookings_payment_status ON bookings (payment_status, payment_due_at);
+
+    CREATE TABLE IF NOT EXISTS stripe_events (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      received_at TEXT NOT NULL
+    );
+  `);
+  ensureColumns(db, 'bookings', {
+    tenant_id: 'TEXT',
+    scheduled_start: 'TEXT',
+    scheduling_url: 'TEXT',
+    confirmation_code: 'TEXT',
+    status: "TEXT NOT NULL DEFAULT 'booked'",
+    updated_at: 'TEXT',
+    cancelled_at: 'TEXT',
+    confirmed_at: 'TEXT',
+    no_show_at: 'TEXT',
+    language: 'TEXT',
+  });
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS bookings_confirmation_code ON bookings (confirmation_code);
+    CREATE INDEX IF NOT EXISTS bookings_client_name ON bookings (client_name COLLATE NOCASE);
+  `);
+
+  const insertBooking = db.prepare(`
+    INSERT INTO bookings (
+      id, tenant_id, confirmation_code, call_sid, consultation_type, date, time, scheduled_start,
+      scheduling_url, client_name, client_phone, client_email, payment_status, language, created_at
+    ) VALUES (
+      @id, @tenantId, @confirmationCode, @callSid, @consultationType, @date, @time, @scheduledStart,
+      @schedulingUrl, @clientName, @clientPhone, @clientEmail, @paymentStatus, @language, @createdAt
+    )
+  `);
+  const updatePaymentLink = db.prepare(`
+    UPDATE bookings SET payment_link_id = @paymentLinkId, payment_url = @paymentUrl,
+      payment_due_at = @paymentDueAt
+    WHERE id = @id
+  `);
+  const selectById = db.prepare('SELECT * FROM bookings WHERE id = ?');
+  const selectByCode = db.prepare('SELECT * FROM bookings WHERE confirmation_code = ?');
+  const selectActiveByName = db.prepare(`
+    SELECT * FROM bookings
+    WHERE client_name = ? COLLATE NOCASE AND status != 'cancelled'
+    ORDER BY created_at DESC
+  `);
+  const updateSchedule = db.prepare(`
+    UPDATE bookings SET date = @date, time = @time, scheduled_start = @scheduledStart,
+      scheduling_url = @schedulingUrl, status = 'rescheduled', confirmed_at = NULL, updated_at = @updatedAt
+    WHERE id = @id
+  `);
+  const updateCancelled = db.prepare(`
+    UPDATE bookings SET status = 'cancelled', cancelled_at = @cancelledAt, updated_at = @cancelledAt,
+      payment_status = CASE
+        WHEN payment_status IN ('pending', 'failed', 'overdue') THEN 'cancelled'
+        ELSE payment_status
+      END
+    WHERE id = @id
+  `);
+  const updateConfirmed = db.prepare('UPDATE bookings SET confirmed_at = @at, updated_at = @at WHERE id = @id');
+  const updateNoShow = db.prepare('UPDATE bookings SET no_show_at = @at, updated_at = @at WHERE id = @id');
+  const selectUpcoming = db.prepare(`
+    SELECT * FROM bookings WHERE status != 'cancelled' AND date >= ? ORDER BY date, time
+  `);
+  const selectByPaymentLink = db.prepare('SELECT * FROM bookings WHERE payment_link_id = ?');
+  const selectPendingByClient = db.prepare(`
+    SELECT * FROM bookings
+    WHERE client_email = ? COLLATE NOCASE AND client_name = ? COLLATE NOCASE
+      AND payment_status IN ('pending', 'failed', 'overdue')
+    ORDER BY created_at DESC LIMIT 1
+  `);
+  const updatePaid = db.prepare(`
+    UPDATE bookings SET payment_status = 'paid', paid_at = @paidAt,
+      amount_paid = @amountPaid, currency = @currency
+    WHERE id = @id
+  `);
+  const updateStatus = db.prepare('UPDATE bookings SET payment_status = ? WHERE id = ?');
+  const selectOverdue = db.prepare(`
+    SELECT * FROM bookings WHERE payment_status = 'pending' AND payment_due_at <= ?
+  `);
+  const deleteBefore = db.prepare(`
+    DELETE FROM bookings WHERE created_at < @cutoff AND date < @cutoffDay AND payment_status != 'pending'
+  `);
+  const selectByEmail = db.prepare('SELECT * FROM bookings WHERE client_email = ? COLLATE NOCASE');
+  const selectWithPhone = db.prepare('SELECT * FROM bookings WHERE client_phone IS NOT NULL');
+  const deleteById = db.prepare('DELETE FROM bookings WHERE id = ?');
+  const insertEvent = db.prepare(`
+    INSERT OR IGNORE INTO stripe_events (id, type, received_at) VALUES (?, ?, ?)
+  `);
+  const selectEvent = db.prepare('SELECT 1 FROM stripe_events WHERE id = ?');
+
+  return {
+    /**
+     * Record a new booking and return it.  Paid consultations start as
+     * `pending` until the Stripe webhook confirms payment.
+     */
+    createBooking({
+      tenantId = null,
+      callSid = null,
+      consultationType,
+      date,
+      time,
+      scheduledStart = null,
+      schedulingUrl = null,
+      clientName,
+      clientPhone,
+      clientEmail,
+      paid,
+      language = null,
+    }) {
+      const id = crypto.randomUUID();
+      let confirmationCode = generateConfirmationCode();
+      while (selectByCode.get(confirmationCode)) {
+        confirmationCode = generateConfirmationCode();
+      }
+      insertBooking.run({
+        id,
+        tenantId,
+        confirmationCode,
+        callSid,
+        consultationType,
+        date,
+        time,
+        scheduledStart: scheduledStart && toIso(scheduledStart),
+        schedulingUrl,
+        clientName,
+        clientPhone,
+        clientEmail,
+        paymentStatus: paid ? 'pending' : 'not_required',
+        language,
+        createdAt: toIso(new Date()),
+      });
+      return rowToBooking(selectById.get(id));
+    },
+
+    /** Attach the Stripe payment link sent to the client. */
+    setPaymentLink(id, { paymentLinkId, paymentUrl, paymentDueAt }) {
+      updatePaymentLink.run({ id, paymentLinkId, paymentUrl, paymentDueAt: toIso(paymentDueAt) });
+    },
+
+    getBooking(id) {
+      return rowToBooking(selectById.get(id));
+    },
+
+    getBookingByCode(code) {
+      return rowToBooking(selectByCode.get(normaliseConfirmationCode(code)));
+    },
+
+    /**
+     * Bookings that are not cancelled for a client, newest first, matched by
+     * name and phone number.
+     */
+    findActiveBookings({ clientName, clientPhone }) {
+      const key = phoneKey(clientPhone);
+      if (!key) return [];
+      return selectActiveByName
+        .all(clientName.trim())
+        .filter((row) => phoneKey(row.client_phone) === key)
+        .map(rowToBooking);
+    },
+
+    /** Move a booking to a new date and time. */
+    reschedule(id, { date, time, scheduledStart = null, schedulingUrl = null }) {
+      updateSchedule.run({
+        id,
+        date,
+        time,
+        scheduledStart: scheduledStart && toIso(scheduledStart),
+        schedulingUrl,
+        updatedAt: toIso(new Date()),
+      });
+      return rowToBooking(selectById.get(id));
+    },
+
+    /** Cancel a booking.  An outstanding payment is cancelled with it. */
+    cancel(id, { cancelledAt = new Date() } = {}) {
+      updateCancelled.run({ id, cancelledAt: toIso(cancelledAt) });
+      return rowToBooking(selectById.get(id));
+    },
+
+    /** Record that the client confirmed they will attend. */
+    confirm(id, { confirmedAt = new Date() } = {}) {
+      updateConfirmed.run({ id, at: toIso(confirmedAt) });
+      return rowToBooking(selectById.get(id));
+    },
+
+    /** Record that the client missed the consultation. */
+    markNoShow(id, { noShowAt = new Date() } = {}) {
+      updateNoShow.run({ id, at: toIso(noShowAt) });
+      return rowToBooking(selectById.get(id));
+    },
+
+    /**
+     * Bookings that are not cancelled, on or after a `YYYY-MM-DD` day,
+     * soonest first.  With `clientPhone`, only that client's.
+     */
+    listUpcoming({ fromDate, clientPhone = null }) {
+      const key = clientPhone && phoneKey(clientPhone);
+      return selectUpcoming
+        .all(fromDate)
+        .filter((row) => !key || phoneKey(row.client_phone) === key)
+        .map(rowToBooking);
+    },
+
+    /**
+     * Find the booking a Stripe checkout session pays for.  The booking ID in
+     * the metadata is authoritative; the payment link and the client's name
+     * and email are fallbacks for links created before booking IDs existed.
+     */
+    findBookingForPayment({ bookingId, paymentLinkId, clientName, clientEmail }) {
+      const row =
+        (bookingId && selectById.get(bookingId)) ||
+        (paymentLinkId && selectByPaymentLink.get(paymentLinkId)) ||
+        (clientEmail && clientName && selectPendingByClient.get(clientEmail, clientName));
+      return rowToBooking(row);
+    },
+
+    markPaid(id, { paidAt = new Date(), amountPaid, currency }) {
+      updatePaid.run({ id, paidAt: toIso(paidAt), amountPaid, currency });
+    },
+
+    setPaymentStatus(id, status) {
+      updateStatus.run(status, id);
+    },
+
+    /** Pending bookings whose payment deadline has passed. */
+    listOverdueUnpaid(now = new Date()) {
+      return selectOverdue.all(toIso(now)).map(rowToBooking);
+    },
+
+    /**
+     * Delete the bookings made, and for consultations held, before `cutoff`.
+     * Returns how many.
+     */
+    deleteBefore(cutoff) {
+      const at = toIso(cutoff);
+      return deleteBefore.run({ cutoff: at, cutoffDay: at.slice(0, 10) }).changes;
+    },
+
+    /**
+     * Delete every booking made with a client's phone number or email
+     * address.  Returns the deleted bookings.
+     */
+    deleteForClient({ phone = null, email = null }) {
+      const key = phone && phoneKey(phone);
+      const rows = new Map();
+      if (email) {
+        for (const row of selectByEmail.all(email)) rows.set(row.id, row);
+      }
+      if (key) {
+        for (const row of selectWithPhone.all()) {
+          if (phoneKey(row.client_phone) === key) rows.set(row.id, row);
+        }
+      }
+      for (const id of rows.keys()) deleteById.run(id);
+      return [...rows.values()].map(rowToBooking);
+    },
+
+    /** Whether a Stripe event has already been processed. */
+    hasStripeEvent(id) {
+      return Boolean(selectEvent.get(id));
+    },
+
+    /**
+     * Remember a processed Stripe event, so redelivered webhooks are not
+     * processed twice.  Returns `false` if it was already recorded.
+     */
+    recordStripeEvent(event) {
+      return insertEvent.run(event.id, event.type, toIso(new Date())).changes > 0;
+    },
+  };
+}
@@ -0,0 +1,195 @@
+/*
+ * Office hours
+ *
+ * A firm's schedule is a set of weekly opening hours in its own time zone,
+ * plus holidays (whole days: one date, the same date every year, or a rule
+ * such as the fourth Thursday of November) and one-off closures between two
+ * local times.  `/incoming-call` uses it to
+ * pick the greeting and whether the call goes to the agent or straight to
+ * voicemail; the agent is told whether the office is open so it does not
+ * promise a same-day callback at 11pm; and `escalate_to_human` only attempts a
+ * live transfer while someone is there to answer.
+ *
+ * All comparisons are made on local wall-clock strings (`YYYY-MM-DD` and
+ * `HH:MM`), so daylight saving changes need no special handling.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// How far ahead to look for the next opening before giving up.
+const MAX_LOOKAHEAD_DAYS = 31;
+
+function addDays(day, count) {
+  const date = new Date(`${day}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + count);
+  return date.toISOString().slice(0, 10);
+}
+
+function weekdayOf(day) {
+  return WEEKDAYS[new Date(`${day}T12:00:00Z`).getUTCDay()];
+}
+
+// A holiday's date in `year`: "2026-11-26" as it is, "12-25" in that year,
+// and "11-thursday-4" the fourth Thursday of November ("05-monday-last" the
+// last Monday of May).
+function holidayDate(date, year) {
+  if (/^\d{4}-/.test(date)) return date;
+  const rule = date.match(/^(\d{2})-([a-z]+)-([1-4]|last)$/);
+  if (!rule) return `${year}-${date}`;
+  const [, month, weekday, nth] = rule;
+  const first = `${year}-${month}-01`;
+  let day = addDays(first, (WEEKDAYS.indexOf(weekday) - WEEKDAYS.indexOf(weekdayOf(first)) + 7) % 7);
+  const weeks = nth === 'last' ? 4 : Number(nth) - 1;
+  for (let week = 0; week < weeks && addDays(day, 7).slice(5, 7) === month; week++) day = addDays(day, 7);
+  return day;
+}
+
+// "17:30" -> "5:30 PM"
+function formatTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 || hours === 24 ? 'AM' : 'PM'}`;
+}
+
+function formatDay(day, today) {
+  if (day === today) return 'today';
+  if (day === addDays(today, 1)) return 'tomorrow';
+  return new Date(`${day}T12:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+/**
+ * Build a firm's office schedule.
+ *
+ * @param {object} hours
+ * @param {string} hours.timeZone IANA time zone of the office.
+ * @param {Record<string, string[]>} hours.weekly Opening hours per weekday
+ *   (`monday` … `sunday`) as `"HH:MM-HH:MM"` ranges.
+ * @param {{ date: string, name: string, daysAfter?: number }[]} [hours.holidays]
+ *   Closed days as `YYYY-MM-DD`, `MM-DD` for a holiday on the same date every
+ *   year, or `MM-<weekday>-<n>` for the nth (1-4 or `last`) weekday of a
+ *   month.  `daysAfter` moves the day on, e.g. to the day after
+ *   Thanksgiving.
+ * @param {{ start: string, end: string, reason: string }[]} [hours.closures]
+ *   One-off closures between local `YYYY-MM-DDTHH:MM` times.
+ */
+export function createBusinessHours({ timeZone, weekly, holidays = [], closures = [] }) {
+  const windows = Object.fromEntries(
+    WEEKDAYS.map((weekday) => [
+      weekday,
+      (weekly[weekday] ?? [])
+        .map((range) => {
+          const [start, end] = range.split('-');
+          return { start, end };
+        })
+        .sort((a, b) => a.start.localeCompare(b.start)),
+    ])
+  );
+  const localFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  });
+  const timeZoneName = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longGeneric' })
+    .formatToParts(new Date())
+    .find((part) => part.type === 'timeZoneName').value;
+
+  function localTime(date) {
+    const parts = Object.fromEntries(localFormat.formatToParts(date).map((part) => [part.type, part.value]));
+    return { day: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+  }
+
+  function holidayOn(day) {
+    const year = Number(day.slice(0, 4));
+    // A holiday late in December may move on into the next year.
+    return holidays.find((holiday) =>
+      [year, year - 1].some((candidate) => addDays(holidayDate(holiday.date, candidate), holiday.daysAfter ?? 0) === day)
+    );
+  }
+
+  function closureAt(day, time) {
+    const at = `${day}T${time}`;
+    return closures.find((closure) => at >= closure.start && at < closure.end);
+  }
+
+  function windowAt(day, time) {
+    return windows[weekdayOf(day)].find((window) => time >= window.start && time < window.end);
+  }
+
+  function isOpenAt(day, time) {
+    return !holidayOn(day) && !closureAt(day, time) && Boolean(windowAt(day, time));
+  }
+
+  // The first local time after `day`/`time` when the office is open.  Openings
+  // are either the start of a window or the end of a closure.
+  function nextOpening(day, time) {
+    for (let offset = 0; offset < MAX_LOOKAHEAD_DAYS; offset++) {
+      const candidateDay = addDays(day, offset);
+      const candidates = [
+        ...windows[weekdayOf(candidateDay)].map((window) => window.start),
+        ...closures.filter((closure) => closure.end.startsWith(candidateDay)).map((closure) => closure.end.slice(11)),
+      ].sort();
+      for (const candidate of candidates) {
+        if ((offset > 0 || candidate > time) && isOpenAt(candidateDay, candidate)) {
+          return { day: candidateDay, time: candidate };
+        }
+      }
+    }
+    return null;
+  }
+
+  return {
+    timeZone,
+
+    /** Spoken name of the office time zone, e.g. "Pacific Time". */
+    timeZoneName,
+
+    /**
+     * Whether the office is open at a local `YYYY-MM-DD` day and `HH:MM`
+     * time, e.g. for a requested appointment.
+     */
+    isOpenAt,
+
+    /**
+     * Whether the office is open at `date`.  Returns `{ open, reason, note,
+     * until, reopens, day, reopensAt }`: `reason` is `open`, `after-hours`,
+     * `holiday` or `closure`; `note` names the holiday or closure; `until` is
+     * the closing time while open and `reopens` the next opening while
+     * closed, both phrased for speech ("5:00 PM", "tomorrow at 9:00 AM").
+     * `day` is the local day and `reopensAt` the next opening as local `{
+     * day, time }`, for phrasing it in another language.
+     */
+    statusAt(date = new Date()) {
+      const { day, time } = localTime(date);
+      const holiday = holidayOn(day);
+      const closure = !holiday && closureAt(day, time);
+      const window = !holiday && !closure && windowAt(day, time);
+      if (window) {
+        // Close early if a closure starts before the window ends.
+        const closesAt = closures
+          .filter((candidate) => candidate.start.startsWith(day))
+          .map((candidate) => candidate.start.slice(11))
+          .filter((start) => start > time && start < window.end)
+          .reduce((earliest, start) => (start < earliest ? start : earliest), window.end);
+        return { open: true, reason: 'open', note: null, until: formatTime(closesAt), reopens: null, day, reopensAt: null };
+      }
+      const opening = nextOpening(day, time);
+      return {
+        open: false,
+        reason: holiday ? 'holiday' : closure ? 'closure' : 'after-hours',
+        note: holiday?.name ?? closure?.reason ?? null,
+        until: null,
+        reopens: opening && `${formatDay(opening.day, day)} at ${formatTime(opening.time)}`,
+        day,
+        reopensAt: opening,
+      };
+    },
+  };
+}
@@ -0,0 +1,205 @@
+import { OFFICE_TIME_ZONE } from './scheduler.js';
+import { escapeXml } from './twilioStream.js';
+import { describeEntry, formatOffset } from './transcript.js';
+
+/*
+ * Call reports
+ *
+ * The email sent to the firm after a call or text conversation.  The body
+ * gives the caller, the number they contacted, when and for how long, the
+ * outcome and the AI-written summary with its action items; the full
+ * transcript is attached twice, as an HTML page for reading and as JSON for
+ * anything that wants to process it.  When sensitive data was masked in the
+ * transcript, the report says how much.
+ */
+
+const SPEAKERS = { client: 'Client', agent: 'Assistant' };
+
+const ENTRY_LABELS = {
+  tool: 'Tool',
+  guardrail: 'Guardrail',
+  interruption: 'Interruption',
+  handoff: 'Handoff',
+  knowledge: 'Knowledge',
+  note: 'System',
+};
+
+/**
+ * A duration in words, e.g. "4 min 12 s".
+ */
+export function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const parts = [];
+  if (hours) parts.push(`${hours} h`);
+  if (minutes) parts.push(`${minutes} min`);
+  if (!hours && (total % 60 || !minutes)) parts.push(`${total % 60} s`);
+  return parts.join(' ');
+}
+
+function formatDate(date, timeZone, style) {
+  return new Date(date).toLocaleString('en-US', {
+    timeZone,
+    weekday: style,
+    month: style,
+    day: 'numeric',
+    ...(style === 'long' ? { year: 'numeric' } : {}),
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  });
+}
+
+// The transcript as a standalone HTML page.
+function renderHtml(report, entries, details) {
+  const rows = entries.map((entry) => {
+    const who = entry.type === 'message' ? SPEAKERS[entry.speaker] ?? entry.speaker : ENTRY_LABELS[entry.type];
+    let body;
+    if (entry.type === 'message') {
+      body = escapeXml(entry.text);
+    } else if (entry.type === 'tool') {
+      body = `<strong>${escapeXml(entry.name)}</strong><pre>${escapeXml(JSON.stringify(entry.arguments, null, 2))}</pre><pre>${escapeXml(entry.result ?? '(no result)')}</pre>`;
+    } else {
+      // Drop the "Label: " prefix already shown in the first column.
+      body = escapeXml(describeEntry(entry).replace(/^[^:]+: /, ''));
+    }
+    return `<tr class="${entry.type}"><td>${formatOffset(entry.at, report.startedAt)}</td><td>${escapeXml(who)}${entry.language ? ` <small>${escapeXml(entry.language)}</small>` : ''}</td><td>${body}</td></tr>`;
+  });
+  const actionItems = report.actionItems.length
+    ? `<ul>${report.actionItems.map((item) => `<li>${escapeXml(item)}</li>`).join('')}</ul>`
+    : '<p>None.</p>';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(report.title)}</title>
+<style>
+  body { font-family: sans-serif; max-width: 60rem; margin: 2rem auto; color: #222; }
+  table { border-collapse: collapse; width: 100%; }
+  td { border-top: 1px solid #ddd; padding: 0.4rem; vertical-align: top; }
+  td:first-child { color: #777; font-variant-numeric: tabular-nums; }
+  tr.tool, tr.knowledge, tr.handoff, tr.note { background: #f4f6fa; }
+  tr.guardrail, tr.interruption { background: #fdf3e7; }
+  pre { margin: 0.3rem 0; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(report.title)}</h1>
+<dl>
+${details.map(([label, value]) => `  <dt>${escapeXml(label)}</dt><dd>${escapeXml(value)}</dd>`).join('\n')}
+</dl>
+<h2>Summary</h2>
+<p>${escapeXml(report.summary ?? 'Not available.')}</p>
+<h2>Action items</h2>
+${actionItems}
+<h2>Transcript</h2>
+<table>
+${rows.join('\n')}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the report email for a finished call or text conversation.
+ *
+ * @param {object} call
+ * @param {'voice' | 'sms'} call.channel
+ * @param {string} call.callSid Call SID, or the conversation ID for SMS.
+ * @param {string} call.firmName
+ * @param {string | null} call.caller
+ * @param {string | null} call.called
+ * @param {Date} call.startedAt
+ * @param {Date} call.endedAt
+ * @param {string | null} call.outcome
+ * @param {{ summary: string, actionItems: string[] } | null} call.summary
+ *   Null when the summary could not be written.
+ * @param {object[]} call.entries Transcript entries; see src/transcript.js.
+ * @param {Record<string, number>} [call.redactions] Sensitive values masked
+ *   in the transcript, by type.
+ * @param {string | null} [call.redactionSummary] The same in words.
+ * @param {string} [call.timeZone] Time zone for the dates in the email.
+ * @returns {{ subject: string, text: string, attachments: object[] }} Ready
+ *   for nodemailer.
+ */
+export function buildCallReport({
+  channel,
+  callSid,
+  firmName,
+  caller,
+  called,
+  startedAt,
+  endedAt,
+  outcome,
+  summary,
+  entries,
+  redactions = {},
+  redactionSummary = null,
+  timeZone = OFFICE_TIME_ZONE,
+}) {
+  const sms = channel === 'sms';
+  const who = caller || 'unknown caller';
+  const durationSeconds = (new Date(endedAt) - new Date(startedAt)) / 1000;
+  const duration = formatDuration(durationSeconds);
+  const report = {
+    title: sms ? `Text conversation with ${who}` : `Call from ${who}`,
+    startedAt: new Date(startedAt).toISOString(),
+    summary: summary?.summary ?? null,
+    actionItems: summary?.actionItems ?? [],
+  };
+  const details = [
+    [sms ? 'Client number' : 'Caller', who],
+    [sms ? 'Firm number' : 'Number called', called || 'unknown'],
+    ['Firm', firmName],
+    ['Started', formatDate(startedAt, timeZone, 'long')],
+    ['Duration', duration],
+    ['Outcome', outcome ?? 'unknown'],
+    [sms ? 'Conversation ID' : 'Call SID', callSid],
+    ...(redactionSummary ? [['Redacted', redactionSummary]] : []),
+  ];
+
+  const text = [
+    ...details.map(([label, value]) => `${label}: ${value}`),
+    '',
+    'Summary:',
+    report.summary ?? 'Not available; please read the attached transcript.',
+    '',
+    'Action items:',
+    ...(report.actionItems.length ? report.actionItems.map((item) => `- ${item}`) : ['None.']),
+    '',
+    'The full transcript is attached as HTML and JSON.',
+    '',
+  ].join('\n');
+
+  const json = {
+    callSid,
+    channel,
+    firm: firmName,
+    caller,
+    called,
+    startedAt: report.startedAt,
+    endedAt: new Date(endedAt).toISOString(),
+    durationSeconds: Math.round(durationSeconds),
+    outcome,
+    summary: report.summary,
+    actionItems: report.actionItems,
+    redactions,
+    entries,
+  };
+
+  const name = `${sms ? 'conversation' : 'call'}-${callSid}`;
+  return {
+    subject: `${report.title} on ${formatDate(startedAt, timeZone, 'short')}, ${duration} (${outcome ?? 'unknown'})`,
+    text,
+    attachments: [
+      { filename: `${name}.html`, content: renderHtml(report, entries, details), contentType: 'text/html; charset=utf-8' },
+      {
+        filename: `${name}.json`,
+        content: `${JSON.stringify(json, null, 2)}\n`,
+        contentType: 'application/json; charset=utf-8',
+      },
+    ],
+  };
+}
@@ -0,0 +1,334 @@
+import { ensureColumns } from './db.js';
+
+/*
+ * Call records
+ *
+ * Every media stream is stored as a row in `calls` together with the tools
+ * the agent invoked during it.  SMS conversations are stored the same way,
+ * with `channel` set to `sms` and the first message SID as their ID.  The
+ * plain-text transcript is indexed with SQLite FTS5 so the admin API can
+ * search across calls; the structured transcript entries (see
+ * `transcript.js`) are kept alongside it as JSON, together with the count of
+ * sensitive values masked in the call (see `redaction.js`).  The call row is
+ * created as soon as the stream starts and tools are recorded as they run,
+ * and the transcript is stored before the end-of-call email is attempted,
+ * so nothing is lost when SMTP is unavailable.
+ *
+ * `consent` holds the caller's answer to the recording consent question
+ * (`granted` or `declined`), or null where none was asked.  Calls are
+ * deleted once they are older than the retention period, or when a client
+ * asks for their data to be erased; see `retention.js`.
+ */
+
+export const CALL_OUTCOMES = [
+  'booked',
+  'escalated',
+  'payment_requested',
+  'paid',
+  'cancelled',
+  'voicemail',
+  'abandoned',
+];
+
+// Tools whose use determines the outcome of a call.  When several were used
+// the earliest entry in this list wins: an escalation matters more to the
+// firm than a booking made earlier in the same call.  A call that requested
+// a payment only becomes `paid` once Stripe confirms it (see `markPaid`).
+const OUTCOME_TOOLS = [
+  ['escalated', ['escalate_to_human']],
+  ['payment_requested', ['process_payment']],
+  ['booked', ['book_consultation', 'schedule_appointment', 'reschedule_booking']],
+  ['cancelled', ['cancel_booking']],
+  ['voicemail', ['leave_voicemail']],
+];
+
+/**
+ * Work out the outcome of a call from the names of the tools it invoked.
+ *
+ * @param {string[]} toolNames
+ * @returns {'booked' | 'escalated' | 'payment_requested' | 'cancelled' | 'voicemail' | 'abandoned'}
+ */
+export function deriveOutcome(toolNames) {
+  const used = new Set(toolNames);
+  const match = OUTCOME_TOOLS.find(([, tools]) => tools.some((name) => used.has(name)));
+  return match ? match[0] : 'abandoned';
+}
+
+// Turn free text into an FTS5 query that matches documents containing every
+// word.  Quoting each term keeps punctuation in user input (e.g. "o'brien" or
+// "+1510") from being parsed as FTS syntax.
+function toFtsQuery(text) {
+  return text
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((term) => `"${term.replace(/"/g, '""')}"`)
+    .join(' ');
+}
+
+function parseArguments(json) {
+  try {
+    return JSON.parse(json);
+  } catch {
+    return json;
+  }
+}
+
+function toIso(value) {
+  return (value instanceof Date ? value : new Date(value)).toISOString();
+}
+
+function rowToCall(row) {
+  return {
+    callSid: row.call_sid,
+    tenantId: row.tenant_id,
+    caller: row.caller,
+    called: row.called,
+    channel: row.channel,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    outcome: row.outcome,
+    consent: row.consent,
+    redactions: row.redactions ? JSON.parse(row.redactions) : {},
+  };
+}
+
+/**
+ * Create the call store on top of an open database.
+ *
+ * @param {import('better-sqlite3').Database} db
+ */
+export function createCallStore(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS calls (
+      id INTEGER PRIMARY KEY,
+      call_sid TEXT NOT NULL UNIQUE,
+      caller TEXT,
+      called TEXT,
+      started_at TEXT NOT NULL,
+      ended_at TEXT,
+      transcript TEXT NOT NULL DEFAULT '',
+      outcome TEXT
+    );
+    CREATE INDEX IF NOT EXISTS calls_started_at ON calls (started_at);
+    CREATE INDEX IF NOT EXISTS calls_caller ON calls (caller);
+
+    CREATE TABLE IF NOT EXISTS call_tool_invocations (
+      id INTEGER PRIMARY KEY,
+      call_id INTEGER NOT NULL REFERENCES calls (id) ON DELETE CASCADE,
+      tool_name TEXT NOT NULL,
+      arguments TEXT NOT NULL,
+      result TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS call_tool_invocations_call ON call_tool_invocations (call_id);
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS calls_fts USING fts5 (
+      transcript, content='calls', content_rowid='id'
+    );
+    CREATE TRIGGER IF NOT EXISTS calls_fts_insert AFTER INSERT ON calls BEGIN
+      INSERT INTO calls_fts (rowid, transcript) VALUES (new.id, new.transcript);
+    END;
+    CREATE TRIGGER IF NOT EXISTS calls_fts_delete AFTER DELETE ON calls BEGIN
+      INSERT INTO calls_fts (calls_fts, rowid, transcript) VALUES ('delete', old.id, old.transcript);
+    END;
+    CREATE TRIGGER IF NOT EXISTS calls_fts_update AFTER UPDATE OF transcript ON calls BEGIN
+      INSERT INTO calls_fts (calls_fts, rowid, transcript) VALUES ('delete', old.id, old.transcript);
+      INSERT INTO calls_fts (rowid, transcript) VALUES (new.id, new.transcript);
+    END;
+  `);
+  ensureColumns(db, 'calls', {
+    tenant_id: 'TEXT',
+    channel: "TEXT NOT NULL DEFAULT 'voice'",
+    transcript_entries: 'TEXT',
+    redactions: 'TEXT',
+    consent: 'TEXT',
+  });
+
+  const insertCall = db.prepare(`
+    INSERT OR IGNORE INTO calls (call_sid, tenant_id, caller, called, channel, consent, started_at)
+    VALUES (@callSid, @tenantId, @caller, @called, @channel, @consent, @startedAt)
+  `);
+  const insertToolInvocation = db.prepare(`
+    INSERT INTO call_tool_invocations (call_id, tool_name, arguments, result, created_at)
+    SELECT id, @name, @arguments, @result, @createdAt FROM calls WHERE call_sid = @callSid
+  `);
+  const selectToolNames = db.prepare(`
+    SELECT t.tool_name FROM call_tool_invocations t
+    JOIN calls c ON c.id = t.call_id
+    WHERE c.call_sid = ?
+  `);
+  const updateCall = db.prepare(`
+    UPDATE calls
+    SET ended_at = @endedAt, transcript = @transcript, transcript_entries = @entries,
+      redactions = @redactions, outcome = @outcome
+    WHERE call_sid = @callSid
+  `);
+  const selectCall = db.prepare('SELECT * FROM calls WHERE call_sid = ?');
+  const markPaid = db.prepare(`
+    UPDATE calls SET outcome = 'paid' WHERE call_sid = ? AND (outcome IS NULL OR outcome = 'payment_requested')
+  `);
+  const selectToolInvocations = db.prepare(`
+    SELECT tool_name, arguments, result, created_at FROM call_tool_invocations
+    WHERE call_id = ? ORDER BY id
+  `);
+  // Tool invocations and the search index entries go with the call.
+  const deleteBefore = db.prepare('DELETE FROM calls WHERE started_at < ?');
+  const deleteByCaller = db.prepare('DELETE FROM calls WHERE caller = ?');
+  const deleteBySid = db.prepare('DELETE FROM calls WHERE call_sid = ?');
+  const selectMentioning = db.prepare(`
+    SELECT c.call_sid FROM calls_fts JOIN calls c ON c.id = calls_fts.rowid WHERE calls_fts MATCH ?
+  `);
+
+  return {
+    /**
+     * Record the start of a call.  Calling this twice for the same SID (e.g.
+     * when Twilio reconnects a stream) keeps the original record.
+     */
+    startCall({
+      callSid,
+      tenantId = null,
+      caller = null,
+      called = null,
+      channel = 'voice',
+      consent = null,
+      startedAt = new Date(),
+    }) {
+      insertCall.run({ callSid, tenantId, caller, called, channel, consent, startedAt: toIso(startedAt) });
+    },
+
+    /**
+     * Record a tool invocation.  `args` is stored as JSON; the SDK hands us the
+     * raw JSON string, which is kept as-is.
+     */
+    recordToolInvocation(callSid, { name, args, result, createdAt = new Date() }) {
+      insertToolInvocation.run({
+        callSid,
+        name,
+        arguments: typeof args === 'string' ? args : JSON.stringify(args ?? {}),
+        result: result == null ? null : String(result),
+        createdAt: toIso(createdAt),
+      });
+    },
+
+    /**
+     * Store the final transcript, as text and optionally as structured
+     * entries with the redaction counts, and work out the outcome of the call
+     * from the tools it used.  Returns the outcome.
+     */
+    finishCall(callSid, { transcript, entries = null, redactions = null, endedAt = new Date() }) {
+      let outcome = deriveOutcome(selectToolNames.all(callSid).map((row) => row.tool_name));
+      // The client may have paid before the call ended.
+      if (outcome === 'payment_requested' && selectCall.get(callSid)?.outcome === 'paid') outcome = 'paid';
+      updateCall.run({
+        callSid,
+        transcript,
+        entries: entries && JSON.stringify(entries),
+        redactions: redactions && JSON.stringify(redactions),
+        endedAt: toIso(endedAt),
+        outcome,
+      });
+      return outcome;
+    },
+
+    /**
+     * Record that a payment requested during a call has been made, making
+     * the call's outcome `paid` unless something else (e.g. an escalation)
+     * decided it.
+     */
+    markPaid(callSid) {
+      markPaid.run(callSid);
+    },
+
+    /**
+     * List calls, newest first.  `from`/`to` bound the start time, `q` is a
+     * full-text search over the transcripts.
+     */
+    listCalls({ from, to, tenant, channel, caller, outcome, q, limit = 50, offset = 0 } = {}) {
+      const where = [];
+      const params = { limit, offset };
+      if (from) {
+        where.push('c.started_at >= @from');
+        params.from = toIso(from);
+      }
+      if (to) {
+        where.push('c.started_at < @to');
+        params.to = toIso(to);
+      }
+      if (tenant) {
+        where.push('c.tenant_id = @tenant');
+        params.tenant = tenant;
+      }
+      if (channel) {
+        where.push('c.channel = @channel');
+        params.channel = channel;
+      }
+      if (caller) {
+        where.push('c.caller = @caller');
+        params.caller = caller;
+      }
+      if (outcome) {
+        where.push('c.outcome = @outcome');
+        params.outcome = outcome;
+      }
+      let source = 'calls c';
+      let snippet = 'NULL';
+      if (q && toFtsQuery(q)) {
+        source = 'calls_fts JOIN calls c ON c.id = calls_fts.rowid';
+        where.push('calls_fts MATCH @q');
+        snippet = `snippet(calls_fts, 0, '[', ']', '…', 12)`;
+        params.q = toFtsQuery(q);
+      }
+      const rows = db
+        .prepare(
+          `SELECT c.*, ${snippet} AS excerpt FROM ${source}
+           ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+           ORDER BY c.started_at DESC LIMIT @limit OFFSET @offset`
+        )
+        .all(params);
+      return rows.map((row) => ({
+        ...rowToCall(row),
+        ...(row.excerpt ? { excerpt: row.excerpt } : {}),
+      }));
+    },
+
+    /**
+     * Fetch a single call with its transcript (text and entries) and tool
+     * invocations, or `null` if no such call was recorded.
+     */
+    getCall(callSid) {
+      const row = selectCall.get(callSid);
+      if (!row) return null;
+      return {
+        ...rowToCall(row),
+        transcript: row.transcript,
+        transcriptEntries: row.transcript_entries ? JSON.parse(row.transcript_entries) : null,
+        toolInvocations: selectToolInvocations.all(row.id).map((invocation) => ({
+          name: invocation.tool_name,
+          arguments: parseArguments(invocation.arguments),
+          result: invocation.result,
+          createdAt: invocation.created_at,
+        })),
+      };
+    },
+
+    /** Delete the calls that started before `cutoff`.  Returns how many. */
+    deleteBefore(cutoff) {
+      return deleteBefore.run(toIso(cutoff)).changes;
+    },
+
+    /**
+     * Delete a client's calls: those from their phone number, those whose
+     * transcript mentions their email address, and the calls in `callSids`
+     * (e.g. where they made a booking).  Returns how many were deleted.
+     */
+    deleteForClient({ phone = null, email = null, callSids = [] }) {
+      const sids = new Set(callSids.filter(Boolean));
+      if (email) {
+        for (const row of selectMentioning.all(toFtsQuery(email))) sids.add(row.call_sid);
+      }
+      let deleted = phone ? deleteByCaller.run(phone).changes : 0;
+      for (const sid of sids) deleted += deleteBySid.run(sid).changes;
+      return deleted;
+    },
+  };
+}
@@ -0,0 +1,58 @@
+import { Agent, Runner } from '@openai/agents';
+import { z } from 'zod';
+
+/*
+ * Post-call summaries
+ *
+ * After a call or text conversation the transcript is summarised for the
+ * firm's staff: a few sentences on who got in touch and what happened, plus
+ * the follow-up the firm needs to do.  The summary goes at the top of the
+ * report email.  Transcripts hold client details, so these runs are not
+ * traced.
+ */
+
+const summarySchema = z.object({
+  summary: z.string().describe('Two to four sentences on who got in touch, what they wanted and what the assistant did.'),
+  actionItems: z
+    .array(z.string())
+    .describe('Follow-up the firm’s staff need to do, one short imperative sentence each.  Empty if none.'),
+});
+
+const INSTRUCTIONS = `You summarise conversations between clients and a law firm's virtual receptionist for the firm's staff.
+
+Write the summary in English, whatever language the conversation was in.  Name the client if they gave their name.  Mention bookings, payments, escalations and voicemail, with confirmation codes, dates and amounts where given.  Do not add anything that is not in the transcript.
+
+Action items are things a person at the firm must do next, e.g. "Call Maria Lopez back about the boundary dispute before Friday" or "Refund the paid consultation fee for booking ABC234".  Do not list things the assistant already did, such as sending a booking confirmation.`;
+
+/**
+ * Create the summariser.
+ *
+ * @param {object} [options]
+ * @param {string} [options.model] OpenAI model; the Agents SDK default when
+ *   omitted.
+ */
+export function createCallSummarizer({ model } = {}) {
+  const agent = new Agent({
+    name: 'Call summariser',
+    instructions: INSTRUCTIONS,
+    outputType: summarySchema,
+    model,
+  });
+  const runner = new Runner({ tracingDisabled: true });
+
+  return {
+    /**
+     * Summarise a transcript.
+     *
+     * @param {object} conversation
+     * @param {'voice' | 'sms'} conversation.channel
+     * @param {string} conversation.transcript Plain-text transcript.
+     * @returns {Promise<{ summary: string, actionItems: string[] }>}
+     */
+    async summarize({ channel, transcript }) {
+      const kind = channel === 'sms' ? 'text message conversation' : 'phone call';
+      const result = await runner.run(agent, `Summarise this ${kind}.\n\n${transcript}`);
+      return result.finalOutput;
+    },
+  };
+}
@@ -0,0 +1,460 @@
+import crypto from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { z } from 'zod';
+import { OFFICE_TIME_ZONE } from './scheduler.js';
+import { localNow, normalizeDate, normalizePhone } from './toolInputs.js';
+
+/*
+ * Client directory
+ *
+ * Returning callers are recognised by the number they call or text from.
+ * Each firm's directory is filled from the bookings and escalations the agent
+ * takes, and from the firm's own client list when its profile names one
+ * (`clientList`, a CSV or JSON file imported at startup).  Imported clients
+ * can carry their matters, each with a status line the firm has approved for
+ * sharing, plus a date of birth and/or PIN for the caller to prove who they
+ * are before `lookup_matter_status` reads a status out.
+ *
+ * Dates of birth and PINs are stored hashed.  A PIN has only 10,000 values,
+ * so the hash keeps them out of plain sight rather than making them
+ * uncrackable; guessing is limited instead: after MAX_FAILED_VERIFICATIONS
+ * wrong answers in a row, across calls, verification is refused for
+ * LOCKOUT_HOURS.
+ *
+ * The name and email of an imported client are the firm's, so bookings and
+ * escalations only fill them in for clients the agent met first.
+ *
+ * Clients the agent met are deleted once they have not been in touch for the
+ * retention period; imported ones stay for as long as the firm lists them.
+ * Erasing a client's data removes them either way (see `retention.js`).
+ * The erased phone number and email address are remembered, hashed, and
+ * imports leave out clients listed with either, so a client list that still
+ * names them does not bring them back at the next start.
+ */
+
+export const MAX_FAILED_VERIFICATIONS = 5;
+export const LOCKOUT_HOURS = 24;
+
+// scrypt cost.  Low, so that importing a long client list stays quick; see
+// above for why that is enough.
+const SCRYPT_OPTIONS = { N: 1024 };
+
+// Blank values count as not given; PINs may be written as numbers in JSON.
+const optionalString = z
+  .union([z.string(), z.number()])
+  .nullish()
+  .transform((value) => (value == null ? null : String(value).trim() || null));
+
+const matterSchema = z.object({
+  reference: z.string().trim().min(1),
+  title: z.string().trim().min(1),
+  status: optionalString,
+  updatedAt: optionalString,
+});
+
+const clientRecordSchema = z.object({
+  phone: z.string(),
+  name: optionalString,
+  email: optionalString,
+  dateOfBirth: optionalString,
+  pin: optionalString,
+  matters: z.array(matterSchema).default([]),
+});
+
+// CSV columns, one row per matter (a client without matters has one row with
+// the matter columns empty).
+const CSV_COLUMNS = {
+  phone: 'phone',
+  name: 'name',
+  email: 'email',
+  date_of_birth: 'dateOfBirth',
+  pin: 'pin',
+  matter_reference: 'reference',
+  matter_title: 'title',
+  matter_status: 'status',
+  matter_updated: 'updatedAt',
+};
+
+function toIso(value) {
+  return (value instanceof Date ? value : new Date(value)).toISOString();
+}
+
+// How an erased phone number or email address is remembered: hashed, so the
+// directory does not keep the details it was asked to erase in plain sight.
+function erasureKey(kind, value) {
+  return crypto.createHash('sha256').update(`${kind}:${String(value).toLowerCase()}`).digest('hex');
+}
+
+function erasureKeys({ phone, email }) {
+  return [phone && erasureKey('phone', phone), email && erasureKey('email', email)].filter(Boolean);
+}
+
+// Matter references as spoken or typed, e.g. "m 1024" and "M-1024", compare
+// equal.
+function referenceKey(reference) {
+  return String(reference).toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+/**
+ * A date of birth as `YYYY-MM-DD`, or null.  The year must be given in full
+ * and the date must be in the past.
+ */
+export function normalizeBirthDate(input) {
+  if (!/\d{4}/.test(String(input))) return null;
+  const today = localNow(OFFICE_TIME_ZONE).day;
+  const result = normalizeDate(input, { today });
+  return result.value && result.value < today ? result.value : null;
+}
+
+/**
+ * A PIN as its digits, or null unless it has four to eight of them.
+ */
+export function normalizePin(input) {
+  const digits = String(input).replace(/\D/g, '');
+  return /^\d{4,8}$/.test(digits) ? digits : null;
+}
+
+function hashSecret(value) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(value, salt, 32, SCRYPT_OPTIONS);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function secretMatches(value, stored) {
+  const [, salt, hash] = String(stored).split('$');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(value, Buffer.from(salt, 'hex'), expected.length, SCRYPT_OPTIONS);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Split CSV text into rows of fields.  Handles quoted fields with commas,
+// doubled quotes and line breaks.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((fields) => fields.some((value) => value.trim()));
+}
+
+// Client records from CSV rows, merging the rows that share a phone number.
+function csvToRecords(text, file) {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const columns = header.map((name) => CSV_COLUMNS[name.trim().toLowerCase()]);
+  if (!columns.includes('phone')) {
+    throw new Error(`Invalid client list ${file}: the header needs a "phone" column`);
+  }
+  const records = new Map();
+  for (const fields of rows) {
+    const values = Object.fromEntries(columns.map((column, index) => [column, fields[index]?.trim() ?? '']));
+    const key = values.phone.replace(/\D/g, '');
+    const record = records.get(key) ?? { phone: values.phone, matters: [] };
+    for (const field of ['name', 'email', 'dateOfBirth', 'pin']) {
+      if (values[field]) record[field] = values[field];
+    }
+    if (values.reference) {
+      record.matters.push({
+        reference: values.reference,
+        title: values.title || values.reference,
+        status: values.status,
+        updatedAt: values.updatedAt,
+      });
+    }
+    records.set(key, record);
+  }
+  return [...records.values()];
+}
+
+/**
+ * Load and validate a firm's client list.  `.csv` files have a header row
+ * with the columns `phone`, `name`, `email`, `date_of_birth`, `pin`,
+ * `matter_reference`, `matter_title`, `matter_status` and `matter_updated`,
+ * one row per matter.  `.json` files hold an array of
+ * `{ phone, name, email, dateOfBirth, pin, matters: [{ reference, title,
+ * status, updatedAt }] }`.  Throws, naming the record, when a phone number,
+ * date of birth or PIN cannot be used.
+ *
+ * @param {string} file
+ * @returns {object[]} Client records with normalised phone numbers, dates of
+ *   birth and PINs.
+ */
+export function loadClientList(file) {
+  const text = readFileSync(file, 'utf8');
+  const raw = path.extname(file).toLowerCase() === '.csv' ? csvToRecords(text, file) : JSON.parse(text);
+  const result = z.array(clientRecordSchema).safeParse(raw);
+  if (!result.success) {
+    const issues = result.error.issues.map((issue) => `${issue.path.join('.')}: ${issue.message}`);
+    throw new Error(`Invalid client list ${file}: ${issues.join('; ')}`);
+  }
+  return result.data.map((record, index) => {
+    const label = `Invalid client list ${file}: client ${index + 1} (${record.phone})`;
+    const phone = normalizePhone(record.phone);
+    if (phone.error) throw new Error(`${label}: ${phone.error.message}`);
+    const dateOfBirth = record.dateOfBirth && normalizeBirthDate(record.dateOfBirth);
+    if (record.dateOfBirth && !dateOfBirth) throw new Error(`${label}: unrecognised date of birth`);
+    const pin = record.pin && normalizePin(record.pin);
+    if (record.pin && !pin) throw new Error(`${label}: a PIN must have 4 to 8 digits`);
+    return { ...record, phone: phone.value, dateOfBirth, pin };
+  });
+}
+
+function rowToClient(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    phone: row.phone,
+    name: row.name,
+    email: row.email,
+    source: row.source,
+    verification: [row.date_of_birth_hash && 'date_of_birth', row.pin_hash && 'pin'].filter(Boolean),
+    lockedUntil: row.locked_until,
+    lastContactAt: row.last_contact_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function rowToMatter(row) {
+  return {
+    reference: row.reference,
+    title: row.title,
+    status: row.status,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Create the client directory on top of an open database.
+ *
+ * @param {import('better-sqlite3').Database} db
+ */
+export function createClientDirectory(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS clients (
+      id TEXT PRIMARY KEY,
+      tenant_id TEXT NOT NULL,
+      phone TEXT NOT NULL,
+      name TEXT,
+      email TEXT,
+      source TEXT NOT NULL,
+      date_of_birth_hash TEXT,
+      pin_hash TEXT,
+      failed_verifications INTEGER NOT NULL DEFAULT 0,
+      locked_until TEXT,
+      last_contact_at TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE (tenant_id, phone)
+    );
+
+    CREATE TABLE IF NOT EXISTS client_matters (
+      client_id TEXT NOT NULL REFERENCES clients (id) ON DELETE CASCADE,
+      reference TEXT NOT NULL,
+      reference_key TEXT NOT NULL,
+      title TEXT NOT NULL,
+      status TEXT,
+      updated_at TEXT,
+      PRIMARY KEY (client_id, reference_key)
+    );
+
+    CREATE TABLE IF NOT EXISTS client_erasures (
+      key TEXT PRIMARY KEY,
+      erased_at TEXT NOT NULL
+    );
+  `);
+
+  const selectClient = db.prepare('SELECT * FROM clients WHERE tenant_id = ? AND phone = ?');
+  const selectClientById = db.prepare('SELECT * FROM clients WHERE id = ?');
+  const selectMatters = db.prepare('SELECT * FROM client_matters WHERE client_id = ? ORDER BY reference');
+  const insertClient = db.prepare(`
+    INSERT INTO clients (id, tenant_id, phone, name, email, source, last_contact_at, created_at, updated_at)
+    VALUES (@id, @tenantId, @phone, @name, @email, @source, @lastContactAt, @now, @now)
+  `);
+  // Contacts fill in the name and email, except for imported clients.
+  const updateContact = db.prepare(`
+    UPDATE clients SET
+      name = CASE WHEN source = 'import' THEN COALESCE(name, @name) ELSE COALESCE(@name, name) END,
+      email = CASE WHEN source = 'import' THEN COALESCE(email, @email) ELSE COALESCE(@email, email) END,
+      last_contact_at = @lastContactAt,
+      updated_at = @now
+    WHERE id = @id
+  `);
+  const updateImported = db.prepare(`
+    UPDATE clients SET
+      name = @name, email = @email, source = 'import',
+      date_of_birth_hash = @dateOfBirthHash, pin_hash = @pinHash, updated_at = @now
+    WHERE id = @id
+  `);
+  const deleteMatters = db.prepare('DELETE FROM client_matters WHERE client_id = ?');
+  const insertMatter = db.prepare(`
+    INSERT OR REPLACE INTO client_matters (client_id, reference, reference_key, title, status, updated_at)
+    VALUES (@clientId, @reference, @referenceKey, @title, @status, @updatedAt)
+  `);
+  const deleteBefore = db.prepare(`
+    DELETE FROM clients WHERE source != 'import' AND COALESCE(last_contact_at, created_at) < ?
+  `);
+  const deleteForClient = db.prepare('DELETE FROM clients WHERE phone = @phone OR email = @email COLLATE NOCASE');
+  const insertErasure = db.prepare('INSERT OR IGNORE INTO client_erasures (key, erased_at) VALUES (?, ?)');
+  const selectErasure = db.prepare('SELECT 1 FROM client_erasures WHERE key = ?');
+  const updateVerification = db.prepare(
+    'UPDATE clients SET failed_verifications = @failed, locked_until = @lockedUntil WHERE id = @id'
+  );
+
+  // The client with this number, created if new.
+  function ensureClient({ tenantId, phone, name, email, source, lastContactAt, now }) {
+    const existing = selectClient.get(tenantId, phone);
+    if (existing) return existing;
+    insertClient.run({ id: crypto.randomUUID(), tenantId, phone, name, email, source, lastContactAt, now });
+    return selectClient.get(tenantId, phone);
+  }
+
+  return {
+    /**
+     * Note a booking or escalation from a client, adding them to the
+     * directory if they are new.
+     *
+     * @param {object} contact
+     * @param {string} contact.tenantId
+     * @param {string} contact.phone E.164 phone number.
+     * @param {string | null} [contact.name]
+     * @param {string | null} [contact.email]
+     * @param {'booking' | 'escalation'} contact.source
+     */
+    recordContact({ tenantId, phone, name = null, email = null, source, at = new Date() }) {
+      const now = toIso(at);
+      const row = ensureClient({ tenantId, phone, name, email, source, lastContactAt: now, now });
+      updateContact.run({ id: row.id, name, email, lastContactAt: now, now });
+      return rowToClient(selectClientById.get(row.id));
+    },
+
+    /**
+     * Add or update a firm's client list (see `loadClientList`).  Imported
+     * details replace what the directory had, and each client's matters are
+     * replaced by the ones listed.  Clients whose data was erased are left
+     * out.
+     *
+     * @returns {number} How many clients were imported.
+     */
+    importClients: db.transaction((tenantId, records, { importedAt = new Date() } = {}) => {
+      const now = toIso(importedAt);
+      let imported = 0;
+      for (const record of records) {
+        if (erasureKeys(record).some((key) => selectErasure.get(key))) continue;
+        const row = ensureClient({ ...record, tenantId, source: 'import', lastContactAt: null, now });
+        updateImported.run({
+          id: row.id,
+          name: record.name,
+          email: record.email,
+          dateOfBirthHash: record.dateOfBirth ? hashSecret(record.dateOfBirth) : null,
+          pinHash: record.pin ? hashSecret(record.pin) : null,
+          now,
+        });
+        deleteMatters.run(row.id);
+        for (const matter of record.matters) {
+          insertMatter.run({ ...matter, clientId: row.id, referenceKey: referenceKey(matter.reference) });
+        }
+        imported++;
+      }
+      return imported;
+    }),
+
+    /**
+     * The client a phone number belongs to, with their matters, or null.
+     */
+    findByPhone(tenantId, phone) {
+      const normalized = phone ? normalizePhone(phone) : null;
+      if (!normalized?.value) return null;
+      const client = rowToClient(selectClient.get(tenantId, normalized.value));
+      return client && { ...client, matters: selectMatters.all(client.id).map(rowToMatter) };
+    },
+
+    /**
+     * The matter with this reference, if it belongs to the client.
+     */
+    findMatter(clientId, reference) {
+      const key = referenceKey(reference);
+      const row = selectMatters.all(clientId).find((matter) => matter.reference_key === key);
+      return row ? rowToMatter(row) : null;
+    },
+
+    /**
+     * Check a date of birth or PIN given by a caller against the client's.
+     * Either one that is on file and matches is enough.
+     *
+     * @returns {'verified' | 'mismatch' | 'locked' | 'unavailable'}
+     *   `unavailable` when the client has neither on file.
+     */
+    verify(clientId, { dateOfBirth = null, pin = null }, { now = new Date() } = {}) {
+      const row = selectClientById.get(clientId);
+      if (!row || (!row.date_of_birth_hash && !row.pin_hash)) return 'unavailable';
+      if (row.locked_until && row.locked_until > now.toISOString()) return 'locked';
+      const birthDate = dateOfBirth && normalizeBirthDate(dateOfBirth);
+      const digits = pin && normalizePin(pin);
+      const matched =
+        (birthDate && row.date_of_birth_hash && secretMatches(birthDate, row.date_of_birth_hash)) ||
+        (digits && row.pin_hash && secretMatches(digits, row.pin_hash));
+      if (matched) {
+        updateVerification.run({ id: clientId, failed: 0, lockedUntil: null });
+        return 'verified';
+      }
+      const failed = (row.locked_until ? 0 : row.failed_verifications) + 1;
+      const locked = failed >= MAX_FAILED_VERIFICATIONS;
+      updateVerification.run({
+        id: clientId,
+        failed: locked ? 0 : failed,
+        lockedUntil: locked ? new Date(now.getTime() + LOCKOUT_HOURS * 60 * 60 * 1000).toISOString() : null,
+      });
+      return locked ? 'locked' : 'mismatch';
+    },
+
+    /**
+     * Delete the clients the agent met who have not been in touch since
+     * `cutoff`, with their matters.  Returns how many.
+     */
+    deleteBefore(cutoff) {
+      return deleteBefore.run(toIso(cutoff)).changes;
+    },
+
+    /**
+     * Delete the clients with this phone number or email address, in every
+     * firm's directory, and keep them out of later imports.  Returns how many.
+     */
+    deleteForClient({ phone = null, email = null }, { at = new Date() } = {}) {
+      for (const key of erasureKeys({ phone, email })) insertErasure.run(key, toIso(at));
+      return deleteForClient.run({ phone, email }).changes;
+    },
+  };
+}
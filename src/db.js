@@ -0,0 +1,46 @@
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import Database from 'better-sqlite3';
+
+/*
+ * Local SQLite database
+ *
+ * Call records (and anything else the server needs to keep between restarts)
+ * live in a single SQLite file next to the application.  Each store module
+ * creates its own tables with `CREATE TABLE IF NOT EXISTS`, so opening the
+ * database is all the setup a fresh deployment needs.
+ */
+
+/**
+ * Open (and create if necessary) the SQLite database at `path`.
+ *
+ * @param {string} path File path, or `:memory:` for a throwaway database.
+ * @returns {import('better-sqlite3').Database}
+ */
+export function openDatabase(path) {
+  if (path !== ':memory:') {
+    mkdirSync(dirname(path), { recursive: true });
+  }
+  const db = new Database(path);
+  // WAL lets the admin API read while a call is being written.
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  return db;
+}
+
+/**
+ * Add any of `columns` missing from `table`.  Store modules use this when a
+ * table gains columns, so databases created by earlier versions keep working.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} table
+ * @param {Record<string, string>} columns Column name to SQL type/constraint.
+ */
+export function ensureColumns(db, table, columns) {
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map((column) => column.name));
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    }
+  }
+}
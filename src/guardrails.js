@@ -0,0 +1,130 @@
+import { readFileSync } from 'node:fs';
+import { z } from 'zod';
+
+/*
+ * Output guardrails
+ *
+ * The realtime session runs every output guardrail against the assistant's
+ * transcript while it is still speaking.  When a rule trips, the SDK cuts off
+ * the response and feeds the rule's `policyHint` back to the model, which is
+ * how we steer it towards the `escalate_to_human` tool instead of giving
+ * advice.  The rules themselves live in `config/guardrails.json` so the firm
+ * can tune the wording without touching code.
+ */
+
+const ruleSchema = z.object({
+  name: z.string(),
+  policyHint: z.string(),
+  patterns: z.array(z.string()).min(1),
+});
+
+const guardrailConfigSchema = z.object({
+  debounceTextLength: z.number().int().default(100),
+  rules: z.array(ruleSchema).default([]),
+  disclaimer: z
+    .object({
+      name: z.string().default('disclaimer_missing'),
+      policyHint: z.string(),
+      phrases: z.array(z.string()).min(1),
+      closingPatterns: z.array(z.string()).min(1),
+    })
+    .optional(),
+});
+
+// Collapse the typographic hyphens used throughout the agent instructions
+// (e.g. "attorney‑client") so they match the plain ASCII config phrases.
+function normalise(text) {
+  return text.replace(/[\u2010-\u2015]/g, '-').replace(/\s+/g, ' ').toLowerCase();
+}
+
+function compile(patterns) {
+  return patterns.map((pattern) => new RegExp(pattern, 'iu'));
+}
+
+// Pull the spoken or written text out of every assistant message in the
+// session history.  Audio items only carry a transcript once it completes.
+function assistantTranscript(history = []) {
+  return history
+    .filter((item) => item.type === 'message' && item.role === 'assistant')
+    .flatMap((item) => item.content ?? [])
+    .map((part) => part.text ?? part.transcript ?? '')
+    .join(' ');
+}
+
+/**
+ * Load and validate the guardrail configuration from a JSON file.
+ *
+ * @param {string | URL} path Location of the guardrail config file.
+ * @returns {z.infer<typeof guardrailConfigSchema>}
+ */
+export function loadGuardrailConfig(path) {
+  const raw = JSON.parse(readFileSync(path, 'utf8'));
+  return guardrailConfigSchema.parse(raw);
+}
+
+/**
+ * Build the realtime output guardrails described by a guardrail config.  The
+ * returned array can be passed straight to `RealtimeSession`'s
+ * `outputGuardrails` option.
+ */
+export function createOutputGuardrails(config) {
+  const guardrails = config.rules.map((rule) => {
+    const patterns = compile(rule.patterns);
+    return {
+      name: rule.name,
+      policyHint: rule.policyHint,
+      execute: async ({ agentOutput }) => {
+        const text = normalise(agentOutput);
+        const match = patterns.map((re) => text.match(re)).find(Boolean);
+        return {
+          tripwireTriggered: Boolean(match),
+          outputInfo: match ? { rule: rule.name, matched: match[0] } : {},
+        };
+      },
+    };
+  });
+
+  if (config.disclaimer) {
+    const { name, policyHint, closingPatterns } = config.disclaimer;
+    const closings = compile(closingPatterns);
+    guardrails.push({
+      name,
+      policyHint,
+      execute: async ({ agentOutput, context }) => {
+        const text = normalise(agentOutput);
+        const closing = closings.some((re) => re.test(text));
+        if (!closing) {
+          return { tripwireTriggered: false, outputInfo: {} };
+        }
+        const said = hasDisclaimer(
+          `${assistantTranscript(context?.context?.history)} ${text}`,
+          config
+        );
+        return {
+          tripwireTriggered: !said,
+          outputInfo: said ? {} : { rule: name, reason: 'call closing without disclaimer' },
+        };
+      },
+    });
+  }
+
+  return guardrails;
+}
+
+/**
+ * Whether any of the configured disclaimer phrases appears in `text`.
+ * Returns `true` when no disclaimer is configured.
+ */
+export function hasDisclaimer(text, config) {
+  if (!config.disclaimer) return true;
+  const haystack = normalise(text);
+  return config.disclaimer.phrases.some((phrase) => haystack.includes(normalise(phrase)));
+}
+
+/**
+ * Convenience wrapper for the end-of-call audit: checks the assistant's side
+ * of a realtime session history for the disclaimer.
+ */
+export function historyHasDisclaimer(history, config) {
+  return hasDisclaimer(assistantTranscript(history), config);
+}
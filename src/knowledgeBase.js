@@ -0,0 +1,210 @@
+import { readdirSync, readFileSync, watch } from 'node:fs';
+import path from 'node:path';
+
+/*
+ * Firm knowledge base
+ *
+ * `search_firm_knowledge` answers questions from a folder of approved
+ * documents instead of from the agent instructions.  Markdown files are split
+ * into one passage per heading; JSON files hold a list of entries such as FAQ
+ * items.  Every passage has a stable source ID (`<file>#<section>`) that is
+ * returned with the search results and written to the call transcript.
+ *
+ * Passages are ranked with Okapi BM25 over a simple word index held in
+ * memory; nothing leaves the server.  The folder is watched and the index is
+ * rebuilt when a file changes.  If a rebuild fails (e.g. a half-written JSON
+ * file) the previous index stays in use.
+ */
+
+// BM25 tuning constants, at their usual values.
+const K1 = 1.2;
+const B = 0.75;
+
+// Longest passage text returned to the agent, in characters.
+const MAX_PASSAGE_LENGTH = 700;
+
+// How long to wait after a file change before rebuilding, so that editors
+// writing several files (or one file in several steps) cause one rebuild.
+const RELOAD_DEBOUNCE_MS = 250;
+
+const STOP_WORDS = new Set(
+  (
+    'a an and are as at be but by can do does for from have how i if in is it its ' +
+    'me my of on or our should so that the their them there this to was we what ' +
+    'when where which who will with you your'
+  ).split(' ')
+);
+
+/**
+ * Split text into lowercase index terms.  Common words are dropped and
+ * simple plurals are folded, so "easements" matches "easement".
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [])
+    .filter((word) => !STOP_WORDS.has(word))
+    .map((word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+function slugify(text) {
+  return (
+    text
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '') || 'section'
+  );
+}
+
+// One passage per `#`/`##`/`###` heading.  Text before the first heading
+// belongs to a passage titled after the document.
+function markdownPassages(stem, source) {
+  const passages = [];
+  let docTitle = stem;
+  let current = { title: stem, lines: [] };
+  const flush = () => {
+    const text = current.lines.join('\n').trim();
+    if (text) passages.push({ title: current.title, text });
+  };
+  for (const line of source.split(/\r?\n/)) {
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    if (!heading) {
+      current.lines.push(line);
+      continue;
+    }
+    flush();
+    if (heading[1] === '#') docTitle = heading[2].trim();
+    current = { title: heading[1] === '#' ? docTitle : `${docTitle}: ${heading[2].trim()}`, lines: [] };
+  }
+  flush();
+  const seen = new Map();
+  return passages.map((passage) => {
+    let id = `${stem}#${slugify(passage.title.split(': ').pop())}`;
+    const count = seen.get(id) ?? 0;
+    seen.set(id, count + 1);
+    if (count) id += `-${count + 1}`;
+    return { id, ...passage };
+  });
+}
+
+// JSON documents are an array of entries, each with `title` and `text` or
+// `question` and `answer`, and optionally an `id`.
+function jsonPassages(stem, source) {
+  const entries = JSON.parse(source);
+  if (!Array.isArray(entries)) {
+    throw new Error('expected an array of entries');
+  }
+  return entries.map((entry, index) => {
+    const title = entry.title ?? entry.question;
+    const text = entry.text ?? entry.answer;
+    if (typeof title !== 'string' || typeof text !== 'string') {
+      throw new Error(`entry ${index} needs "title" and "text" (or "question" and "answer")`);
+    }
+    return { id: `${stem}#${entry.id ?? slugify(title)}`, title, text };
+  });
+}
+
+function readPassages(dir) {
+  return readdirSync(dir)
+    .filter((file) => /\.(md|json)$/i.test(file))
+    .sort()
+    .flatMap((file) => {
+      const stem = path.basename(file, path.extname(file));
+      const source = readFileSync(path.join(dir, file), 'utf8');
+      try {
+        return file.toLowerCase().endsWith('.json') ? jsonPassages(stem, source) : markdownPassages(stem, source);
+      } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+      }
+    });
+}
+
+function buildIndex(passages) {
+  const documents = passages.map((passage) => {
+    const terms = tokenize(`${passage.title} ${passage.text}`);
+    const frequencies = new Map();
+    for (const term of terms) frequencies.set(term, (frequencies.get(term) ?? 0) + 1);
+    return { passage, length: terms.length, frequencies };
+  });
+  const documentFrequency = new Map();
+  for (const { frequencies } of documents) {
+    for (const term of frequencies.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) ?? 0) + 1);
+    }
+  }
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+  return { documents, documentFrequency, averageLength };
+}
+
+function truncate(text) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length <= MAX_PASSAGE_LENGTH ? flat : `${flat.slice(0, MAX_PASSAGE_LENGTH).replace(/\s+\S*$/, '')}…`;
+}
+
+/**
+ * Load a knowledge base folder and keep it up to date.
+ *
+ * @param {string} dir Folder of `.md` and `.json` documents.
+ * @param {object} [options]
+ * @param {boolean} [options.watch] Rebuild the index when files change (default true).
+ */
+export function createKnowledgeBase(dir, { watch: watchFiles = true } = {}) {
+  let index = buildIndex(readPassages(dir));
+  let reloadTimer = null;
+
+  function reload() {
+    try {
+      index = buildIndex(readPassages(dir));
+      console.log(`Reloaded knowledge base ${dir} (${index.documents.length} passages)`);
+    } catch (error) {
+      console.error(`Error reloading knowledge base ${dir}; keeping the previous index:`, error);
+    }
+  }
+
+  let watcher = null;
+  if (watchFiles) {
+    watcher = watch(dir, () => {
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(reload, RELOAD_DEBOUNCE_MS);
+      reloadTimer.unref();
+    });
+    watcher.unref();
+  }
+
+  return {
+    /** Number of passages currently indexed. */
+    size() {
+      return index.documents.length;
+    },
+
+    /**
+     * Rank passages against a query.  Returns up to `limit` matches, best
+     * first, as `{ id, title, text, score }`; passages sharing no terms with
+     * the query are never returned.
+     */
+    search(query, { limit = 3 } = {}) {
+      const { documents, documentFrequency, averageLength } = index;
+      const terms = [...new Set(tokenize(query))];
+      return documents
+        .map(({ passage, length, frequencies }) => {
+          let score = 0;
+          for (const term of terms) {
+            const frequency = frequencies.get(term);
+            if (!frequency) continue;
+            const df = documentFrequency.get(term);
+            const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+            score += (idf * frequency * (K1 + 1)) / (frequency + K1 * (1 - B + (B * length) / averageLength));
+          }
+          return { passage, score };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ passage, score }) => ({ ...passage, text: truncate(passage.text), score }));
+    },
+
+    /** Stop watching the folder. */
+    close() {
+      clearTimeout(reloadTimer);
+      watcher?.close();
+    },
+  };
+}
@@ -0,0 +1,259 @@
+import { OFFICE_TIME_ZONE } from './scheduler.js';
+
+/*
+ * Caller languages
+ *
+ * The languages a firm can offer in its phone menu (see `languages` in the
+ * tenant profile), with what the server says and writes in each of them: the
+ * menu prompt, a default greeting, after-hours greeting and Polly voice, the
+ * recording consent question, the wording pieces of the client emails and
+ * default email templates.  English uses the firm's own greetings, voice,
+ * consent wording and templates; the others fall back to the defaults here.
+ *
+ * Text in `{{placeholders}}` is filled in with `renderTemplate` from
+ * `tenants.js`.
+ */
+
+export const LANGUAGES = {
+  en: {
+    name: 'English',
+    locale: 'en-US',
+    digit: '1',
+    voice: 'Polly.Joanna-Neural',
+    prompt: 'For English, press {{digit}}.',
+    greeting: null,
+    afterHoursGreeting: null,
+    consent: {
+      prompt:
+        'Before we begin: this call is transcribed, and a written record is kept by the firm and emailed to its staff. To agree, say yes or press 1. To continue without a record, say no or press 2.',
+      declined: 'Understood. No record of this call will be kept.',
+      noMessage:
+        'Since messages are recorded, we cannot take one without your agreement. Please call again when the office is open. Goodbye.',
+      yes: /\b(yes|yeah|yep|sure|ok|okay|agree|fine)\b/i,
+      no: /\b(no|nope|don'?t|do not|disagree)\b/i,
+      agreeing: /\b(no (problem|worries)|(don'?t|do not) mind|not a problem)\b/gi,
+    },
+    consultations: {
+      free_phone: 'a free 15‑minute phone consultation',
+      free_zoom: 'a free 15‑minute Zoom consultation',
+      paid_zoom: 'a paid 1‑hour Zoom consultation',
+      paid_in_person: 'a paid 1‑hour in‑person consultation',
+    },
+    phrases: {
+      timeZone: 'Pacific time',
+      reservedSlot:
+        'To confirm this time, please use your personal scheduling link and select {{slot}}. The link can only be used once: {{link}}\n\n',
+      schedulingLink:
+        'To confirm your appointment, please use the following link to select a time on our calendar: {{link}}\n\n',
+      payment:
+        'This consultation requires payment. Please use the following secure link to complete your {{amount}} payment: {{link}}\n\n',
+      contactMedium: { phone: 'by phone', email: 'by email' },
+      rescheduledSlot:
+        'To confirm the new time, please use your personal scheduling link and select {{slot}}. The link can only be used once: {{link}}\n\n',
+      rescheduledLink: 'To confirm the new time, please use the following link to select it on our calendar: {{link}}\n\n',
+      paymentNote: ' Our office will contact you about your payment.',
+    },
+    templates: null,
+  },
+  es: {
+    name: 'Spanish',
+    locale: 'es-US',
+    digit: '2',
+    voice: 'Polly.Lupe-Neural',
+    prompt: 'Para español, oprima {{digit}}.',
+    greeting: '{{firmName}}. Le atiende la recepcionista virtual. ¿En qué puedo ayudarle hoy?',
+    afterHoursGreeting:
+      'Gracias por llamar a {{firmName}}. Nuestra oficina está cerrada en este momento{{closedFor}} y vuelve a abrir {{reopens}}.',
+    consent: {
+      prompt:
+        'Antes de comenzar: esta llamada se transcribe, y la firma guarda un registro escrito que envía por correo a su personal. Para aceptar, diga sí u oprima 1. Para continuar sin registro, diga no u oprima 2.',
+      declined: 'Entendido. No se guardará ningún registro de esta llamada.',
+      noMessage:
+        'Como los mensajes se graban, no podemos tomar uno sin su consentimiento. Llame de nuevo cuando la oficina esté abierta. Adiós.',
+      yes: /(^|[^\p{L}])(s[ií]|claro|de acuerdo|vale|acepto|bueno)($|[^\p{L}])/iu,
+      no: /(^|[^\p{L}])no($|[^\p{L}])/iu,
+      agreeing: /no (hay )?problema|no me importa|no tengo (ningún )?inconveniente/giu,
+    },
+    consultations: {
+      free_phone: 'una consulta telefónica gratuita de 15 minutos',
+      free_zoom: 'una consulta gratuita de 15 minutos por Zoom',
+      paid_zoom: 'una consulta pagada de 1 hora por Zoom',
+      paid_in_person: 'una consulta presencial pagada de 1 hora',
+    },
+    phrases: {
+      timeZone: 'hora del Pacífico',
+      reservedSlot:
+        'Para confirmar este horario, use su enlace personal de programación y seleccione {{slot}}. El enlace solo puede usarse una vez: {{link}}\n\n',
+      schedulingLink:
+        'Para confirmar su cita, use el siguiente enlace para elegir un horario en nuestro calendario: {{link}}\n\n',
+      payment:
+        'Esta consulta requiere pago. Use el siguiente enlace seguro para completar su pago de {{amount}}: {{link}}\n\n',
+      contactMedium: { phone: 'por teléfono', email: 'por correo electrónico' },
+      rescheduledSlot:
+        'Para confirmar el nuevo horario, use su enlace personal de programación y seleccione {{slot}}. El enlace solo puede usarse una vez: {{link}}\n\n',
+      rescheduledLink: 'Para confirmar el nuevo horario, selecciónelo en nuestro calendario con el siguiente enlace: {{link}}\n\n',
+      paymentNote: ' Nuestra oficina se comunicará con usted acerca de su pago.',
+      closedFor: ' por {{note}}',
+      today: 'hoy',
+      tomorrow: 'mañana',
+      onDate: 'el {{date}}',
+      reopens: '{{day}} a las {{time}}, {{timeZone}}',
+      nextBusinessDay: 'el próximo día hábil',
+    },
+    templates: {
+      bookingConfirmation: {
+        subject: 'Su solicitud de consulta con {{firmName}}',
+        text: 'Hola {{clientName}}:\n\nGracias por elegir {{firmName}}. Ha solicitado {{consultation}} el {{time}}.\n\nSu código de confirmación es {{confirmationCode}}. Indíquelo si necesita cambiar o cancelar la cita.\n\n{{schedulingInstructions}}{{paymentInstructions}}Si tiene preguntas o necesita cambiar su cita, responda a este correo o llame a nuestra oficina.\n\nEsperamos hablar con usted.\n\nAtentamente,\n{{signature}}',
+      },
+      escalationReceipt: {
+        subject: 'Hemos recibido su solicitud – {{firmName}}',
+        text: 'Hola {{clientName}}:\n\nGracias por comunicarse con {{firmName}}. Hemos pasado su solicitud a nuestro equipo, que se comunicará con usted {{contactMedium}} ({{contactTime}}).\n\nAtentamente,\n{{signature}}',
+      },
+      bookingRescheduled: {
+        subject: 'Su consulta ha sido reprogramada – {{firmName}}',
+        text: 'Hola {{clientName}}:\n\nSu {{consultation}} (código de confirmación {{confirmationCode}}) se ha cambiado del {{previousTime}} al {{time}}.\n\n{{schedulingInstructions}}Si tiene preguntas, responda a este correo o llame a nuestra oficina.\n\nAtentamente,\n{{signature}}',
+      },
+      bookingCancelled: {
+        subject: 'Su consulta ha sido cancelada – {{firmName}}',
+        text: 'Hola {{clientName}}:\n\nSegún lo solicitado, su {{consultation}} del {{time}} (código de confirmación {{confirmationCode}}) ha sido cancelada.{{paymentNote}}\n\nSi desea reservar otro horario, llame a nuestra oficina.\n\nAtentamente,\n{{signature}}',
+      },
+      paymentReceipt: {
+        subject: 'Pago recibido – su consulta con {{firmName}}',
+        text: 'Hola {{clientName}}:\n\nGracias. Hemos recibido su pago de {{amount}} por su consulta del {{time}}.\n\nRecibo\nImporte pagado: {{amount}}\nReferencia de pago: {{paymentReference}}\nID de la reserva: {{bookingId}}\nCódigo de confirmación: {{confirmationCode}}\n\nSu consulta ya está confirmada. Si necesita hacer algún cambio, responda a este correo o llame a nuestra oficina.\n\nAtentamente,\n{{signature}}',
+      },
+      paymentFailed: {
+        subject: 'Pago no realizado – su consulta con {{firmName}}',
+        text: 'Hola {{clientName}}:\n\nLamentablemente, su pago por la consulta del {{time}} no se pudo completar. Puede intentarlo de nuevo con el mismo enlace seguro: {{paymentUrl}}\n\nSi necesita ayuda, responda a este correo o llame a nuestra oficina.\n\nAtentamente,\n{{signature}}',
+      },
+      paymentReminder: {
+        subject: 'Complete su pago – su consulta con {{firmName}}',
+        text: 'Hola {{clientName}}:\n\nParece que su pago por la consulta del {{time}} no se completó. Su reserva queda confirmada una vez recibido el pago. Puede pagar con este enlace seguro: {{paymentUrl}}\n\nAtentamente,\n{{signature}}',
+      },
+    },
+  },
+  zh: {
+    name: 'Mandarin Chinese',
+    locale: 'zh-CN',
+    digit: '3',
+    voice: 'Polly.Zhiyu-Neural',
+    prompt: '普通话服务，请按{{digit}}。',
+    greeting: '您好，这里是{{firmName}}，我是虚拟接待员。请问有什么可以帮您？',
+    afterHoursGreeting: '感谢您致电{{firmName}}。我们的办公室目前{{closedFor}}休息，将于{{reopens}}重新开放。',
+    consent: {
+      prompt:
+        '开始之前请注意：本次通话会被转录，律所会保存书面记录并通过电子邮件发送给员工。同意请说“同意”或按1。如不希望保留记录，请说“不同意”或按2。',
+      declined: '好的，本次通话不会保留任何记录。',
+      noMessage: '由于留言会被录音，未经您同意我们无法为您留言。请在办公时间再次来电。再见。',
+      yes: /同意|是的|好的|可以|行/,
+      no: /不/,
+      agreeing: /不介意|不要紧|不成问题|没问题/g,
+    },
+    consultations: {
+      free_phone: '15分钟免费电话咨询',
+      free_zoom: '15分钟免费Zoom咨询',
+      paid_zoom: '1小时付费Zoom咨询',
+      paid_in_person: '1小时付费面对面咨询',
+    },
+    phrases: {
+      timeZone: '太平洋时间',
+      reservedSlot: '如需确认此时间，请使用您的专属预约链接并选择{{slot}}。该链接只能使用一次：{{link}}\n\n',
+      schedulingLink: '如需确认预约，请通过以下链接在我们的日历上选择时间：{{link}}\n\n',
+      payment: '此咨询需要付费。请通过以下安全链接支付{{amount}}：{{link}}\n\n',
+      contactMedium: { phone: '通过电话', email: '通过电子邮件' },
+      rescheduledSlot: '如需确认新的时间，请使用您的专属预约链接并选择{{slot}}。该链接只能使用一次：{{link}}\n\n',
+      rescheduledLink: '如需确认新的时间，请通过以下链接在我们的日历上选择：{{link}}\n\n',
+      paymentNote: '我们的办公室将就您的付款与您联系。',
+      closedFor: '因{{note}}',
+      today: '今天',
+      tomorrow: '明天',
+      onDate: '{{date}}',
+      reopens: '{{day}}{{time}}（{{timeZone}}）',
+      nextBusinessDay: '下一个工作日',
+    },
+    templates: {
+      bookingConfirmation: {
+        subject: '您在{{firmName}}的咨询预约',
+        text: '{{clientName}}，您好：\n\n感谢您选择{{firmName}}。您预约了{{time}}的{{consultation}}。\n\n您的确认码是{{confirmationCode}}。如需改期或取消，请提供此确认码。\n\n{{schedulingInstructions}}{{paymentInstructions}}如有任何问题或需要调整预约，请回复此邮件或致电我们的办公室。\n\n期待与您交谈。\n\n此致\n{{signature}}',
+      },
+      escalationReceipt: {
+        subject: '我们已收到您的请求 – {{firmName}}',
+        text: '{{clientName}}，您好：\n\n感谢您联系{{firmName}}。我们已将您的请求转交给团队，他们将{{contactMedium}}与您联系（{{contactTime}}）。\n\n此致\n{{signature}}',
+      },
+      bookingRescheduled: {
+        subject: '您的咨询已改期 – {{firmName}}',
+        text: '{{clientName}}，您好：\n\n您的{{consultation}}（确认码{{confirmationCode}}）已从{{previousTime}}改到{{time}}。\n\n{{schedulingInstructions}}如有任何问题，请回复此邮件或致电我们的办公室。\n\n此致\n{{signature}}',
+      },
+      bookingCancelled: {
+        subject: '您的咨询已取消 – {{firmName}}',
+        text: '{{clientName}}，您好：\n\n按照您的要求，您在{{time}}的{{consultation}}（确认码{{confirmationCode}}）已取消。{{paymentNote}}\n\n如需预约其他时间，请致电我们的办公室。\n\n此致\n{{signature}}',
+      },
+      paymentReceipt: {
+        subject: '已收到付款 – 您在{{firmName}}的咨询',
+        text: '{{clientName}}，您好：\n\n谢谢。我们已收到您为{{time}}的咨询支付的{{amount}}。\n\n收据\n支付金额：{{amount}}\n付款参考号：{{paymentReference}}\n预约编号：{{bookingId}}\n确认码：{{confirmationCode}}\n\n您的咨询现已确认。如需更改，请回复此邮件或致电我们的办公室。\n\n此致\n{{signature}}',
+      },
+      paymentFailed: {
+        subject: '付款未成功 – 您在{{firmName}}的咨询',
+        text: '{{clientName}}，您好：\n\n很抱歉，您为{{time}}的咨询支付的款项未能完成。您可以使用同一安全链接重试：{{paymentUrl}}\n\n如需帮助，请回复此邮件或致电我们的办公室。\n\n此致\n{{signature}}',
+      },
+      paymentReminder: {
+        subject: '请完成付款 – 您在{{firmName}}的咨询',
+        text: '{{clientName}}，您好：\n\n您为{{time}}的咨询付款似乎尚未完成。收到付款后您的预约即告确认。您可以通过以下安全链接付款：{{paymentUrl}}\n\n此致\n{{signature}}',
+      },
+    },
+  },
+};
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+// The client emails written in the language of the call that booked or
+// escalated, with a default for every language but English.
+export const LANGUAGE_TEMPLATES = [
+  'bookingConfirmation',
+  'escalationReceipt',
+  'bookingRescheduled',
+  'bookingCancelled',
+  'paymentReceipt',
+  'paymentFailed',
+  'paymentReminder',
+];
+
+/**
+ * Whether a spoken answer to the recording consent question agrees to it.
+ * Phrases that agree in spite of a "no" in them ("no problem", "don't mind")
+ * are set aside, and then the answer's leading yes or no decides: "Sure, no
+ * problem" and "Yes, I don't mind" agree, "No, I don't agree" and "不同意"
+ * do not.  An answer with neither does not agree.
+ *
+ * @param {string} code One of LANGUAGE_CODES.
+ * @param {string} speech What the caller said.
+ */
+export function agreesToRecording(code, speech) {
+  const { yes, no, agreeing } = LANGUAGES[code].consent;
+  const agreeingAt = speech.search(agreeing);
+  // Blank the agreeing phrases out so their "no" is not read as one.
+  const answer = speech.replace(agreeing, (phrase) => ' '.repeat(phrase.length));
+  const yesAt = [agreeingAt, answer.search(yes)].filter((at) => at !== -1);
+  const noAt = answer.search(no);
+  return yesAt.length > 0 && (noAt === -1 || Math.min(...yesAt) < noAt);
+}
+
+/**
+ * A booking's time for a client email in another language, e.g. "martes, 20
+ * de octubre, 15:00".  Times reserved on the calendar are given with the time
+ * zone; requests made before dates and times were normalised are shown as
+ * they were given.
+ *
+ * @param {{ scheduledStart?: string | null, date: string, time: string }} booking
+ * @param {string} code One of LANGUAGE_CODES.
+ */
+export function formatAppointmentTime({ scheduledStart, date, time }, code) {
+  const { locale, phrases } = LANGUAGES[code];
+  // 24-hour times, as usual in both languages; "p.m." would also clash with
+  // the full stop after it.
+  const style = { weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', hourCycle: 'h23' };
+  if (scheduledStart) {
+    return `${new Date(scheduledStart).toLocaleString(locale, { ...style, timeZone: OFFICE_TIME_ZONE })} ${phrases.timeZone}`;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !/^\d{2}:\d{2}$/.test(time)) return `${date} ${time}`;
+  return new Date(`${date}T${time}:00Z`).toLocaleString(locale, { ...style, timeZone: 'UTC' });
+}
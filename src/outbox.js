@@ -0,0 +1,178 @@
+import crypto from 'node:crypto';
+
+/*
+ * Notification delivery
+ *
+ * Notifications are queued in the outbox store (see `outboxStore.js`) and
+ * sent from here, so the code that queues them (usually a tool in the middle
+ * of a call) returns at once and never fails because SMTP or Twilio is
+ * down.  Each channel is a function that sends one message and throws when
+ * it could not; the email and SMS ones live in index.js, and `postJson`
+ * below serves the Slack, Teams and CRM webhooks.
+ *
+ * A failed message is tried again with exponential backoff (30 s, 1 min,
+ * 2 min, ... up to an hour apart).  After `maxAttempts` it becomes a dead
+ * letter, which is logged and can be replayed through the admin API.  A
+ * message is sent as soon as it is queued and otherwise by a sweep every
+ * 15 seconds.  `onSettled` hears about every message that is sent or dead,
+ * for code that tracks a message it queued.
+ */
+
+const SWEEP_INTERVAL_MS = 15 * 1000;
+
+const RETRY_BASE_MS = 30 * 1000;
+
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// How long a webhook may take to answer before the attempt counts as failed.
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * POST a JSON body to a webhook.  With a secret, the body is signed with
+ * HMAC-SHA256 in the `X-Notification-Signature` header (`sha256=<hex>`), so
+ * the receiver can check it came from us.  Throws unless the webhook answers
+ * with a 2xx status.
+ *
+ * @param {string} url
+ * @param {object} body
+ * @param {{ secret?: string }} [options]
+ */
+export async function postJson(url, body, { secret } = {}) {
+  const json = JSON.stringify(body);
+  const headers = { 'Content-Type': 'application/json' };
+  if (secret) {
+    headers['X-Notification-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(json).digest('hex')}`;
+  }
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: json,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook answered ${response.status} ${response.statusText}`);
+  }
+}
+
+/**
+ * Create the outbox.
+ *
+ * @param {object} options
+ * @param {ReturnType<import('./outboxStore.js').createOutboxStore>} options.store
+ * @param {{ get: (id: string) => object }} options.tenants
+ * @param {Record<string, (payload: object, tenant: object) => Promise<void>>} options.channels
+ *   Sends one message per channel name.
+ * @param {number} [options.maxAttempts] Attempts before a message is dead.
+ * @param {(message: object, status: 'sent' | 'dead') => void} [options.onSettled]
+ *   Called once a message has been sent or has become a dead letter.
+ */
+export function createOutbox({ store, tenants, channels, maxAttempts = 8, onSettled = () => {} }) {
+  let started = false;
+  let sweeping = false;
+  let sweepAgain = false;
+
+  // Delay before the next attempt, after `attempts` failed ones.
+  function retryDelay(attempts) {
+    return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+  }
+
+  function settled(message, status) {
+    try {
+      onSettled(message, status);
+    } catch (error) {
+      console.error(`Error recording ${status} ${message.channel} message ${message.id}:`, error);
+    }
+  }
+
+  async function send(message) {
+    const attempts = message.attempts + 1;
+    try {
+      const deliver = channels[message.channel];
+      if (!deliver) throw new Error(`Unknown outbox channel ${message.channel}`);
+      await deliver(message.payload, tenants.get(message.tenantId));
+      store.markSent(message.id);
+      settled(message, 'sent');
+    } catch (error) {
+      if (attempts >= maxAttempts) {
+        console.error(`Error sending ${message.channel} message ${message.id}; giving up after ${attempts} attempts:`, error);
+        store.markFailed(message.id, { error: error.message });
+        settled(message, 'dead');
+      } else {
+        console.warn(`Error sending ${message.channel} message ${message.id} (attempt ${attempts}): ${error.message}`);
+        store.markFailed(message.id, {
+          error: error.message,
+          nextAttemptAt: new Date(Date.now() + retryDelay(attempts)),
+        });
+      }
+    }
+  }
+
+  // Send what is due.  A sweep asked for while one runs happens right after
+  // it, so a message queued meanwhile is not left for the timer.
+  async function sweep() {
+    if (sweeping) {
+      sweepAgain = true;
+      return;
+    }
+    sweeping = true;
+    try {
+      do {
+        sweepAgain = false;
+        for (const message of store.listDue()) {
+          if (store.claim(message.id)) await send(message);
+        }
+      } while (sweepAgain);
+    } catch (error) {
+      console.error('Error sending queued notifications:', error);
+    } finally {
+      sweeping = false;
+    }
+  }
+
+  return {
+    /**
+     * Queue a message and, once the outbox has started, send it.  Returns
+     * straight away; see `outboxStore.enqueue`.
+     */
+    enqueue(message) {
+      if (!channels[message.channel]) throw new Error(`Unknown outbox channel ${message.channel}`);
+      const result = store.enqueue(message);
+      if (started && !result.duplicate) sweep();
+      return result;
+    },
+
+    listMessages(filters) {
+      return store.listMessages(filters);
+    },
+
+    getMessage(id) {
+      return store.getMessage(id);
+    },
+
+    /**
+     * Queue a dead message again.  Returns the message, or null if there is
+     * no dead message with that ID.
+     */
+    replay(id) {
+      if (!store.replay(id)) return null;
+      if (started) sweep();
+      return store.getMessage(id);
+    },
+
+    /**
+     * Start sending.  Messages interrupted by a restart are queued again and
+     * due messages are swept every 15 seconds.
+     */
+    start({ intervalMs = SWEEP_INTERVAL_MS } = {}) {
+      started = true;
+      const interrupted = store.releaseInterrupted();
+      if (interrupted) {
+        console.warn(`${interrupted} notification(s) were interrupted by a restart and will be sent again`);
+      }
+      sweep();
+      const timer = setInterval(sweep, intervalMs);
+      timer.unref();
+      return timer;
+    },
+  };
+}
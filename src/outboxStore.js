@@ -0,0 +1,236 @@
+import crypto from 'node:crypto';
+
+/*
+ * Notification outbox
+ *
+ * Every email, text message and chat or CRM webhook the server sends is a row
+ * here first, so a notification survives an SMTP or Twilio outage and a
+ * restart.  The outbox (see `outbox.js`) claims due messages
+ * (`pending` -> `sending`) and finishes them as `sent`, puts them back as
+ * `pending` with a later `next_attempt_at` after a failure, or moves them to
+ * `dead` once they have run out of attempts.  Dead messages stay until they
+ * are replayed through the admin API.
+ *
+ * A message may carry a dedupe key.  A key names one notification for good
+ * (e.g. "the confirmation email for booking X"), so queueing it again adds
+ * nothing.  Messages without one are keyed by their content, which only
+ * holds back an identical message queued within the dedupe window.
+ *
+ * Sent and dead messages are deleted once they are older than the retention
+ * period, and any message that mentions a client is deleted when they ask for
+ * their data to be erased (see `retention.js`).
+ */
+
+export const OUTBOX_CHANNELS = ['email', 'sms', 'slack', 'teams', 'webhook'];
+
+export const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+function toIso(value) {
+  return (value instanceof Date ? value : new Date(value)).toISOString();
+}
+
+function rowToMessage(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    channel: row.channel,
+    event: row.event,
+    dedupeKey: row.dedupe_key,
+    payload: JSON.parse(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    sentAt: row.sent_at,
+  };
+}
+
+/**
+ * Create the outbox store on top of an open database.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {object} [options]
+ * @param {number} [options.dedupeWindowMs] How long a message without a
+ *   dedupe key holds back an identical one.
+ */
+export function createOutboxStore(db, { dedupeWindowMs = 10 * 60 * 1000 } = {}) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS outbox (
+      id TEXT PRIMARY KEY,
+      tenant_id TEXT,
+      channel TEXT NOT NULL,
+      event TEXT,
+      dedupe_key TEXT NOT NULL,
+      keyed INTEGER NOT NULL DEFAULT 0,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL,
+      last_error TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      sent_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS outbox_due ON outbox (status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS outbox_dedupe ON outbox (dedupe_key, created_at);
+  `);
+
+  const selectDuplicate = db.prepare(`
+    SELECT id FROM outbox WHERE dedupe_key = @dedupeKey AND (keyed = 1 OR created_at >= @since) LIMIT 1
+  `);
+  const insertMessage = db.prepare(`
+    INSERT INTO outbox (
+      id, tenant_id, channel, event, dedupe_key, keyed, payload, next_attempt_at, created_at, updated_at
+    ) VALUES (
+      @id, @tenantId, @channel, @event, @dedupeKey, @keyed, @payload, @now, @now, @now
+    )
+  `);
+  const selectDue = db.prepare(`
+    SELECT * FROM outbox WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at, created_at LIMIT ?
+  `);
+  const claimMessage = db.prepare(`
+    UPDATE outbox SET status = 'sending', attempts = attempts + 1, updated_at = ? WHERE id = ? AND status = 'pending'
+  `);
+  const markSent = db.prepare(`
+    UPDATE outbox SET status = 'sent', last_error = NULL, sent_at = @now, updated_at = @now WHERE id = @id
+  `);
+  const markFailed = db.prepare(`
+    UPDATE outbox SET status = @status, last_error = @error, next_attempt_at = @nextAttemptAt, updated_at = @now
+    WHERE id = @id
+  `);
+  const releaseInterrupted = db.prepare(`
+    UPDATE outbox SET status = 'pending', last_error = 'interrupted by a restart', updated_at = ? WHERE status = 'sending'
+  `);
+  const replayMessage = db.prepare(`
+    UPDATE outbox SET status = 'pending', attempts = 0, next_attempt_at = @now, updated_at = @now
+    WHERE id = @id AND status = 'dead'
+  `);
+  const selectMessage = db.prepare('SELECT * FROM outbox WHERE id = ?');
+  const deleteBefore = db.prepare("DELETE FROM outbox WHERE created_at < ? AND status IN ('sent', 'dead')");
+  const deleteMentioning = db.prepare("DELETE FROM outbox WHERE payload LIKE ? ESCAPE '\\' AND status != 'sending'");
+
+  return {
+    /**
+     * Queue a message, unless it duplicates one already queued.
+     *
+     * @param {{ tenantId?: string, channel: string, event?: string | null,
+     *   payload: object, dedupeKey?: string | null }} message
+     * @returns {{ id: string, duplicate: boolean }} The new message, or the
+     *   one it duplicates.
+     */
+    enqueue: db.transaction(({ tenantId = null, channel, event = null, payload, dedupeKey = null }, { now = new Date() } = {}) => {
+      const body = JSON.stringify(payload);
+      const key =
+        dedupeKey ?? `content:${crypto.createHash('sha256').update(`${tenantId}\n${channel}\n${body}`).digest('hex')}`;
+      const since = toIso(new Date(new Date(now).getTime() - dedupeWindowMs));
+      const existing = selectDuplicate.get({ dedupeKey: key, since });
+      if (existing) return { id: existing.id, duplicate: true };
+      const id = crypto.randomUUID();
+      insertMessage.run({
+        id,
+        tenantId,
+        channel,
+        event,
+        dedupeKey: key,
+        keyed: dedupeKey ? 1 : 0,
+        payload: body,
+        now: toIso(now),
+      });
+      return { id, duplicate: false };
+    }),
+
+    /** Pending messages whose next attempt is due, oldest first. */
+    listDue(now = new Date(), { limit = 50 } = {}) {
+      return selectDue.all(toIso(now), limit).map(rowToMessage);
+    },
+
+    /**
+     * Claim a due message for sending, counting the attempt.  Returns
+     * `false` if it was claimed in the meantime.
+     */
+    claim(id, { now = new Date() } = {}) {
+      return claimMessage.run(toIso(now), id).changes > 0;
+    },
+
+    markSent(id, { now = new Date() } = {}) {
+      markSent.run({ id, now: toIso(now) });
+    },
+
+    /**
+     * Record a failed attempt: the message is tried again at
+     * `nextAttemptAt`, or with none given is moved to the dead letters.
+     */
+    markFailed(id, { error, nextAttemptAt = null, now = new Date() }) {
+      markFailed.run({
+        id,
+        status: nextAttemptAt ? 'pending' : 'dead',
+        error: String(error).slice(0, 1000),
+        nextAttemptAt: toIso(nextAttemptAt ?? now),
+        now: toIso(now),
+      });
+    },
+
+    /**
+     * Put messages left `sending` by a previous run back in the queue.  They
+     * may have gone out already, so a few could arrive twice.
+     */
+    releaseInterrupted({ now = new Date() } = {}) {
+      return releaseInterrupted.run(toIso(now)).changes;
+    },
+
+    /** Queue a dead message again with a fresh set of attempts. */
+    replay(id, { now = new Date() } = {}) {
+      return replayMessage.run({ id, now: toIso(now) }).changes > 0;
+    },
+
+    getMessage(id) {
+      return rowToMessage(selectMessage.get(id));
+    },
+
+    /**
+     * List messages, newest first.
+     *
+     * @param {{ status?: string, tenantId?: string, channel?: string,
+     *   limit?: number, offset?: number }} [filters]
+     */
+    listMessages({ status, tenantId, channel, limit = 50, offset = 0 } = {}) {
+      const where = [];
+      const params = {};
+      if (status) {
+        where.push('status = @status');
+        params.status = status;
+      }
+      if (tenantId) {
+        where.push('tenant_id = @tenantId');
+        params.tenantId = tenantId;
+      }
+      if (channel) {
+        where.push('channel = @channel');
+        params.channel = channel;
+      }
+      const sql = `SELECT * FROM outbox ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY created_at DESC LIMIT @limit OFFSET @offset`;
+      return db.prepare(sql).all({ ...params, limit, offset }).map(rowToMessage);
+    },
+
+    /** Delete the sent and dead messages queued before `cutoff`.  Returns how many. */
+    deleteBefore(cutoff) {
+      return deleteBefore.run(toIso(cutoff)).changes;
+    },
+
+    /**
+     * Delete the messages whose payload contains any of `values` (e.g. a
+     * client's phone number and email address), unless they are being sent
+     * right now.  Returns how many.
+     */
+    deleteMentioning(values) {
+      let deleted = 0;
+      for (const value of values.filter(Boolean)) {
+        deleted += deleteMentioning.run(`%${value.replace(/[\\%_]/g, '\\$&')}%`).changes;
+      }
+      return deleted;
+    },
+  };
+}
@@ -0,0 +1,153 @@
+import crypto from 'node:crypto';
+import { ensureColumns } from './db.js';
+
+/*
+ * Fee payments
+ *
+ * `process_payment` requests a payment for an outstanding fee or deposit by
+ * sending the caller a Stripe payment link.  Each request is stored here as
+ * `pending`; the Stripe webhook marks it `paid` or `failed` once Stripe
+ * reports the result.  Amounts are kept in cents.
+ *
+ * Requests that are no longer pending are deleted once they are older than
+ * the retention period, and any request is deleted when the client asks for
+ * their data to be erased (see `retention.js`).  Stripe keeps its own record
+ * of every payment.
+ */
+
+function toIso(value) {
+  return (value instanceof Date ? value : new Date(value)).toISOString();
+}
+
+function rowToPayment(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    callSid: row.call_sid,
+    clientName: row.client_name,
+    clientPhone: row.client_phone,
+    clientEmail: row.client_email,
+    reference: row.reference,
+    amount: row.amount,
+    currency: row.currency,
+    status: row.status,
+    paymentLinkId: row.payment_link_id,
+    paymentUrl: row.payment_url,
+    createdAt: row.created_at,
+    paidAt: row.paid_at,
+  };
+}
+
+/**
+ * Create the payment store on top of an open database.
+ *
+ * @param {import('better-sqlite3').Database} db
+ */
+export function createPaymentStore(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS payments (
+      id TEXT PRIMARY KEY,
+      call_sid TEXT,
+      client_name TEXT NOT NULL,
+      client_phone TEXT,
+      client_email TEXT,
+      reference TEXT NOT NULL,
+      amount INTEGER NOT NULL,
+      currency TEXT NOT NULL,
+      status TEXT NOT NULL,
+      payment_link_id TEXT,
+      payment_url TEXT,
+      created_at TEXT NOT NULL,
+      paid_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS payments_call_sid ON payments (call_sid);
+    CREATE INDEX IF NOT EXISTS payments_payment_link ON payments (payment_link_id);
+  `);
+  ensureColumns(db, 'payments', { tenant_id: 'TEXT' });
+
+  const insertPayment = db.prepare(`
+    INSERT INTO payments (
+      id, tenant_id, call_sid, client_name, client_phone, client_email, reference, amount,
+      currency, status, created_at
+    ) VALUES (
+      @id, @tenantId, @callSid, @clientName, @clientPhone, @clientEmail, @reference, @amount,
+      @currency, 'pending', @createdAt
+    )
+  `);
+  const updateLink = db.prepare(`
+    UPDATE payments SET payment_link_id = @paymentLinkId, payment_url = @paymentUrl WHERE id = @id
+  `);
+  const selectById = db.prepare('SELECT * FROM payments WHERE id = ?');
+  const selectByLink = db.prepare('SELECT * FROM payments WHERE payment_link_id = ?');
+  const selectByCall = db.prepare('SELECT * FROM payments WHERE call_sid = ? ORDER BY created_at');
+  const updatePaid = db.prepare(`
+    UPDATE payments SET status = 'paid', paid_at = @paidAt WHERE id = @id
+  `);
+  const updateStatus = db.prepare('UPDATE payments SET status = ? WHERE id = ?');
+  const deleteBefore = db.prepare("DELETE FROM payments WHERE created_at < ? AND status != 'pending'");
+  const selectForClient = db.prepare(`
+    SELECT * FROM payments WHERE client_phone = @phone OR client_email = @email COLLATE NOCASE
+  `);
+  const deleteById = db.prepare('DELETE FROM payments WHERE id = ?');
+
+  return {
+    /** Record a new pending payment request and return it. */
+    createPayment({ tenantId = null, callSid = null, clientName, clientPhone, clientEmail, reference, amount, currency = 'usd' }) {
+      const id = crypto.randomUUID();
+      insertPayment.run({
+        id,
+        tenantId,
+        callSid,
+        clientName,
+        clientPhone,
+        clientEmail,
+        reference,
+        amount,
+        currency,
+        createdAt: toIso(new Date()),
+      });
+      return rowToPayment(selectById.get(id));
+    },
+
+    setPaymentLink(id, { paymentLinkId, paymentUrl }) {
+      updateLink.run({ id, paymentLinkId, paymentUrl });
+    },
+
+    getPayment(id) {
+      return rowToPayment(selectById.get(id));
+    },
+
+    getPaymentByLink(paymentLinkId) {
+      return rowToPayment(selectByLink.get(paymentLinkId));
+    },
+
+    /** Payment requests made during a call, oldest first. */
+    listPaymentsForCall(callSid) {
+      return selectByCall.all(callSid).map(rowToPayment);
+    },
+
+    markPaid(id, { paidAt = new Date() } = {}) {
+      updatePaid.run({ id, paidAt: toIso(paidAt) });
+    },
+
+    setStatus(id, status) {
+      updateStatus.run(status, id);
+    },
+
+    /** Delete the settled requests made before `cutoff`.  Returns how many. */
+    deleteBefore(cutoff) {
+      return deleteBefore.run(toIso(cutoff)).changes;
+    },
+
+    /**
+     * Delete every request sent to a client's phone number or email address.
+     * Returns the deleted requests.
+     */
+    deleteForClient({ phone = null, email = null }) {
+      const payments = selectForClient.all({ phone, email }).map(rowToPayment);
+      for (const payment of payments) deleteById.run(payment.id);
+      return payments;
+    },
+  };
+}
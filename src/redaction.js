@@ -0,0 +1,246 @@
+import { readFileSync } from 'node:fs';
+import { format } from 'node:util';
+import { z } from 'zod';
+
+/*
+ * Redaction
+ *
+ * Callers read out card numbers, Social Security numbers, dates of birth and
+ * bank details however often the agent asks them not to.  The redactor masks
+ * them before any text leaves the server: transcript entries (and so the
+ * stored call records and report emails), tool arguments, every email and
+ * text message a firm sends, and console output.
+ *
+ * Card numbers are only masked when they pass the Luhn check and SSNs only in
+ * their dashed or spaced form (or after the words "social security"), so
+ * phone numbers, amounts and confirmation codes come through untouched.  Bank
+ * account numbers, routing numbers (which must also pass the ABA checksum),
+ * dates of birth and PINs are only recognised next to words that say what
+ * they are, as a bare number or date is usually something else.  Values
+ * under certain keys, such as the date of birth and PIN a caller gives to
+ * prove who they are, are masked in tool arguments whatever they look like.
+ *
+ * The policy lives in `config/redaction.json`: which detectors run, the mask
+ * that replaces a match, the keys whose values are always masked, and extra
+ * patterns for anything else a firm wants kept out.  Each redaction is
+ * counted by type, so every call records what was masked in it.
+ */
+
+export const REDACTION_TYPES = ['card_number', 'ssn', 'bank_account', 'routing_number', 'date_of_birth', 'pin'];
+
+const LABELS = {
+  card_number: 'card number',
+  ssn: 'SSN',
+  bank_account: 'bank account number',
+  routing_number: 'routing number',
+  date_of_birth: 'date of birth',
+  pin: 'PIN',
+};
+
+const customRuleSchema = z.object({
+  name: z.string().regex(/^[a-z][a-z0-9_]*$/, 'Use lower_snake_case rule names'),
+  label: z.string().optional(),
+  pattern: z.string(),
+});
+
+const redactionPolicySchema = z.object({
+  mask: z.string().default('[{{label}} redacted]'),
+  types: z
+    .object(Object.fromEntries(REDACTION_TYPES.map((type) => [type, z.boolean().default(true)])))
+    .default({}),
+  // Object keys whose values are always masked, with the type to count them
+  // as.
+  fields: z.record(z.string()).default({ dateOfBirth: 'date_of_birth', pin: 'pin' }),
+  custom: z.array(customRuleSchema).default([]),
+});
+
+// Up to this many characters (without digits) may sit between a keyword such
+// as "routing" and the number it introduces: "routing number is ".
+const GAP = '[^\\d\\n]{0,25}?';
+
+const DATE =
+  '(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}|\\d{1,2} (?:de )?[a-z]+ (?:de )?\\d{4})';
+
+function digitsOf(text) {
+  return text.replace(/\D/g, '');
+}
+
+/**
+ * Whether a string of digits passes the Luhn check used by card numbers.
+ */
+export function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return digits.length > 0 && sum % 10 === 0;
+}
+
+// The ABA routing number checksum.
+function abaValid(digits) {
+  if (digits.length !== 9) return false;
+  const weights = [3, 7, 1];
+  const sum = [...digits].reduce((total, digit, index) => total + Number(digit) * weights[index % 3], 0);
+  return sum % 10 === 0;
+}
+
+// Built-in detectors, in the order they run.  `pattern` matches the value
+// itself, or with `context` captures `(keyword ...)(value)` so only the value
+// is masked.  `accept` gets the value and can reject a match.
+const DETECTORS = [
+  {
+    type: 'card_number',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    accept: (value) => luhnValid(digitsOf(value)),
+  },
+  {
+    type: 'ssn',
+    pattern: /\b(?!000|666|9\d\d)\d{3}([- ])(?!00)\d{2}\1(?!0000)\d{4}\b/g,
+  },
+  {
+    type: 'ssn',
+    context: true,
+    pattern: new RegExp(`(\\b(?:social security|ssn|seguro social)${GAP})(\\d[\\d -]{7,10}\\d)\\b`, 'gi'),
+    accept: (value) => digitsOf(value).length === 9,
+  },
+  {
+    type: 'routing_number',
+    context: true,
+    pattern: new RegExp(`(\\b(?:routing|aba|transit)${GAP})(\\d{9})\\b`, 'gi'),
+    accept: abaValid,
+  },
+  {
+    type: 'bank_account',
+    context: true,
+    pattern: new RegExp(`(\\b(?:account|acct|cuenta|iban)${GAP})(\\d[\\d -]{4,20}\\d)\\b`, 'gi'),
+    accept: (value) => digitsOf(value).length >= 6 && digitsOf(value).length <= 17,
+  },
+  {
+    type: 'date_of_birth',
+    context: true,
+    pattern: new RegExp(`(\\b(?:born|birth|birthday|dob|d\\.o\\.b\\.?|nacimiento|nac[ií])${GAP})(${DATE})`, 'gi'),
+  },
+  {
+    type: 'pin',
+    context: true,
+    pattern: new RegExp(`(\\b(?:pin|passcode)${GAP})(\\d(?:[ -]?\\d){3,7})\\b`, 'gi'),
+  },
+];
+
+/**
+ * Load and validate the redaction policy from a JSON file.
+ *
+ * @param {string | URL} path Location of the redaction policy file.
+ * @returns {z.infer<typeof redactionPolicySchema>}
+ */
+export function loadRedactionPolicy(path) {
+  const raw = JSON.parse(readFileSync(path, 'utf8'));
+  return redactionPolicySchema.parse(raw);
+}
+
+/**
+ * Add the counts in `more` to `counts`, in place.  Returns `counts`.
+ */
+export function addCounts(counts, more) {
+  for (const [type, count] of Object.entries(more ?? {})) {
+    counts[type] = (counts[type] ?? 0) + count;
+  }
+  return counts;
+}
+
+/**
+ * Redaction counts in words, e.g. "card number: 2, SSN: 1", or null when
+ * nothing was redacted.
+ */
+export function describeCounts(counts, labels = LABELS) {
+  const parts = Object.entries(counts ?? {})
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${labels[type] ?? type.replace(/_/g, ' ')}: ${count}`);
+  return parts.length ? parts.join(', ') : null;
+}
+
+/**
+ * Build a redactor from a policy (see `loadRedactionPolicy`).
+ */
+export function createRedactor(policy = redactionPolicySchema.parse({})) {
+  const labels = { ...LABELS };
+  const detectors = DETECTORS.filter((detector) => policy.types[detector.type]);
+  for (const rule of policy.custom) {
+    labels[rule.name] = rule.label ?? rule.name.replace(/_/g, ' ');
+    detectors.push({ type: rule.name, pattern: new RegExp(rule.pattern, 'giu') });
+  }
+
+  function mask(type, value) {
+    return policy.mask.replace(/{{label}}/g, labels[type] ?? type.replace(/_/g, ' ')).replace(/{{last4}}/g, digitsOf(value).slice(-4));
+  }
+
+  /**
+   * Mask sensitive data in a string.  Each redaction is added to `counts`
+   * when given.
+   */
+  function redact(text, counts) {
+    if (typeof text !== 'string' || !text) return text;
+    let result = text;
+    for (const { type, pattern, context, accept } of detectors) {
+      result = result.replace(pattern, (match, ...groups) => {
+        const [prefix, value] = context ? [groups[0], groups[1]] : ['', match];
+        if (accept && !accept(value)) return match;
+        if (counts) counts[type] = (counts[type] ?? 0) + 1;
+        return `${prefix}${mask(type, value)}`;
+      });
+    }
+    return result;
+  }
+
+  // Mask the whole value of a key listed in `fields`.
+  function redactField(type, value, counts) {
+    if (value == null || value === '') return value;
+    if (counts) counts[type] = (counts[type] ?? 0) + 1;
+    return mask(type, String(value));
+  }
+
+  /**
+   * Mask sensitive data in every string inside a value (objects and arrays
+   * are copied).  The values of the policy's `fields` are masked outright.
+   */
+  function redactValue(value, counts) {
+    if (typeof value === 'string') return redact(value, counts);
+    if (Array.isArray(value)) return value.map((item) => redactValue(item, counts));
+    if (value && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          Object.hasOwn(policy.fields, key) && typeof item !== 'object'
+            ? redactField(policy.fields[key], item, counts)
+            : redactValue(item, counts),
+        ])
+      );
+    }
+    return value;
+  }
+
+  return {
+    redact,
+    redactValue,
+
+    /** As `describeCounts`, with the labels of this policy's custom rules. */
+    describeCounts: (counts) => describeCounts(counts, labels),
+
+    /**
+     * Redact everything written through `console.log`, `info`, `warn` and
+     * `error` from now on.  Errors from Twilio, Stripe or SMTP can echo back
+     * the message or request that failed.
+     */
+    installOnConsole() {
+      for (const method of ['log', 'info', 'warn', 'error']) {
+        const original = console[method].bind(console);
+        console[method] = (...args) => original(redact(format(...args)));
+      }
+    },
+  };
+}
@@ -0,0 +1,210 @@
+import crypto from 'node:crypto';
+
+/*
+ * Reminder jobs
+ *
+ * Every reminder and no-show follow-up for a booking is a row here, one per
+ * kind and channel, so scheduled messages survive a restart.  A job is keyed
+ * by its booking, kind, channel and the appointment time it was planned for:
+ * planning the same booking again adds nothing, and a rescheduled booking
+ * gets fresh jobs while those for the old time are cancelled.
+ *
+ * A job is claimed (`pending` -> `sending`) before anything is sent and
+ * finished as `sent`, `skipped` or `failed` afterwards, or as `queued` when
+ * the message was handed to the notification outbox.  A queued job becomes
+ * `sent` or `failed` once the outbox has delivered the message or given up
+ * on it (see `settle`).  Jobs still `sending` when the server starts were
+ * interrupted mid-send; they are marked `failed` rather than retried, so no
+ * reminder is ever sent twice.
+ * Finished jobs are deleted once they are older than the retention period,
+ * and a booking's jobs go with it when the client's data is erased.
+ */
+
+export const REMINDER_KINDS = ['reminder_24h', 'reminder_1h', 'no_show'];
+
+export const REMINDER_CHANNELS = ['email', 'sms', 'call'];
+
+export const REMINDER_STATUSES = ['pending', 'sending', 'queued', 'sent', 'skipped', 'failed', 'cancelled'];
+
+function toIso(value) {
+  return (value instanceof Date ? value : new Date(value)).toISOString();
+}
+
+function rowToJob(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    bookingId: row.booking_id,
+    kind: row.kind,
+    channel: row.channel,
+    appointmentAt: row.appointment_at,
+    dueAt: row.due_at,
+    expiresAt: row.expires_at,
+    status: row.status,
+    note: row.note,
+    sentAt: row.sent_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Create the reminder job store on top of an open database.
+ *
+ * @param {import('better-sqlite3').Database} db
+ */
+export function createReminderStore(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reminder_jobs (
+      id TEXT PRIMARY KEY,
+      tenant_id TEXT,
+      booking_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      appointment_at TEXT NOT NULL,
+      due_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      note TEXT,
+      sent_at TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE (booking_id, kind, channel, appointment_at)
+    );
+    CREATE INDEX IF NOT EXISTS reminder_jobs_due ON reminder_jobs (status, due_at);
+  `);
+
+  // A job cancelled because its booking moved comes back if the booking
+  // moves back; any other existing job is left alone.
+  const upsertJob = db.prepare(`
+    INSERT INTO reminder_jobs (
+      id, tenant_id, booking_id, kind, channel, appointment_at, due_at, expires_at, created_at, updated_at
+    ) VALUES (
+      @id, @tenantId, @bookingId, @kind, @channel, @appointmentAt, @dueAt, @expiresAt, @now, @now
+    )
+    ON CONFLICT (booking_id, kind, channel, appointment_at) DO UPDATE SET
+      status = 'pending', note = NULL, due_at = excluded.due_at, expires_at = excluded.expires_at,
+      updated_at = excluded.updated_at
+    WHERE reminder_jobs.status = 'cancelled'
+  `);
+  const cancelPending = db.prepare(`
+    UPDATE reminder_jobs SET status = 'cancelled', note = @note, updated_at = @now
+    WHERE booking_id = @bookingId AND status = 'pending' AND (@appointmentAt IS NULL OR appointment_at != @appointmentAt)
+  `);
+  const selectDue = db.prepare(`
+    SELECT * FROM reminder_jobs WHERE status = 'pending' AND due_at <= ? ORDER BY due_at LIMIT ?
+  `);
+  const claimJob = db.prepare(`
+    UPDATE reminder_jobs SET status = 'sending', updated_at = ? WHERE id = ? AND status = 'pending'
+  `);
+  const finishJob = db.prepare(`
+    UPDATE reminder_jobs SET status = @status, note = @note, sent_at = @sentAt, updated_at = @now
+    WHERE id = @id AND status = 'sending'
+  `);
+  const settleJob = db.prepare(`
+    UPDATE reminder_jobs SET status = @status, note = @note, sent_at = @sentAt, updated_at = @now
+    WHERE id = @id AND status IN ('sending', 'queued', 'sent', 'failed')
+  `);
+  const failInterrupted = db.prepare(`
+    UPDATE reminder_jobs SET status = 'failed', note = 'interrupted by a restart', updated_at = ?
+    WHERE status = 'sending'
+  `);
+  const selectForBooking = db.prepare('SELECT * FROM reminder_jobs WHERE booking_id = ? ORDER BY due_at, channel');
+  const deleteBefore = db.prepare("DELETE FROM reminder_jobs WHERE updated_at < ? AND status != 'pending'");
+  const deleteForBooking = db.prepare('DELETE FROM reminder_jobs WHERE booking_id = ?');
+  const selectSent = db.prepare(`
+    SELECT 1 FROM reminder_jobs WHERE booking_id = ? AND channel = ? AND status IN ('queued', 'sent') LIMIT 1
+  `);
+
+  return {
+    /**
+     * Add jobs for a booking.  Jobs that already exist are left as they are.
+     *
+     * @param {{ tenantId: string, bookingId: string, kind: string, channel: string,
+     *   appointmentAt: Date, dueAt: Date, expiresAt: Date }[]} jobs
+     * @returns {number} How many jobs were added or brought back.
+     */
+    schedule: db.transaction((jobs, { now = new Date() } = {}) => {
+      let added = 0;
+      for (const job of jobs) {
+        added += upsertJob.run({
+          id: crypto.randomUUID(),
+          tenantId: job.tenantId,
+          bookingId: job.bookingId,
+          kind: job.kind,
+          channel: job.channel,
+          appointmentAt: toIso(job.appointmentAt),
+          dueAt: toIso(job.dueAt),
+          expiresAt: toIso(job.expiresAt),
+          now: toIso(now),
+        }).changes;
+      }
+      return added;
+    }),
+
+    /**
+     * Cancel a booking's pending jobs, or with `keepAppointmentAt` only those
+     * planned for a different appointment time.
+     */
+    cancelPending(bookingId, { keepAppointmentAt = null, note = null, now = new Date() } = {}) {
+      return cancelPending.run({
+        bookingId,
+        appointmentAt: keepAppointmentAt && toIso(keepAppointmentAt),
+        note,
+        now: toIso(now),
+      }).changes;
+    },
+
+    /** Pending jobs that are due, oldest first. */
+    listDue(now = new Date(), { limit = 50 } = {}) {
+      return selectDue.all(toIso(now), limit).map(rowToJob);
+    },
+
+    /**
+     * Claim a due job for sending.  Returns `false` if it was claimed (or
+     * cancelled) in the meantime.
+     */
+    claim(id, { now = new Date() } = {}) {
+      return claimJob.run(toIso(now), id).changes > 0;
+    },
+
+    /** Record the outcome of a claimed job. */
+    finish(id, status, { note = null, now = new Date() } = {}) {
+      finishJob.run({ id, status, note, sentAt: status === 'sent' ? toIso(now) : null, now: toIso(now) });
+    },
+
+    /**
+     * Record how the outbox got on with a queued job's message: `sent`, or
+     * `failed` once it became a dead letter.  A dead letter replayed later
+     * can still turn the job to `sent`.
+     */
+    settle(id, status, { note = null, now = new Date() } = {}) {
+      settleJob.run({ id, status, note, sentAt: status === 'sent' ? toIso(now) : null, now: toIso(now) });
+    },
+
+    /** Mark jobs left `sending` by a previous run as failed. */
+    failInterrupted({ now = new Date() } = {}) {
+      return failInterrupted.run(toIso(now)).changes;
+    },
+
+    listForBooking(bookingId) {
+      return selectForBooking.all(bookingId).map(rowToJob);
+    },
+
+    /** Whether a booking has had a reminder on this channel. */
+    hasSent(bookingId, channel) {
+      return Boolean(selectSent.get(bookingId, channel));
+    },
+
+    /** Delete the jobs finished before `cutoff`.  Returns how many. */
+    deleteBefore(cutoff) {
+      return deleteBefore.run(toIso(cutoff)).changes;
+    },
+
+    /** Delete every job for these bookings.  Returns how many. */
+    deleteForBookings(bookingIds) {
+      return bookingIds.reduce((deleted, id) => deleted + deleteForBooking.run(id).changes, 0);
+    },
+  };
+}
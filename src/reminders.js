@@ -0,0 +1,232 @@
+import { OFFICE_TIME_ZONE } from './scheduler.js';
+
+/*
+ * Appointment reminders
+ *
+ * Every booked consultation gets reminders 24 hours and 1 hour before it
+ * starts, by email and text message (and, where the firm switches it on, a
+ * short reminder call with the 24-hour one).  When the firm records a
+ * no-show, the client is sent a follow-up with a link to book again.
+ *
+ * The jobs live in the reminder store (see `reminderStore.js`), so they
+ * survive restarts; a sweep sends the due ones every minute.  Before sending,
+ * the booking is read again: jobs for cancelled bookings, or planned for a
+ * time the booking has since moved from, are dropped.  A reminder that is
+ * too late to be useful (a 24-hour reminder within the last hour, or any
+ * reminder after the start) is skipped, and reminders already due when a
+ * booking is made are never planned.  At startup the upcoming bookings are
+ * planned again, which adds only what is missing.
+ *
+ * What a reminder says, and how it is sent, is up to `deliver`.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How often due jobs are looked for.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Reminders before a consultation: when each is due, and until when it is
+// still worth sending, relative to the start.
+const REMINDERS = [
+  { kind: 'reminder_24h', dueBefore: 24 * HOUR_MS, expiresBefore: HOUR_MS },
+  { kind: 'reminder_1h', dueBefore: HOUR_MS, expiresBefore: 0 },
+];
+
+// How long a no-show follow-up may wait (e.g. while SMTP is down).
+const NO_SHOW_EXPIRY_MS = 7 * 24 * HOUR_MS;
+
+// Offset of a time zone from UTC at `date`, in minutes.
+function utcOffsetMinutes(date, timeZone) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(date)
+    .find((part) => part.type === 'timeZoneName').value;
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!match) return 0;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * When a booking starts: the slot reserved on the calendar, or else its
+ * local date and time in the firm's time zone.  Null for bookings whose date
+ * or time is not in `YYYY-MM-DD` and `HH:MM` form.
+ */
+export function appointmentStart({ scheduledStart, date, time }, timeZone = OFFICE_TIME_ZONE) {
+  if (scheduledStart) return new Date(scheduledStart);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !/^\d{2}:\d{2}$/.test(time)) return null;
+  const wallClock = Date.parse(`${date}T${time}:00Z`);
+  // The offset is looked up twice in case the first guess lands on the
+  // other side of a daylight saving change.
+  const guess = wallClock - utcOffsetMinutes(new Date(wallClock), timeZone) * 60 * 1000;
+  return new Date(wallClock - utcOffsetMinutes(new Date(guess), timeZone) * 60 * 1000);
+}
+
+/**
+ * Create the reminder scheduler.
+ *
+ * @param {object} options
+ * @param {ReturnType<import('./reminderStore.js').createReminderStore>} options.store
+ * @param {ReturnType<import('./bookingStore.js').createBookingStore>} options.bookingStore
+ * @param {{ get: (id: string) => object }} options.tenants
+ * @param {(tenant: object) => { email: boolean, sms: boolean, call: boolean }} options.channels
+ *   The channels a firm sends reminders on.
+ * @param {(job: object, booking: object, tenant: object) => Promise<{ status: 'sent' | 'queued' | 'skipped', note?: string }>} options.deliver
+ *   Sends one job, or queues it in the outbox.  Throws when sending failed.
+ * @param {(tenant: object) => string} [options.timeZone] Time zone of a
+ *   firm's booking dates and times.
+ */
+export function createReminderScheduler({
+  store,
+  bookingStore,
+  tenants,
+  channels,
+  deliver,
+  timeZone = () => OFFICE_TIME_ZONE,
+}) {
+  let sweeping = false;
+
+  function jobsFor(booking, tenant, start, specs) {
+    const enabled = channels(tenant);
+    return specs.flatMap(({ kind, dueAt, expiresAt, call }) =>
+      ['email', 'sms', ...(call ? ['call'] : [])]
+        .filter((channel) => enabled[channel])
+        .map((channel) => ({
+          tenantId: booking.tenantId,
+          bookingId: booking.id,
+          kind,
+          channel,
+          appointmentAt: start,
+          dueAt,
+          expiresAt,
+        }))
+    );
+  }
+
+  async function run(job) {
+    const booking = bookingStore.getBooking(job.bookingId);
+    const tenant = booking && tenants.get(booking.tenantId);
+    const now = new Date();
+    if (!booking || booking.status === 'cancelled') {
+      store.finish(job.id, 'cancelled', { note: 'booking cancelled' });
+      return;
+    }
+    const start = appointmentStart(booking, timeZone(tenant));
+    if (job.kind !== 'no_show' && start?.toISOString() !== job.appointmentAt) {
+      store.finish(job.id, 'cancelled', { note: 'booking moved' });
+      return;
+    }
+    if (job.expiresAt <= now.toISOString()) {
+      store.finish(job.id, 'skipped', { note: 'too late to send' });
+      return;
+    }
+    try {
+      const result = await deliver(job, booking, tenant);
+      store.finish(job.id, result.status, { note: result.note ?? null });
+    } catch (error) {
+      console.error(`Error sending ${job.kind} ${job.channel} for booking ${booking.id}:`, error);
+      store.finish(job.id, 'failed', { note: error.message });
+    }
+  }
+
+  async function sweep() {
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      for (const job of store.listDue()) {
+        if (store.claim(job.id)) await run(job);
+      }
+    } catch (error) {
+      console.error('Error sending reminders:', error);
+    } finally {
+      sweeping = false;
+    }
+  }
+
+  const scheduler = {
+    /**
+     * Plan the reminders for a new or rescheduled booking.  Reminders for
+     * the time it had before are cancelled.
+     */
+    schedule(booking, { now = new Date() } = {}) {
+      const tenant = tenants.get(booking.tenantId);
+      const start = appointmentStart(booking, timeZone(tenant));
+      if (!start || booking.status === 'cancelled') return 0;
+      store.cancelPending(booking.id, { keepAppointmentAt: start, note: 'booking moved' });
+      const specs = REMINDERS.map(({ kind, dueBefore, expiresBefore }) => ({
+        kind,
+        dueAt: new Date(start.getTime() - dueBefore),
+        expiresAt: new Date(start.getTime() - expiresBefore),
+        call: kind === 'reminder_24h',
+      })).filter((spec) => spec.dueAt > now);
+      return store.schedule(jobsFor(booking, tenant, start, specs));
+    },
+
+    /** Drop the pending reminders of a cancelled booking. */
+    cancel(bookingId) {
+      store.cancelPending(bookingId, { note: 'booking cancelled' });
+    },
+
+    /**
+     * Record that the client missed their consultation and send them the
+     * no-show follow-up.  Returns the updated booking.
+     */
+    recordNoShow(booking, { now = new Date() } = {}) {
+      const updated = bookingStore.markNoShow(booking.id, { noShowAt: now });
+      const tenant = tenants.get(booking.tenantId);
+      const start = appointmentStart(booking, timeZone(tenant)) ?? now;
+      store.cancelPending(booking.id, { note: 'client did not attend' });
+      store.schedule(
+        jobsFor(booking, tenant, start, [
+          { kind: 'no_show', dueAt: now, expiresAt: new Date(now.getTime() + NO_SHOW_EXPIRY_MS) },
+        ])
+      );
+      sweep();
+      return updated;
+    },
+
+    /**
+     * The upcoming booking a client's text is most likely about: the
+     * soonest one not yet started that has had a text reminder.
+     */
+    findRemindedBooking(tenant, phone, { now = new Date() } = {}) {
+      const fromDate = new Date(now.getTime() - 24 * HOUR_MS).toISOString().slice(0, 10);
+      return (
+        bookingStore
+          .listUpcoming({ fromDate, clientPhone: phone })
+          .filter((booking) => tenants.get(booking.tenantId) === tenant)
+          .filter((booking) => (appointmentStart(booking, timeZone(tenant)) ?? 0) > now)
+          .find((booking) => store.hasSent(booking.id, 'sms')) ?? null
+      );
+    },
+
+    /** Reminder jobs for a booking, for the admin API. */
+    listForBooking(bookingId) {
+      return store.listForBooking(bookingId);
+    },
+
+    /**
+     * Start sending.  Jobs interrupted by a restart are marked failed, the
+     * upcoming bookings are planned again, and due jobs are swept every
+     * minute.
+     */
+    start({ intervalMs = SWEEP_INTERVAL_MS } = {}) {
+      const interrupted = store.failInterrupted();
+      if (interrupted) {
+        console.warn(`${interrupted} reminder(s) were interrupted by a restart and will not be sent`);
+      }
+      const fromDate = new Date(Date.now() - 24 * HOUR_MS).toISOString().slice(0, 10);
+      for (const booking of bookingStore.listUpcoming({ fromDate })) {
+        try {
+          scheduler.schedule(booking);
+        } catch (error) {
+          console.error(`Error planning reminders for booking ${booking.id}:`, error);
+        }
+      }
+      sweep();
+      const timer = setInterval(sweep, intervalMs);
+      timer.unref();
+      return timer;
+    },
+  };
+  return scheduler;
+}
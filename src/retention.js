@@ -0,0 +1,110 @@
+/*
+ * Data retention
+ *
+ * Transcripts and client details are only kept for as long as the firm needs
+ * them.  With a retention period set, an hourly sweep deletes what has grown
+ * older than it: calls with their transcripts and tool invocations, bookings
+ * and payment requests that are settled, reminder jobs, sent and dead
+ * notifications, and clients the agent met who have not been in touch since.
+ * Without one, everything is kept.
+ *
+ * A client can also ask for everything held about them to be erased, by phone
+ * number or email address; see `eraseClient`, which the admin API serves.
+ * SMS opt-outs are kept, so an erased number still gets no texts, the client
+ * directory remembers the erasure so the firm's client list cannot restore
+ * it, and Stripe, Twilio and the firm's mailbox keep their own records.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Create the retention controls.
+ *
+ * @param {object} options
+ * @param {import('better-sqlite3').Database} options.db
+ * @param {ReturnType<import('./callStore.js').createCallStore>} options.callStore
+ * @param {ReturnType<import('./bookingStore.js').createBookingStore>} options.bookingStore
+ * @param {ReturnType<import('./paymentStore.js').createPaymentStore>} options.paymentStore
+ * @param {ReturnType<import('./reminderStore.js').createReminderStore>} options.reminderStore
+ * @param {ReturnType<import('./outboxStore.js').createOutboxStore>} options.outboxStore
+ * @param {ReturnType<import('./clientDirectory.js').createClientDirectory>} options.clientDirectory
+ * @param {number} [options.retentionDays] How long data is kept; forever
+ *   when not set.
+ */
+export function createDataRetention({
+  db,
+  callStore,
+  bookingStore,
+  paymentStore,
+  reminderStore,
+  outboxStore,
+  clientDirectory,
+  retentionDays = null,
+}) {
+  const purge = db.transaction((cutoff) => ({
+    calls: callStore.deleteBefore(cutoff),
+    bookings: bookingStore.deleteBefore(cutoff),
+    payments: paymentStore.deleteBefore(cutoff),
+    reminders: reminderStore.deleteBefore(cutoff),
+    notifications: outboxStore.deleteBefore(cutoff),
+    clients: clientDirectory.deleteBefore(cutoff),
+  }));
+
+  const erase = db.transaction(({ phone, email }) => {
+    const bookings = bookingStore.deleteForClient({ phone, email });
+    const payments = paymentStore.deleteForClient({ phone, email });
+    return {
+      calls: callStore.deleteForClient({
+        phone,
+        email,
+        callSids: [...bookings, ...payments].map((record) => record.callSid),
+      }),
+      bookings: bookings.length,
+      payments: payments.length,
+      reminders: reminderStore.deleteForBookings(bookings.map((booking) => booking.id)),
+      notifications: outboxStore.deleteMentioning([phone, email]),
+      clients: clientDirectory.deleteForClient({ phone, email }),
+    };
+  });
+
+  function sweep() {
+    try {
+      const deleted = purge(new Date(Date.now() - retentionDays * DAY_MS));
+      if (Object.values(deleted).some(Boolean)) {
+        console.log(`Deleted data older than ${retentionDays} days:`, deleted);
+      }
+    } catch (error) {
+      console.error('Error deleting expired data:', error);
+    }
+  }
+
+  return {
+    /**
+     * Delete everything held about a client: their calls (from their number,
+     * mentioning their email, or where they booked or paid), bookings with
+     * their reminders, payment requests, queued notifications and client
+     * directory entries.  `phone` must be in E.164 form.  Returns how many
+     * records of each kind were deleted.
+     *
+     * @param {{ phone?: string | null, email?: string | null }} client
+     */
+    eraseClient({ phone = null, email = null }) {
+      if (!phone && !email) throw new Error('A phone number or email address is required');
+      return erase({ phone, email });
+    },
+
+    /**
+     * Start deleting expired data, once now and then every hour.  Does
+     * nothing without a retention period.
+     */
+    start({ intervalMs = SWEEP_INTERVAL_MS } = {}) {
+      if (!retentionDays) return null;
+      sweep();
+      const timer = setInterval(sweep, intervalMs);
+      timer.unref();
+      return timer;
+    },
+  };
+}
@@ -0,0 +1,193 @@
+/*
+ * Consultation scheduling
+ *
+ * The agent offers callers real open times instead of guessing.  Both
+ * `check_availability` and `book_consultation` talk to a *scheduler* with two
+ * methods:
+ *
+ *   findAvailableSlots(consultationType, { start, end })
+ *     -> Promise<Array<{ startTime: string }>>   (ISO 8601, UTC)
+ *   reserveSlot(consultationType, { startTime, invitee })
+ *     -> Promise<{ bookingUrl: string, startTime: string, confirmed: boolean }>
+ *
+ * `createCalendlyScheduler` implements it against the Calendly API: the event
+ * type behind each consultation type is found by matching its public
+ * scheduling link, open times come from `event_type_available_times`, and a
+ * reservation is a single-use scheduling link the client uses to confirm.
+ * `createStubScheduler` is an offline stand-in for local development.
+ */
+
+export const OFFICE_TIME_ZONE = 'America/Los_Angeles';
+
+const CALENDLY_API = 'https://api.calendly.com';
+
+// Calendly only answers availability queries for up to a week at a time.
+const MAX_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Describe a slot in Pacific time, e.g. "Tuesday, October 21 at 3:00 PM".
+ */
+export function formatSlot(startTime) {
+  const date = new Date(startTime);
+  const day = date.toLocaleDateString('en-US', {
+    timeZone: OFFICE_TIME_ZONE,
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+  });
+  const time = date.toLocaleTimeString('en-US', {
+    timeZone: OFFICE_TIME_ZONE,
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+  return `${day} at ${time}`;
+}
+
+function normaliseLink(link) {
+  return link ? link.replace(/\/+$/, '').toLowerCase() : link;
+}
+
+/**
+ * Scheduler backed by the Calendly API.
+ *
+ * @param {object} options
+ * @param {string} options.token Calendly personal access token.
+ * @param {Record<string, string | undefined>} options.eventLinks Public
+ *   scheduling link of the event type for each consultation type.
+ */
+export function createCalendlyScheduler({ token, eventLinks }) {
+  async function request(path, { method = 'GET', query, body } = {}) {
+    const url = new URL(path, CALENDLY_API);
+    for (const [key, value] of Object.entries(query ?? {})) {
+      url.searchParams.set(key, value);
+    }
+    const response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) {
+      throw new Error(`Calendly ${method} ${url.pathname} failed with ${response.status}: ${await response.text()}`);
+    }
+    return response.json();
+  }
+
+  // Event types are looked up once and cached; they rarely change.
+  let eventTypesPromise = null;
+  function loadEventTypes() {
+    eventTypesPromise ??= (async () => {
+      const { resource: user } = await request('/users/me');
+      const { collection } = await request('/event_types', {
+        query: { user: user.uri, active: 'true', count: '100' },
+      });
+      return collection;
+    })().catch((error) => {
+      eventTypesPromise = null;
+      throw error;
+    });
+    return eventTypesPromise;
+  }
+
+  async function eventTypeFor(consultationType) {
+    const link = normaliseLink(eventLinks[consultationType]);
+    if (!link) {
+      throw new Error(`No Calendly link is configured for ${consultationType}`);
+    }
+    const eventType = (await loadEventTypes()).find((type) => normaliseLink(type.scheduling_url) === link);
+    if (!eventType) {
+      throw new Error(`No active Calendly event type matches ${eventLinks[consultationType]}`);
+    }
+    return eventType;
+  }
+
+  return {
+    async findAvailableSlots(consultationType, { start, end }) {
+      const eventType = await eventTypeFor(consultationType);
+      // Calendly rejects start times in the past and ranges over a week.
+      const from = new Date(Math.max(start.getTime(), Date.now() + 60 * 1000));
+      const to = new Date(Math.min(end.getTime(), from.getTime() + MAX_RANGE_MS));
+      if (to <= from) return [];
+      const { collection } = await request('/event_type_available_times', {
+        query: {
+          event_type: eventType.uri,
+          start_time: from.toISOString(),
+          end_time: to.toISOString(),
+        },
+      });
+      return collection
+        .filter((slot) => slot.status === 'available')
+        .map((slot) => ({ startTime: new Date(slot.start_time).toISOString() }));
+    },
+
+    async reserveSlot(consultationType, { startTime }) {
+      const eventType = await eventTypeFor(consultationType);
+      const { resource } = await request('/scheduling_links', {
+        method: 'POST',
+        body: { max_event_count: 1, owner: eventType.uri, owner_type: 'EventType' },
+      });
+      return { bookingUrl: resource.booking_url, startTime, confirmed: false };
+    },
+  };
+}
+
+/**
+ * Offline scheduler for local development.  Every weekday hour from 9am to
+ * 4pm Pacific is open, and reservations return the static scheduling link.
+ *
+ * @param {object} options
+ * @param {Record<string, string | undefined>} options.eventLinks
+ */
+export function createStubScheduler({ eventLinks }) {
+  const hourFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: OFFICE_TIME_ZONE,
+    hour: 'numeric',
+    hourCycle: 'h23',
+    weekday: 'short',
+  });
+
+  return {
+    async findAvailableSlots(consultationType, { start, end }) {
+      const slots = [];
+      const cursor = new Date(Math.max(start.getTime(), Date.now()));
+      cursor.setUTCMinutes(0, 0, 0);
+      cursor.setUTCHours(cursor.getUTCHours() + 1);
+      const to = Math.min(end.getTime(), cursor.getTime() + MAX_RANGE_MS);
+      for (; cursor.getTime() < to; cursor.setUTCHours(cursor.getUTCHours() + 1)) {
+        const parts = Object.fromEntries(hourFormat.formatToParts(cursor).map((p) => [p.type, p.value]));
+        const hour = Number(parts.hour);
+        if (parts.weekday !== 'Sat' && parts.weekday !== 'Sun' && hour >= 9 && hour <= 16) {
+          slots.push({ startTime: cursor.toISOString() });
+        }
+      }
+      return slots;
+    },
+
+    async reserveSlot(consultationType, { startTime }) {
+      const link = eventLinks[consultationType] ?? 'https://calendly.com/stub';
+      return { bookingUrl: link, startTime, confirmed: false };
+    },
+  };
+}
+
+// Offset of the office time zone from UTC at `date`, in minutes (e.g. -420
+// during Pacific daylight time).
+function officeUtcOffsetMinutes(date) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone: OFFICE_TIME_ZONE, timeZoneName: 'longOffset' })
+    .formatToParts(date)
+    .find((part) => part.type === 'timeZoneName').value;
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!match) return 0;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Midnight at the start of a `YYYY-MM-DD` day in the office time zone.
+ */
+export function startOfOfficeDay(date) {
+  const offset = officeUtcOffsetMinutes(new Date(`${date}T12:00:00Z`));
+  return new Date(Date.parse(`${date}T00:00:00Z`) - offset * 60 * 1000);
+}
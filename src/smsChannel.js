@@ -0,0 +1,256 @@
+import { escapeXml } from './twilioStream.js';
+import { createTranscript } from './transcript.js';
+
+/*
+ * SMS conversations
+ *
+ * Clients can text a firm's Twilio number instead of calling.  Twilio posts
+ * each incoming message to `/incoming-sms`; the message is answered by the
+ * same agent tools as a call (through `respond`), and the reply is sent back
+ * with `sendSms`, split into SMS-sized parts.  The webhook itself answers at
+ * once, so a slow tool never runs into Twilio's timeout.
+ *
+ * Conversation state (the agent history and the running transcript) is kept
+ * in memory per firm and phone number.  Messages from the same number are
+ * handled one at a time, in order.  A conversation ends after a period
+ * without messages, at which point `onConversationEnd` stores and emails the
+ * thread like a call transcript.
+ *
+ * The carrier keywords are handled before the agent sees anything: STOP (and
+ * its synonyms) opts the number out, START opts it back in, and HELP replies
+ * with the firm's help text.  Twilio sends its own confirmation for STOP and
+ * START.  Other keywords can be given handlers of their own (e.g. CONFIRM in
+ * reply to an appointment reminder); a handler with nothing to say passes
+ * the message on to the agent.
+ */
+
+const STOP_KEYWORDS = new Set(['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'REVOKE']);
+const START_KEYWORDS = new Set(['START', 'UNSTOP', 'YES']);
+const HELP_KEYWORDS = new Set(['HELP', 'INFO']);
+
+// How often idle conversations are looked for.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const FALLBACK_REPLY = 'Sorry, something went wrong on our side. Please try again in a few minutes or call our office.';
+
+// Characters of the GSM 7-bit alphabet.  A message using anything else is
+// sent as UCS-2, which fits far fewer characters per SMS.
+const GSM_7 = /^[A-Za-z0-9 \r\n@£$¥èéùìòÇØøÅå_ÆæßÉ!"#%&'()*+,\-./:;<=>?¡ÄÖÑÜ§¿äöñüà]*$/;
+
+// Typography the agent uses in speech that would force UCS-2 over SMS.
+const PLAIN_TEXT = [
+  [/[‘’]/g, "'"],
+  [/[“”]/g, '"'],
+  [/[‐-―]/g, '-'],
+  [/…/g, '...'],
+  [/ /g, ' '],
+  [/\*\*|__/g, ''],
+];
+
+function twiml(body = '') {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<Response>${body}</Response>`;
+}
+
+/**
+ * Split a reply into SMS-sized parts.  A reply that fits in one message is
+ * sent as is; longer replies are broken on word boundaries and numbered
+ * "(1/3) ", "(2/3) " and so on.
+ */
+export function splitSms(text) {
+  const plain = PLAIN_TEXT.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text).trim();
+  const gsm = GSM_7.test(plain);
+  if (plain.length <= (gsm ? 160 : 70)) return [plain];
+  // Concatenated messages lose a few characters per part to the header; keep
+  // room for the "(n/m) " counter as well.
+  const size = (gsm ? 153 : 67) - 8;
+  const parts = [];
+  let current = '';
+  for (const word of plain.split(/\s+/)) {
+    for (let start = 0; start < word.length; start += size) {
+      const piece = word.slice(start, start + size);
+      if (!current) {
+        current = piece;
+      } else if (current.length + 1 + piece.length <= size) {
+        current += ` ${piece}`;
+      } else {
+        parts.push(current);
+        current = piece;
+      }
+    }
+  }
+  if (current) parts.push(current);
+  return parts.map((part, index) => `(${index + 1}/${parts.length}) ${part}`);
+}
+
+/**
+ * Create the SMS channel.
+ *
+ * @param {object} options
+ * @param {{ forNumber: (number: string) => object }} options.tenants
+ * @param {ReturnType<import('./smsStore.js').createSmsStore>} options.smsStore
+ * @param {(to: string, body: string, from: string) => Promise<void> | void} options.sendSms
+ *   Sends (or queues) one text message from the firm's number `from`.
+ * @param {(conversation: object, text: string) => Promise<string>} options.respond
+ *   Runs the agent on an incoming message and returns the reply.  It may
+ *   update `conversation.history` and add tool calls, guardrail trips and
+ *   the like to `conversation.transcript`.
+ * @param {(conversation: object) => void} [options.onConversationStart]
+ * @param {(conversation: object) => Promise<void>} [options.onConversationEnd]
+ * @param {(tenant: object) => string} options.helpText Reply to HELP.
+ * @param {Record<string, (message: { tenant: object, phone: string }) => Promise<string | null>>} [options.replyKeywords]
+ *   Handlers for further keywords, by upper-case keyword.  Each returns the
+ *   reply to send, or null to let the agent answer the message.
+ * @param {object} [options.redactor] Masks sensitive data in transcripts; see
+ *   src/redaction.js.
+ * @param {number} [options.idleTimeoutMs] How long a conversation stays open
+ *   without messages.
+ */
+export function createSmsChannel({
+  tenants,
+  smsStore,
+  sendSms,
+  respond,
+  onConversationStart = () => {},
+  onConversationEnd = async () => {},
+  helpText,
+  replyKeywords = {},
+  redactor = null,
+  idleTimeoutMs = 30 * 60 * 1000,
+}) {
+  const conversations = new Map();
+
+  function end(key) {
+    const conversation = conversations.get(key);
+    if (!conversation) return;
+    conversations.delete(key);
+    conversation.queue = conversation.queue.then(() =>
+      onConversationEnd(conversation).catch((error) => {
+        console.error('Error closing SMS conversation:', error);
+      })
+    );
+  }
+
+  setInterval(() => {
+    const cutoff = Date.now() - idleTimeoutMs;
+    for (const [key, conversation] of conversations) {
+      if (conversation.lastActivityAt < cutoff) end(key);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  function open(key, { tenant, phone, number, messageSid, publicBaseUrl }) {
+    let conversation = conversations.get(key);
+    if (!conversation) {
+      conversation = {
+        id: messageSid,
+        tenant,
+        phone,
+        number,
+        publicBaseUrl,
+        history: [],
+        transcript: createTranscript({ redactor }),
+        queue: Promise.resolve(),
+        lastActivityAt: Date.now(),
+      };
+      conversations.set(key, conversation);
+      try {
+        onConversationStart(conversation);
+      } catch (error) {
+        console.error('Error recording SMS conversation:', error);
+      }
+    }
+    conversation.lastActivityAt = Date.now();
+    return conversation;
+  }
+
+  // Answer a message with a keyword handler, or pass it on to the agent.
+  async function answerKeyword(handler, { tenant, phone, number }, passOn) {
+    let reply;
+    try {
+      reply = await handler({ tenant, phone });
+    } catch (error) {
+      console.error('Error answering SMS keyword:', error);
+      reply = FALLBACK_REPLY;
+    }
+    if (!reply) {
+      passOn();
+      return;
+    }
+    try {
+      for (const part of splitSms(reply)) {
+        await sendSms(phone, part, number);
+      }
+    } catch (error) {
+      console.error('Error sending SMS reply:', error);
+    }
+  }
+
+  async function answer(conversation, text) {
+    conversation.transcript.message('client', text);
+    let reply;
+    try {
+      reply = await respond(conversation, text);
+    } catch (error) {
+      console.error('Error answering SMS:', error);
+      reply = FALLBACK_REPLY;
+    }
+    conversation.transcript.message('agent', reply);
+    conversation.lastActivityAt = Date.now();
+    try {
+      for (const part of splitSms(reply)) {
+        await sendSms(conversation.phone, part, conversation.number);
+      }
+    } catch (error) {
+      console.error('Error sending SMS reply:', error);
+    }
+  }
+
+  return {
+    /**
+     * Fastify plugin serving the incoming SMS webhook.  `preValidation`
+     * should be the Twilio signature hook; `publicBaseUrl` resolves the
+     * server's public origin for a request.
+     */
+    routes: async function smsRoutes(fastify, { preValidation, publicBaseUrl }) {
+      fastify.addHook('preValidation', preValidation);
+
+      fastify.post('/incoming-sms', async (request, reply) => {
+        const { MessageSid: messageSid, From: phone, To: number, Body: body = '' } = request.body ?? {};
+        const tenant = tenants.forNumber(number);
+        const key = `${tenant.id}:${phone}`;
+        const keyword = body.trim().toUpperCase();
+        reply.type('text/xml');
+
+        if (STOP_KEYWORDS.has(keyword)) {
+          smsStore.optOut(tenant.id, phone);
+          end(key);
+          return twiml();
+        }
+        if (smsStore.isOptedOut(tenant.id, phone)) {
+          if (START_KEYWORDS.has(keyword)) {
+            smsStore.optIn(tenant.id, phone);
+          }
+          return twiml();
+        }
+        if (HELP_KEYWORDS.has(keyword)) {
+          return twiml(`<Message>${escapeXml(helpText(tenant))}</Message>`);
+        }
+        if (!body.trim()) {
+          return twiml();
+        }
+
+        const origin = publicBaseUrl(request);
+        const passOn = () => {
+          const conversation = open(key, { tenant, phone, number, messageSid, publicBaseUrl: origin });
+          conversation.queue = conversation.queue.then(() => answer(conversation, body.trim()));
+        };
+        const handler = replyKeywords[keyword.replace(/[.!]+$/, '').replace(/\s+/g, ' ')];
+        if (handler) {
+          answerKeyword(handler, { tenant, phone, number }, passOn);
+        } else {
+          passOn();
+        }
+        return twiml();
+      });
+    },
+  };
+}
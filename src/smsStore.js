@@ -0,0 +1,50 @@
+/*
+ * SMS opt-outs
+ *
+ * Clients who text STOP (or another opt-out keyword) to a firm's number are
+ * recorded here and get no further messages from that firm until they text
+ * START.  Twilio enforces the same opt-out at the carrier level; keeping our
+ * own record means the agent never runs for, and nothing is queued to, a
+ * number that has opted out.
+ */
+
+function toIso(value) {
+  return (value instanceof Date ? value : new Date(value)).toISOString();
+}
+
+/**
+ * Create the SMS opt-out store on top of an open database.
+ *
+ * @param {import('better-sqlite3').Database} db
+ */
+export function createSmsStore(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sms_opt_outs (
+      tenant_id TEXT NOT NULL,
+      phone TEXT NOT NULL,
+      opted_out_at TEXT NOT NULL,
+      PRIMARY KEY (tenant_id, phone)
+    );
+  `);
+
+  const insertOptOut = db.prepare(`
+    INSERT OR IGNORE INTO sms_opt_outs (tenant_id, phone, opted_out_at)
+    VALUES (@tenantId, @phone, @optedOutAt)
+  `);
+  const deleteOptOut = db.prepare('DELETE FROM sms_opt_outs WHERE tenant_id = ? AND phone = ?');
+  const selectOptOut = db.prepare('SELECT 1 FROM sms_opt_outs WHERE tenant_id = ? AND phone = ?');
+
+  return {
+    optOut(tenantId, phone, { optedOutAt = new Date() } = {}) {
+      insertOptOut.run({ tenantId, phone, optedOutAt: toIso(optedOutAt) });
+    },
+
+    optIn(tenantId, phone) {
+      deleteOptOut.run(tenantId, phone);
+    },
+
+    isOptedOut(tenantId, phone) {
+      return Boolean(selectOptOut.get(tenantId, phone));
+    },
+  };
+}
@@ -0,0 +1,365 @@
+import { formatAppointmentTime } from './languages.js';
+import { callerLanguage, renderTemplate } from './tenants.js';
+
+/*
+ * Stripe payment confirmation
+ *
+ * Two kinds of Stripe payment links are sent to clients, and both carry the
+ * client's name and email in their metadata:
+ *
+ *  - `book_consultation` links for paid consultations, with a `booking_id`.
+ *  - `process_payment` links for outstanding fees, with a `payment_id`.
+ *
+ * Stripe reports the outcome through the `/stripe/webhook` route below.  A
+ * completed checkout marks the booking or payment as paid, along with the
+ * call that requested a fee payment, and switches its payment link off.  The
+ * client then gets a receipt and the firm gets a "payment confirmed" notice.  Failed and expired checkouts are
+ * reported too.  `startOverduePaymentSweep` flags bookings that are still
+ * unpaid when their deadline passes.
+ *
+ * An event is remembered once it has been handled, so a redelivered event is
+ * ignored, while one that failed is answered with a 500 and handled again
+ * when Stripe retries it.
+ *
+ * Each tenant may use its own Stripe account.  The webhook tries every
+ * tenant's signing secret, and emails and texts go out in the name of the
+ * tenant that owns the booking or payment.  Emails about a booking use the
+ * tenant's templates (`paymentReceipt`, `paymentFailed`, `paymentReminder`)
+ * in the language the client booked in.
+ */
+
+function formatAmount(amount, currency = 'usd') {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(
+    amount / 100
+  );
+}
+
+function bookingSummary(booking) {
+  return `Booking ID: ${booking.id}\nConfirmation Code: ${booking.confirmationCode}\nClient Name: ${booking.clientName}\nPhone: ${booking.clientPhone}\nEmail: ${booking.clientEmail}\nConsultation: ${booking.consultationType}\nPreferred Date: ${booking.date}\nPreferred Time: ${booking.time}\n`;
+}
+
+/**
+ * Fastify plugin serving `POST /stripe/webhook`.
+ *
+ * Tenants are the objects built by index.js from the tenant profiles: each
+ * has `stripeClient`, `stripe.webhookSecret`, `sendMail` and `sendSms` (which
+ * queue client messages), `notifyFirm` (which queues "payment confirmed"
+ * notices for the firm) and `firm`.
+ *
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {object} options
+ * @param {ReturnType<typeof import('./tenants.js').createTenantDirectory>} options.tenants
+ * @param {ReturnType<import('./bookingStore.js').createBookingStore>} options.bookingStore
+ * @param {ReturnType<import('./paymentStore.js').createPaymentStore>} options.paymentStore
+ * @param {ReturnType<import('./callStore.js').createCallStore>} options.callStore
+ */
+export async function stripeWebhookRoutes(fastify, { tenants, bookingStore, paymentStore, callStore }) {
+  // Signature verification needs the exact bytes Stripe sent, so JSON bodies
+  // are kept as buffers within this plugin.
+  fastify.addContentTypeParser('application/json', { parseAs: 'buffer' }, (request, body, done) => {
+    done(null, body);
+  });
+
+  async function notify(tenant, to, subject, text, description) {
+    if (!to) return;
+    try {
+      tenant.sendMail({ to, subject, text });
+    } catch (error) {
+      console.error(`Error queueing ${description}:`, error);
+    }
+  }
+
+  async function text(tenant, to, body, description) {
+    if (!to) return;
+    try {
+      tenant.sendSms(to, body);
+    } catch (error) {
+      console.error(`Error queueing ${description}:`, error);
+    }
+  }
+
+  // Email the client about their booking from one of the tenant's templates,
+  // in the language they booked in.
+  async function notifyBooking(tenant, booking, template, values, description) {
+    const language = callerLanguage(tenant, booking.language);
+    const { subject, text } = language.templates[template];
+    const templateValues = {
+      firmName: tenant.firm.name,
+      signature: tenant.firm.signature ?? tenant.firm.name,
+      clientName: booking.clientName,
+      time: language.code === 'en' ? `${booking.date} at ${booking.time}` : formatAppointmentTime(booking, language.code),
+      confirmationCode: booking.confirmationCode,
+      bookingId: booking.id,
+      paymentUrl: booking.paymentUrl,
+      ...values,
+    };
+    await notify(
+      tenant,
+      booking.clientEmail,
+      renderTemplate(subject, templateValues),
+      renderTemplate(text, templateValues),
+      description
+    );
+  }
+
+  async function notifyFirm(tenant, notice, description) {
+    try {
+      tenant.notifyFirm(notice);
+    } catch (error) {
+      console.error(`Error queueing ${description}:`, error);
+    }
+  }
+
+  async function handlePaid(tenant, booking, session) {
+    if (booking.paymentStatus === 'paid') return;
+    bookingStore.markPaid(booking.id, { amountPaid: session.amount_total, currency: session.currency });
+    // As for fees, switch the link off so the consultation is not paid twice.
+    if (booking.paymentLinkId) {
+      try {
+        await tenant.stripeClient.paymentLinks.update(booking.paymentLinkId, { active: false });
+      } catch (error) {
+        console.error('Error deactivating Stripe payment link:', error);
+      }
+    }
+    const amount = formatAmount(session.amount_total, session.currency);
+    await notifyBooking(
+      tenant,
+      booking,
+      'paymentReceipt',
+      { amount, paymentReference: session.payment_intent ?? session.id },
+      'payment receipt email'
+    );
+    await notifyFirm(
+      tenant,
+      {
+        event: 'payment_confirmed',
+        subject: `Payment confirmed for ${booking.clientName}`,
+        text: `A consultation payment of ${amount} has been confirmed by Stripe.\n\n${bookingSummary(booking)}Stripe checkout session: ${session.id}\n`,
+        data: { bookingId: booking.id, amount: session.amount_total, currency: session.currency, sessionId: session.id },
+      },
+      'payment confirmation notice'
+    );
+  }
+
+  async function handleFailed(tenant, booking, session) {
+    if (booking.status === 'cancelled') return;
+    bookingStore.setPaymentStatus(booking.id, 'failed');
+    await notifyBooking(tenant, booking, 'paymentFailed', {}, 'payment failure email');
+    await notifyFirm(
+      tenant,
+      {
+        event: 'payment_failed',
+        subject: `Payment failed for ${booking.clientName}`,
+        text: `A consultation payment failed.\n\n${bookingSummary(booking)}Stripe checkout session: ${session.id}\n`,
+        data: { bookingId: booking.id, sessionId: session.id },
+      },
+      'payment failure notice'
+    );
+  }
+
+  // An expired checkout only means the client abandoned that attempt; the
+  // payment link itself stays valid, so they are reminded to use it.
+  async function handleExpired(tenant, booking) {
+    if (booking.paymentStatus === 'paid' || booking.status === 'cancelled') return;
+    await notifyBooking(tenant, booking, 'paymentReminder', {}, 'payment reminder email');
+  }
+
+  async function handleFeePaid(tenant, payment, session) {
+    const firmName = tenant.firm.signature ?? tenant.firm.name;
+    if (payment.status === 'paid') return;
+    paymentStore.markPaid(payment.id);
+    if (payment.callSid) callStore.markPaid(payment.callSid);
+    // Payment links stay usable after a payment, so switch this one off to
+    // stop the client from accidentally paying twice.
+    try {
+      await tenant.stripeClient.paymentLinks.update(payment.paymentLinkId, { active: false });
+    } catch (error) {
+      console.error('Error deactivating Stripe payment link:', error);
+    }
+    const amount = formatAmount(session.amount_total ?? payment.amount, session.currency ?? payment.currency);
+    await notify(
+      tenant,
+      payment.clientEmail,
+      `Payment received – ${firmName}`,
+      `Hello ${payment.clientName},\n\nThank you. We have received your payment of ${amount}.\n\nReceipt\nAmount paid: ${amount}\nReference: ${payment.reference}\nPayment reference: ${session.payment_intent ?? session.id}\n\nIf you have any questions, please reply to this email or call our office.\n\nBest regards,\n${firmName}`,
+      'payment receipt email'
+    );
+    await text(tenant, payment.clientPhone, `${firmName}: we have received your payment of ${amount} (ref ${payment.reference}). Thank you.`, 'payment receipt SMS');
+    await notifyFirm(
+      tenant,
+      {
+        event: 'payment_confirmed',
+        subject: `Payment confirmed for ${payment.clientName}`,
+        text: `A payment of ${amount} has been confirmed by Stripe.\n\nClient Name: ${payment.clientName}\nPhone: ${payment.clientPhone}\nEmail: ${payment.clientEmail}\nReference: ${payment.reference}\nStripe checkout session: ${session.id}\n`,
+        data: {
+          paymentId: payment.id,
+          reference: payment.reference,
+          amount: session.amount_total ?? payment.amount,
+          sessionId: session.id,
+        },
+      },
+      'payment confirmation notice'
+    );
+  }
+
+  async function handleFeeFailed(tenant, payment, session) {
+    const firmName = tenant.firm.signature ?? tenant.firm.name;
+    paymentStore.setStatus(payment.id, 'failed');
+    await notify(
+      tenant,
+      payment.clientEmail,
+      `Payment unsuccessful – ${firmName}`,
+      `Hello ${payment.clientName},\n\nUnfortunately your payment for ${payment.reference} did not go through. You can try again using the same secure link: ${payment.paymentUrl}\n\nBest regards,\n${firmName}`,
+      'payment failure email'
+    );
+    await text(tenant, payment.clientPhone, `${firmName}: your payment did not go through. You can try again here: ${payment.paymentUrl}`, 'payment failure SMS');
+    await notifyFirm(
+      tenant,
+      {
+        event: 'payment_failed',
+        subject: `Payment failed for ${payment.clientName}`,
+        text: `A payment failed.\n\nClient Name: ${payment.clientName}\nReference: ${payment.reference}\nStripe checkout session: ${session.id}\n`,
+        data: { paymentId: payment.id, reference: payment.reference, sessionId: session.id },
+      },
+      'payment failure notice'
+    );
+  }
+
+  async function handleFeeExpired(tenant, payment) {
+    const firmName = tenant.firm.signature ?? tenant.firm.name;
+    if (payment.status === 'paid') return;
+    await notify(
+      tenant,
+      payment.clientEmail,
+      `Complete your payment – ${firmName}`,
+      `Hello ${payment.clientName},\n\nIt looks like your payment for ${payment.reference} was not completed. You can pay using this secure link: ${payment.paymentUrl}\n\nBest regards,\n${firmName}`,
+      'payment reminder email'
+    );
+  }
+
+  // Handlers per event type, for bookings and for fee payments.
+  const handlers = {
+    'checkout.session.completed': {
+      booking: (tenant, booking, session) =>
+        session.payment_status === 'paid' ? handlePaid(tenant, booking, session) : null,
+      payment: (tenant, payment, session) =>
+        session.payment_status === 'paid' ? handleFeePaid(tenant, payment, session) : null,
+    },
+    'checkout.session.async_payment_succeeded': { booking: handlePaid, payment: handleFeePaid },
+    'checkout.session.async_payment_failed': { booking: handleFailed, payment: handleFeeFailed },
+    'checkout.session.expired': { booking: handleExpired, payment: handleFeeExpired },
+  };
+
+  // Verify the event against each tenant's signing secret in turn; the
+  // tenant whose secret matches is the one whose Stripe account sent it.
+  function verifyEvent(body, signature) {
+    let lastError;
+    for (const tenant of tenants.list()) {
+      if (!tenant.stripeClient || !tenant.stripe.webhookSecret) continue;
+      try {
+        return { tenant, event: tenant.stripeClient.webhooks.constructEvent(body, signature, tenant.stripe.webhookSecret) };
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  // Apply an event to the fee payment or booking it is about.
+  async function handleEvent(handler, tenant, event) {
+    const session = event.data.object;
+    const metadata = session.metadata ?? {};
+    const payment = metadata.payment_id
+      ? paymentStore.getPayment(metadata.payment_id)
+      : session.payment_link && paymentStore.getPaymentByLink(session.payment_link);
+    if (payment) {
+      await handler.payment(payment.tenantId ? tenants.get(payment.tenantId) : tenant, payment, session);
+      return;
+    }
+    const booking = bookingStore.findBookingForPayment({
+      bookingId: metadata.booking_id,
+      paymentLinkId: session.payment_link,
+      clientName: metadata.client_name,
+      clientEmail: metadata.client_email ?? session.customer_details?.email,
+    });
+    if (!booking) {
+      console.warn(`Stripe event ${event.id} (${event.type}) did not match any booking`);
+      return;
+    }
+    await handler.booking(booking.tenantId ? tenants.get(booking.tenantId) : tenant, booking, session);
+  }
+
+  fastify.post('/stripe/webhook', async (request, reply) => {
+    if (!tenants.list().some((tenant) => tenant.stripeClient && tenant.stripe.webhookSecret)) {
+      console.warn('Rejected Stripe webhook: no tenant has a Stripe secret key and webhook secret configured');
+      return reply.code(503).send({ error: 'Stripe webhooks are not configured' });
+    }
+    let tenant;
+    let event;
+    try {
+      ({ tenant, event } = verifyEvent(request.body, request.headers['stripe-signature']));
+    } catch (error) {
+      console.warn(`Rejected Stripe webhook from ${request.ip}: ${error.message}`);
+      return reply.code(400).send({ error: 'Invalid signature' });
+    }
+
+    const handler = handlers[event.type];
+    if (!handler || bookingStore.hasStripeEvent(event.id)) {
+      return { received: true };
+    }
+    // The event is only remembered once it has been handled, so a failure
+    // answers 500 and Stripe delivers it again.
+    try {
+      await handleEvent(handler, tenant, event);
+    } catch (error) {
+      console.error(`Error handling Stripe event ${event.id} (${event.type}):`, error);
+      return reply.code(500).send({ error: 'Event not processed' });
+    }
+    bookingStore.recordStripeEvent(event);
+    return { received: true };
+  });
+}
+
+/**
+ * Periodically flag paid bookings that are still unpaid after their deadline
+ * and tell the firm that took the booking.  Returns a function that stops the
+ * sweep.
+ *
+ * @param {object} options
+ * @param {ReturnType<import('./bookingStore.js').createBookingStore>} options.bookingStore
+ * @param {ReturnType<typeof import('./tenants.js').createTenantDirectory>} options.tenants
+ * @param {number} [options.intervalMs]
+ */
+export function startOverduePaymentSweep({ bookingStore, tenants, intervalMs = 15 * 60 * 1000 }) {
+  async function sweep() {
+    let overdue;
+    try {
+      overdue = bookingStore.listOverdueUnpaid();
+    } catch (error) {
+      console.error('Error checking for overdue payments:', error);
+      return;
+    }
+    for (const booking of overdue) {
+      bookingStore.setPaymentStatus(booking.id, 'overdue');
+      console.warn(`Booking ${booking.id} for ${booking.clientName} is unpaid past its deadline`);
+      const tenant = tenants.get(booking.tenantId);
+      try {
+        tenant.notifyFirm(
+          {
+            event: 'payment_overdue',
+            subject: `Unpaid consultation: ${booking.clientName}`,
+            text: `The following paid consultation has not been paid by its deadline (${booking.paymentDueAt}).\n\n${bookingSummary(booking)}Payment link: ${booking.paymentUrl}\n`,
+            data: { bookingId: booking.id, paymentDueAt: booking.paymentDueAt },
+          },
+          { dedupeKey: `booking:${booking.id}:overdue` }
+        );
+      } catch (error) {
+        console.error('Error queueing overdue payment notice:', error);
+      }
+    }
+  }
+  sweep();
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,519 @@
+import { readdirSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { z } from 'zod';
+import { LANGUAGE_CODES, LANGUAGE_TEMPLATES, LANGUAGES } from './languages.js';
+import { OFFICE_TIME_ZONE } from './scheduler.js';
+
+/*
+ * Firm profiles
+ *
+ * One deployment can answer for several firms or offices.  Each one is a
+ * *tenant* described by a JSON file in the tenants directory (by default
+ * `config/tenants/`): its name and greeting, the Polly voice, the languages
+ * offered in the phone menu, the recording consent question, office hours,
+ * the agent instructions and knowledge base folder, which tools the agent
+ * may use, prices, email templates, where notifications go and its own
+ * Calendly, Stripe, SMTP and transfer settings.  Calls are matched to a
+ * tenant by the number the caller dialled; calls to any other number go to
+ * the default tenant.
+ *
+ * String values may reference environment variables as `${NAME}`, so secrets
+ * stay in the environment rather than in the config files.  A value that ends
+ * up empty is treated as not set.  Every file is validated when the server
+ * starts, so a broken profile stops the server instead of failing mid-call.
+ */
+
+const ENV_REFERENCE = /\$\{([A-Za-z0-9_]+)\}/g;
+
+const optionalString = z.string().min(1).optional();
+
+const consultationLinksSchema = z
+  .object({
+    free_phone: optionalString,
+    free_zoom: optionalString,
+    paid_zoom: optionalString,
+    paid_in_person: optionalString,
+  })
+  .strict();
+
+const DEFAULT_AFTER_HOURS_GREETING =
+  'Thank you for calling {{firmName}}. Our office is closed right now{{closedFor}} and reopens {{reopens}}.';
+
+const DEFAULT_VOICEMAIL_PROMPT =
+  'Please leave your name, number and a short message after the tone, and we will call you back when the office reopens.';
+
+const TIME = '([01]\\d|2[0-3]):[0-5]\\d';
+
+const openingHoursSchema = z
+  .array(
+    z
+      .string()
+      .regex(new RegExp(`^${TIME}-(${TIME}|24:00)$`), 'use "HH:MM-HH:MM"')
+      .refine((range) => range.slice(0, 5) < range.slice(6), 'must end after it starts')
+  )
+  .default([]);
+
+const localDateTime = z.string().regex(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/, 'use "YYYY-MM-DDTHH:MM"');
+
+const hoursSchema = z
+  .object({
+    timeZone: z
+      .string()
+      .default(OFFICE_TIME_ZONE)
+      .refine((timeZone) => {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone });
+          return true;
+        } catch {
+          return false;
+        }
+      }, 'unknown time zone'),
+    weekly: z
+      .object({
+        monday: openingHoursSchema,
+        tuesday: openingHoursSchema,
+        wednesday: openingHoursSchema,
+        thursday: openingHoursSchema,
+        friday: openingHoursSchema,
+        saturday: openingHoursSchema,
+        sunday: openingHoursSchema,
+      })
+      .strict(),
+    holidays: z
+      .array(
+        z.object({
+          date: z
+            .string()
+            .regex(
+              /^((\d{4}-)?\d{2}-\d{2}|\d{2}-(monday|tuesday|wednesday|thursday|friday|saturday|sunday)-([1-4]|last))$/,
+              'use "YYYY-MM-DD", "MM-DD" for every year, or e.g. "11-thursday-4" for the fourth Thursday of November'
+            ),
+          name: z.string(),
+          // Days after the date, e.g. 1 for the day after Thanksgiving.
+          daysAfter: z.number().int().min(0).max(6).default(0),
+        })
+      )
+      .default([]),
+    closures: z
+      .array(
+        z
+          .object({ start: localDateTime, end: localDateTime, reason: z.string() })
+          .refine((closure) => closure.start < closure.end, 'must end after it starts')
+      )
+      .default([]),
+    afterHours: z
+      .object({
+        // `agent` keeps the virtual receptionist answering out of hours;
+        // `voicemail` goes straight to a recorded message.
+        route: z.enum(['agent', 'voicemail']).default('agent'),
+        greeting: z.string().default(DEFAULT_AFTER_HOURS_GREETING),
+        voicemailPrompt: z.string().default(DEFAULT_VOICEMAIL_PROMPT),
+        // Still try a live transfer when the agent escalates out of hours.
+        liveTransfer: z.boolean().default(false),
+      })
+      .default({}),
+  })
+  .strict();
+
+const emailTemplateSchema = z.object({
+  subject: z.string(),
+  text: z.string(),
+});
+
+const DEFAULT_TEMPLATES = {
+  bookingConfirmation: {
+    subject: 'Your consultation request with {{firmName}}',
+    text: 'Hello {{clientName}},\n\nThank you for choosing {{firmName}}. You have requested {{consultation}} on {{time}}.\n\nYour confirmation code is {{confirmationCode}}. Please quote it if you need to reschedule or cancel.\n\n{{schedulingInstructions}}{{paymentInstructions}}If you have any questions or need to adjust your appointment, please reply to this email or call our office.\n\nWe look forward to speaking with you.\n\nBest regards,\n{{signature}}',
+  },
+  paymentLink: {
+    subject: 'Your payment link from {{firmName}}',
+    text: 'Hello {{clientName}},\n\nAs requested, here is your secure link to pay {{amount}} for {{reference}}:\n{{paymentUrl}}\n\nYou will receive a receipt by email once the payment is complete.\n\nBest regards,\n{{signature}}',
+  },
+  paymentLinkSms: '{{firmName}}: here is your secure link to pay {{amount}} for {{reference}}: {{paymentUrl}}',
+  smsHelp:
+    '{{firmName}}: text us your question or ask to book a consultation and our virtual assistant will reply. For urgent matters please call us. Reply STOP to opt out.',
+  reminder: {
+    subject: 'Reminder: your consultation with {{firmName}} {{when}}',
+    text: 'Hello {{clientName}},\n\nThis is a reminder of {{consultation}} with {{firmName}} {{when}}, on {{time}}. Your confirmation code is {{confirmationCode}}.\n\nIf you can no longer make it, please reply to this email or call our office so we can offer the time to someone else.\n\nBest regards,\n{{signature}}',
+  },
+  reminderSms: '{{firmName}}: reminder of {{consultation}} {{when}}, {{time}}. Code {{confirmationCode}}. {{replyInstructions}}',
+  reminderCall:
+    'Hello {{clientName}}, this is the virtual receptionist at {{firmName}} with a reminder of {{consultation}} {{when}}, on {{time}}.',
+  noShow: {
+    subject: 'We missed you – {{firmName}}',
+    text: 'Hello {{clientName}},\n\nWe are sorry we missed you for {{consultation}} on {{time}}. {{rebooking}}\n\nBest regards,\n{{signature}}',
+  },
+  noShowSms: '{{firmName}}: sorry we missed you on {{time}}. {{rebooking}}',
+  escalationReceipt: {
+    subject: 'We have received your request – {{firmName}}',
+    text: 'Hello {{clientName}},\n\nThank you for contacting {{firmName}}. We have passed your request on to our team, and someone will contact you {{contactMedium}} ({{contactTime}}).\n\nBest regards,\n{{signature}}',
+  },
+  bookingRescheduled: {
+    subject: 'Your consultation has been rescheduled – {{firmName}}',
+    text: 'Hello {{clientName}},\n\nYour {{consultation}} (confirmation code {{confirmationCode}}) has been moved from {{previousTime}} to {{time}}.\n\n{{schedulingInstructions}}If you have any questions, please reply to this email or call our office.\n\nBest regards,\n{{signature}}',
+  },
+  bookingCancelled: {
+    subject: 'Your consultation has been cancelled – {{firmName}}',
+    text: 'Hello {{clientName}},\n\nAs requested, your {{consultation}} on {{time}} (confirmation code {{confirmationCode}}) has been cancelled.{{paymentNote}}\n\nIf you would like to book another time, please call our office.\n\nBest regards,\n{{signature}}',
+  },
+  paymentReceipt: {
+    subject: 'Payment received – your consultation with {{firmName}}',
+    text: 'Hello {{clientName}},\n\nThank you. We have received your payment of {{amount}} for your consultation on {{time}}.\n\nReceipt\nAmount paid: {{amount}}\nPayment reference: {{paymentReference}}\nBooking ID: {{bookingId}}\nConfirmation code: {{confirmationCode}}\n\nYour consultation is now confirmed. If you need to make any changes, please reply to this email or call our office.\n\nBest regards,\n{{signature}}',
+  },
+  paymentFailed: {
+    subject: 'Payment unsuccessful – your consultation with {{firmName}}',
+    text: 'Hello {{clientName}},\n\nUnfortunately your payment for the consultation on {{time}} did not go through. You can try again using the same secure link: {{paymentUrl}}\n\nIf you need help, please reply to this email or call our office.\n\nBest regards,\n{{signature}}',
+  },
+  paymentReminder: {
+    subject: 'Complete your payment – your consultation with {{firmName}}',
+    text: 'Hello {{clientName}},\n\nIt looks like your payment for the consultation on {{time}} was not completed. Your booking is confirmed once payment is received. You can pay using this secure link: {{paymentUrl}}\n\nBest regards,\n{{signature}}',
+  },
+};
+
+// What callers are asked before the agent starts, and told if they decline.
+const consentWordingSchema = z
+  .object({
+    prompt: optionalString,
+    declined: optionalString,
+  })
+  .strict();
+
+// A language offered in the phone menu.  What is left out comes from the
+// firm's own greetings, voice and templates for English, and from
+// src/languages.js for the others.
+const languageSchema = z
+  .object({
+    code: z.enum(LANGUAGE_CODES),
+    digit: z.string().regex(/^\d$/, 'use a single digit').optional(),
+    prompt: optionalString,
+    greeting: optionalString,
+    afterHoursGreeting: optionalString,
+    voice: optionalString,
+    consent: consentWordingSchema.default({}),
+    templates: z
+      .object(Object.fromEntries(LANGUAGE_TEMPLATES.map((name) => [name, emailTemplateSchema.optional()])))
+      .strict()
+      .default({}),
+  })
+  .strict();
+
+const languagesSchema = z
+  .object({
+    // Ask callers to pick a language before the greeting.
+    menu: z.boolean().default(false),
+    // The first language is the one used when the caller picks none.
+    options: z.array(languageSchema).min(1).default([{ code: 'en' }]),
+  })
+  .strict()
+  .refine(({ options }) => new Set(options.map((option) => option.code)).size === options.length, {
+    path: ['options'],
+    message: 'each language may only be listed once',
+  })
+  .refine(
+    ({ options }) =>
+      new Set(options.map((option) => option.digit ?? LANGUAGES[option.code].digit)).size === options.length,
+    { path: ['options'], message: 'each language needs its own digit' }
+  );
+
+function tenantSchema(toolNames) {
+  return z
+    .object({
+      id: z.string().regex(/^[a-z0-9-]+$/, 'use lowercase letters, digits and hyphens'),
+      default: z.boolean().default(false),
+      phoneNumbers: z.array(z.string()).default([]),
+      firm: z.object({
+        name: z.string(),
+        pronunciation: z.string().default(''),
+        practiceAreas: z.array(z.string()).default([]),
+        signature: optionalString,
+      }),
+      greeting: z.string(),
+      voice: z.string().default('Polly.Joanna-Neural'),
+      languages: languagesSchema.default({}),
+      // Ask callers to agree to the call being transcribed before the agent
+      // starts.  The wording set here is the English one.
+      recordingConsent: consentWordingSchema
+        .extend({
+          enabled: z.boolean().default(true),
+        })
+        .default({}),
+      // Office hours; the office counts as always open when omitted.
+      hours: hoursSchema.optional(),
+      agent: z.object({
+        name: z.string(),
+        instructionsFile: z.string(),
+      }),
+      // Folder of documents for `search_firm_knowledge`, relative to the profile.
+      knowledgeDir: optionalString,
+      // The firm's client list (CSV or JSON), relative to the profile.
+      clientList: optionalString,
+      // Tools the agent may use; all of them when omitted.
+      tools: z.array(z.enum(toolNames)).optional(),
+      consultations: z
+        .object({
+          paidPrice: z.coerce.number().positive().default(500),
+        })
+        .default({}),
+      emails: z
+        .object({
+          lawFirm: optionalString,
+          escalation: optionalString,
+        })
+        .default({}),
+      // Where copies of the firm's notifications go besides email: Slack and
+      // Teams incoming webhooks, and a JSON webhook for the firm's CRM.
+      notifications: z
+        .object({
+          slackWebhookUrl: z.string().url().optional(),
+          teamsWebhookUrl: z.string().url().optional(),
+          webhookUrl: z.string().url().optional(),
+          webhookSecret: optionalString,
+        })
+        .strict()
+        .default({}),
+      smtp: z
+        .object({
+          host: optionalString,
+          port: z.coerce.number().int().positive().default(587),
+          user: optionalString,
+          pass: optionalString,
+        })
+        .default({}),
+      calendly: z
+        .object({
+          personalAccessToken: optionalString,
+          scheduler: z.enum(['calendly', 'stub']).optional(),
+          links: consultationLinksSchema.default({}),
+        })
+        .default({}),
+      stripe: z
+        .object({
+          secretKey: optionalString,
+          consultationPriceId: optionalString,
+          webhookSecret: optionalString,
+        })
+        .default({}),
+      payments: z
+        .object({
+          minAmount: z.coerce.number().positive().default(1),
+          maxAmount: z.coerce.number().positive().default(10000),
+          deadlineHours: z.coerce.number().positive().default(48),
+        })
+        .default({}),
+      transfer: z
+        .object({
+          humanPhoneNumber: optionalString,
+          timeoutSeconds: z.coerce.number().int().positive().default(20),
+        })
+        .default({}),
+      sms: z
+        .object({
+          fromNumber: optionalString,
+        })
+        .default({}),
+      // How clients are reminded of their consultations.  The call goes out
+      // with the 24-hour reminder.
+      reminders: z
+        .object({
+          email: z.boolean().default(true),
+          sms: z.boolean().default(true),
+          call: z.boolean().default(false),
+        })
+        .default({}),
+      templates: z
+        .object({
+          bookingConfirmation: emailTemplateSchema.default(DEFAULT_TEMPLATES.bookingConfirmation),
+          paymentLink: emailTemplateSchema.default(DEFAULT_TEMPLATES.paymentLink),
+          paymentLinkSms: z.string().default(DEFAULT_TEMPLATES.paymentLinkSms),
+          smsHelp: z.string().default(DEFAULT_TEMPLATES.smsHelp),
+          reminder: emailTemplateSchema.default(DEFAULT_TEMPLATES.reminder),
+          reminderSms: z.string().default(DEFAULT_TEMPLATES.reminderSms),
+          reminderCall: z.string().default(DEFAULT_TEMPLATES.reminderCall),
+          noShow: emailTemplateSchema.default(DEFAULT_TEMPLATES.noShow),
+          noShowSms: z.string().default(DEFAULT_TEMPLATES.noShowSms),
+          escalationReceipt: emailTemplateSchema.default(DEFAULT_TEMPLATES.escalationReceipt),
+          bookingRescheduled: emailTemplateSchema.default(DEFAULT_TEMPLATES.bookingRescheduled),
+          bookingCancelled: emailTemplateSchema.default(DEFAULT_TEMPLATES.bookingCancelled),
+          paymentReceipt: emailTemplateSchema.default(DEFAULT_TEMPLATES.paymentReceipt),
+          paymentFailed: emailTemplateSchema.default(DEFAULT_TEMPLATES.paymentFailed),
+          paymentReminder: emailTemplateSchema.default(DEFAULT_TEMPLATES.paymentReminder),
+        })
+        .default({}),
+    })
+    .strict();
+}
+
+// Replace `${NAME}` references in every string of a parsed JSON value.
+// Strings that end up empty, and array entries that do, are dropped.
+function interpolateEnv(value, env) {
+  if (typeof value === 'string') {
+    const result = value.replace(ENV_REFERENCE, (_, name) => env[name] ?? '');
+    return result === '' ? undefined : result;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => interpolateEnv(item, env)).filter((item) => item !== undefined);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .map(([key, item]) => [key, interpolateEnv(item, env)])
+        .filter(([, item]) => item !== undefined)
+    );
+  }
+  return value;
+}
+
+// Digits of a phone number, so "+1 (510) 443-2123" matches Twilio's
+// "+15104432123".
+function phoneKey(phone) {
+  return String(phone ?? '').replace(/\D/g, '');
+}
+
+/**
+ * Fill `{{name}}` placeholders in a template.  Unknown names render empty.
+ */
+export function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => String(values[name] ?? ''));
+}
+
+/**
+ * A firm's settings for the language a caller picked in the phone menu (or
+ * that a booking was made in); its first language when they picked none, or
+ * wrote by text.
+ *
+ * @param {object} tenant A loaded tenant.
+ * @param {string | null | undefined} code One of LANGUAGE_CODES.
+ */
+export function callerLanguage(tenant, code) {
+  const { options } = tenant.languages;
+  return options.find((option) => option.code === code) ?? options[0];
+}
+
+// Fill in each menu language from the firm's English settings or the
+// defaults in src/languages.js, so callers need not know which applies.
+function resolveLanguages(tenant) {
+  const options = tenant.languages.options.map((option) => {
+    const defaults = LANGUAGES[option.code];
+    const english = option.code === 'en';
+    const digit = option.digit ?? defaults.digit;
+    return {
+      code: option.code,
+      name: defaults.name,
+      digit,
+      prompt: renderTemplate(option.prompt ?? defaults.prompt, { digit }),
+      greeting: option.greeting ?? (english ? tenant.greeting : renderTemplate(defaults.greeting, { firmName: tenant.firm.name })),
+      afterHoursGreeting:
+        option.afterHoursGreeting ??
+        (english ? tenant.hours?.afterHours.greeting ?? DEFAULT_AFTER_HOURS_GREETING : defaults.afterHoursGreeting),
+      voice: option.voice ?? (english ? tenant.voice : defaults.voice),
+      consent: {
+        prompt: option.consent.prompt ?? (english ? tenant.recordingConsent.prompt : null) ?? defaults.consent.prompt,
+        declined:
+          option.consent.declined ?? (english ? tenant.recordingConsent.declined : null) ?? defaults.consent.declined,
+        noMessage: defaults.consent.noMessage,
+      },
+      templates: Object.fromEntries(
+        LANGUAGE_TEMPLATES.map((name) => [
+          name,
+          option.templates[name] ?? (english ? tenant.templates[name] : defaults.templates[name]),
+        ])
+      ),
+    };
+  });
+  return { menu: tenant.languages.menu, options };
+}
+
+/**
+ * Load and validate every tenant profile in a directory.  The agent
+ * instructions named by each profile are read into `agent.instructions`,
+ * `knowledgeDir` and `clientList` are resolved to absolute paths, and every
+ * entry in `languages.options` gets its prompt, greetings, voice, consent
+ * wording and email templates filled in.
+ *
+ * @param {string | URL} dir Directory holding one `<tenant>.json` per tenant.
+ * @param {object} options
+ * @param {string[]} options.toolNames Tools a profile may switch on.
+ * @param {Record<string, string | undefined>} [options.env] Source for `${NAME}` references.
+ */
+export function loadTenants(dir, { toolNames, env = process.env }) {
+  const dirPath = dir instanceof URL ? fileURLToPath(dir) : dir;
+  const schema = tenantSchema(toolNames);
+  const files = readdirSync(dirPath)
+    .filter((file) => file.endsWith('.json'))
+    .sort();
+  const tenants = files.map((file) => {
+    const raw = JSON.parse(readFileSync(path.join(dirPath, file), 'utf8'));
+    const result = schema.safeParse(interpolateEnv(raw, env));
+    if (!result.success) {
+      const issues = result.error.issues.map((issue) => `${issue.path.join('.')}: ${issue.message}`);
+      throw new Error(`Invalid tenant profile ${file}: ${issues.join('; ')}`);
+    }
+    const tenant = result.data;
+    const instructions = readFileSync(path.resolve(dirPath, tenant.agent.instructionsFile), 'utf8');
+    return {
+      ...tenant,
+      agent: { ...tenant.agent, instructions },
+      languages: resolveLanguages(tenant),
+      knowledgeDir: tenant.knowledgeDir && path.resolve(dirPath, tenant.knowledgeDir),
+      clientList: tenant.clientList && path.resolve(dirPath, tenant.clientList),
+    };
+  });
+
+  if (tenants.length === 0) {
+    throw new Error(`No tenant profiles found in ${dirPath}`);
+  }
+  const ids = new Set();
+  const numbers = new Map();
+  for (const tenant of tenants) {
+    if (ids.has(tenant.id)) {
+      throw new Error(`Tenant ID ${tenant.id} is used by more than one profile`);
+    }
+    ids.add(tenant.id);
+    for (const number of tenant.phoneNumbers) {
+      const key = phoneKey(number);
+      if (numbers.has(key)) {
+        throw new Error(`Phone number ${number} is claimed by both ${numbers.get(key)} and ${tenant.id}`);
+      }
+      numbers.set(key, tenant.id);
+    }
+  }
+  const defaults = tenants.filter((tenant) => tenant.default);
+  if (tenants.length > 1 && defaults.length !== 1) {
+    throw new Error('Exactly one tenant profile must set "default": true when there are several');
+  }
+  return tenants;
+}
+
+/**
+ * Index tenants by ID and phone number.  Works for the loaded profiles and
+ * for anything built from them that keeps `id`, `default` and `phoneNumbers`.
+ *
+ * @template {{ id: string, default: boolean, phoneNumbers: string[] }} T
+ * @param {T[]} tenants
+ */
+export function createTenantDirectory(tenants) {
+  const byId = new Map(tenants.map((tenant) => [tenant.id, tenant]));
+  const byNumber = new Map(
+    tenants.flatMap((tenant) => tenant.phoneNumbers.map((number) => [phoneKey(number), tenant]))
+  );
+  const defaultTenant = tenants.find((tenant) => tenant.default) ?? tenants[0];
+
+  return {
+    defaultTenant,
+
+    list() {
+      return tenants;
+    },
+
+    /** The tenant with this ID, or the default tenant for unknown or missing IDs. */
+    get(id) {
+      return (id && byId.get(id)) || defaultTenant;
+    },
+
+    /** The tenant answering calls to `number`, or the default tenant. */
+    forNumber(number) {
+      return byNumber.get(phoneKey(number)) ?? defaultTenant;
+    },
+  };
+}
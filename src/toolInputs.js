@@ -0,0 +1,401 @@
+import { promises as dns } from 'node:dns';
+
+/*
+ * Tool input normalisation
+ *
+ * The model fills tool arguments from what it heard, so a date may arrive as
+ * "next Tuesday", a time as "3ish" and an email as "maria at gmial dot com".
+ * Before a tool sends anything to a client, Stripe or the calendar, these
+ * values are normalised:
+ *
+ *   date, fromDate   YYYY-MM-DD; relative dates ("tomorrow", "next Tuesday",
+ *                    "in 3 days", "October 26", "the 27th") are resolved
+ *                    against today in the office time zone, a weekday
+ *                    given with a date must match it, and `date` must not
+ *                    be past
+ *   time             HH:MM (24-hour); "3pm", "15:00" and "noon" are fine,
+ *                    "3" and "3ish" are not
+ *   clientPhone      E.164, e.g. +15105551234 (US numbers without +1 too)
+ *   clientEmail      syntax checked, common domain typos caught, and the
+ *                    domain must exist in DNS
+ *
+ * A `date` and `time` given together must also be in the future and, when
+ * the tool asks for it, within office hours.  Anything that fails comes back
+ * as a structured error listing each field and what was wrong with it, which
+ * the tool returns to the agent in place of its normal result so the agent
+ * asks the caller again.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTHS = [
+  'january',
+  'february',
+  'march',
+  'april',
+  'may',
+  'june',
+  'july',
+  'august',
+  'september',
+  'october',
+  'november',
+  'december',
+];
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+// Misspellings of the big mail providers that still resolve, or that the
+// caller is more likely to have meant than a domain of that name.
+const DOMAIN_TYPOS = {
+  'gmial.com': 'gmail.com',
+  'gmai.com': 'gmail.com',
+  'gmal.com': 'gmail.com',
+  'gamil.com': 'gmail.com',
+  'gnail.com': 'gmail.com',
+  'gmail.co': 'gmail.com',
+  'gmail.con': 'gmail.com',
+  'gmail.cm': 'gmail.com',
+  'hotmial.com': 'hotmail.com',
+  'hotmai.com': 'hotmail.com',
+  'hotmail.co': 'hotmail.com',
+  'hotmail.con': 'hotmail.com',
+  'yaho.com': 'yahoo.com',
+  'yahooo.com': 'yahoo.com',
+  'yahoo.con': 'yahoo.com',
+  'outlok.com': 'outlook.com',
+  'outlook.co': 'outlook.com',
+  'iclod.com': 'icloud.com',
+  'icloud.co': 'icloud.com',
+  'aol.co': 'aol.com',
+};
+
+// How long to wait for DNS before giving an email domain the benefit of the
+// doubt.
+const DNS_TIMEOUT_MS = 3000;
+
+const EMAIL = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@((?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63})$/;
+
+function problem(code, message) {
+  return { error: { code, message } };
+}
+
+function addDays(day, count) {
+  const date = new Date(`${day}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + count);
+  return date.toISOString().slice(0, 10);
+}
+
+function isoDay(year, month, day) {
+  const value = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const date = new Date(`${value}T12:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value ? value : null;
+}
+
+// 1-12 for a month name or its abbreviation ("oct", "sept"), else null.
+function monthIndex(word) {
+  const index = MONTHS.findIndex((month) => word.length >= 3 && month.startsWith(word));
+  return index >= 0 ? index + 1 : null;
+}
+
+// 0-6 (Sunday first) for a weekday name or its abbreviation ("tue",
+// "thurs"), else null.
+function weekdayIndex(word) {
+  const index = WEEKDAYS.findIndex((weekday) => word.length >= 3 && weekday.startsWith(word));
+  return index >= 0 ? index : null;
+}
+
+/**
+ * The current local day (`YYYY-MM-DD`) and time (`HH:MM`) in a time zone.
+ */
+export function localNow(timeZone, now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(now)
+      .map((part) => [part.type, part.value])
+  );
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+/**
+ * A date as `YYYY-MM-DD`, resolving relative dates against `today`.
+ *
+ * @returns {{ value: string } | { error: { code: string, message: string } }}
+ */
+export function normalizeDate(input, { today }) {
+  let text = String(input)
+    .toLowerCase()
+    .replace(/\b(on|the|of)\b|,/g, ' ')
+    .replace(/(\d)(st|nd|rd|th)\b/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const [year, thisMonth, thisDay] = today.split('-').map(Number);
+  let value = null;
+  // A weekday said with a date ("Tuesday, October 27") is checked against it.
+  let weekday = null;
+  let match = text.match(/^([a-z]+)\.? (.*\d.*)$/);
+  if (match && weekdayIndex(match[1]) !== null) {
+    weekday = weekdayIndex(match[1]);
+    text = match[2];
+  }
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    value = isoDay(match[1], match[2], match[3]);
+  } else if (text === 'today' || text === 'tonight') {
+    value = today;
+  } else if (text === 'tomorrow') {
+    value = addDays(today, 1);
+  } else if (text === 'day after tomorrow') {
+    value = addDays(today, 2);
+  } else if ((match = text.match(/^in (\d+|[a-z]+) (day|days|week|weeks)$/))) {
+    const count = Number(match[1]) || NUMBER_WORDS[match[1]];
+    if (count) value = addDays(today, count * (match[2].startsWith('week') ? 7 : 1));
+  } else if ((match = text.match(/^(this |next |coming )?([a-z]+)$/)) && WEEKDAYS.includes(match[2])) {
+    // "Tuesday" and "next Tuesday" are the first Tuesday after today; "this
+    // Tuesday" said on a Tuesday is today.
+    const todayIndex = new Date(`${today}T12:00:00Z`).getUTCDay();
+    let ahead = (WEEKDAYS.indexOf(match[2]) - todayIndex + 7) % 7;
+    if (ahead === 0 && match[1] !== 'this ') ahead = 7;
+    value = addDays(today, ahead);
+  } else if ((match = text.match(/^(\d{1,2})$/))) {
+    // A day of the month on its own ("the 27th") is the next such date,
+    // skipping months that are too short for it.
+    const day = Number(match[1]);
+    for (let month = day >= thisDay ? thisMonth : thisMonth + 1; !value && month <= thisMonth + 12; month++) {
+      value = isoDay(year + Math.floor((month - 1) / 12), ((month - 1) % 12) + 1, day);
+    }
+  } else {
+    // Month and day, with an optional year: "October 26", "26 October",
+    // "10/26", "10/26/2026".  Without a year the next such date is meant.
+    let month = null;
+    let day = null;
+    let explicitYear = null;
+    if ((match = text.match(/^([a-z]+)\.? (\d{1,2})(?: (\d{4}))?$/)) && monthIndex(match[1])) {
+      [month, day, explicitYear] = [monthIndex(match[1]), Number(match[2]), match[3]];
+    } else if ((match = text.match(/^(\d{1,2}) ([a-z]+)\.?(?: (\d{4}))?$/)) && monthIndex(match[2])) {
+      [month, day, explicitYear] = [monthIndex(match[2]), Number(match[1]), match[3]];
+    } else if ((match = text.match(/^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2}|\d{4}))?$/))) {
+      [month, day, explicitYear] = [Number(match[1]), Number(match[2]), match[3]];
+      if (explicitYear?.length === 2) explicitYear = `20${explicitYear}`;
+    }
+    if (month) {
+      value = isoDay(explicitYear ?? year, month, day);
+      if (value && !explicitYear && value < today) value = isoDay(year + 1, month, day);
+    }
+  }
+  if (value && weekday !== null) {
+    const date = new Date(`${value}T12:00:00Z`);
+    if (date.getUTCDay() !== weekday) {
+      const style = { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' };
+      return problem(
+        'weekday_mismatch',
+        `"${input}" does not add up: that date is ${date.toLocaleDateString('en-US', style)}.  Ask the caller which date they mean.`
+      );
+    }
+  }
+  return value
+    ? { value }
+    : problem('unrecognised_date', `"${input}" is not a date I can use.  Ask the caller for a specific date, e.g. "Tuesday, October 27".`);
+}
+
+/**
+ * A time of day as `HH:MM` (24-hour).
+ *
+ * @returns {{ value: string } | { error: { code: string, message: string } }}
+ */
+export function normalizeTime(input) {
+  const text = String(input)
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (text === 'noon' || text === 'midday' || text === '12 noon') return { value: '12:00' };
+  let match = text.match(/^(\d{1,2})(?::(\d{2}))? ?(am|pm|in the morning|in the afternoon|in the evening|at night)$/);
+  if (match) {
+    const hours = Number(match[1]);
+    const minutes = Number(match[2] ?? 0);
+    if (hours >= 1 && hours <= 12 && minutes < 60) {
+      const pm = match[3] !== 'am' && match[3] !== 'in the morning';
+      return { value: `${String((hours % 12) + (pm ? 12 : 0)).padStart(2, '0')}:${String(minutes).padStart(2, '0')}` };
+    }
+  }
+  match = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (match) {
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    // "15:00" and "09:00" are unambiguous; "3:00" could be either.
+    if ((hours >= 13 || match[1].length === 2) && hours < 24 && minutes < 60) {
+      return { value: `${String(hours).padStart(2, '0')}:${match[2]}` };
+    }
+    if (hours >= 1 && hours <= 12 && minutes < 60) {
+      return problem('ambiguous_time', `"${input}" could be morning or afternoon.  Ask the caller which they mean.`);
+    }
+  }
+  if (/^\d{1,2}$/.test(text)) {
+    return problem('ambiguous_time', `"${input}" could be morning or afternoon.  Ask the caller which they mean.`);
+  }
+  return problem('unrecognised_time', `"${input}" is not a specific time.  Ask the caller for an exact time, e.g. "3:30 PM".`);
+}
+
+/**
+ * A phone number in E.164 form.  Numbers without a country code are taken
+ * to be US numbers.
+ *
+ * @returns {{ value: string } | { error: { code: string, message: string } }}
+ */
+export function normalizePhone(input) {
+  const text = String(input).trim();
+  let digits = text.replace(/[\s().-]/g, '');
+  const international = digits.startsWith('+') || digits.startsWith('011');
+  digits = digits.replace(/^\+|^011/, '');
+  if (/^\d+$/.test(digits)) {
+    if (!international && digits.length === 10) digits = `1${digits}`;
+    if (digits.startsWith('1')) {
+      // North American numbers: area code and exchange start with 2-9.
+      if (/^1[2-9]\d{2}[2-9]\d{6}$/.test(digits)) return { value: `+${digits}` };
+    } else if ((international || digits.length > 11) && digits.length >= 8 && digits.length <= 15) {
+      return { value: `+${digits}` };
+    }
+  }
+  return problem('invalid_phone', `"${input}" is not a complete phone number.  Ask the caller to repeat it, with the area code.`);
+}
+
+// Whether a domain can receive mail: it has MX records, or failing that an
+// address.  Only a definite "no such domain" counts against it; DNS that is
+// slow or unreachable does not block the caller.
+async function domainExists(domain) {
+  const lookup = async () => {
+    try {
+      return (await dns.resolveMx(domain)).length > 0;
+    } catch (error) {
+      if (error.code === 'ENOTFOUND') return false;
+      if (error.code !== 'ENODATA') return true;
+    }
+    try {
+      return (await dns.resolve(domain)).length > 0;
+    } catch (error) {
+      return error.code !== 'ENOTFOUND' && error.code !== 'ENODATA';
+    }
+  };
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(true), DNS_TIMEOUT_MS);
+  });
+  try {
+    return await Promise.race([lookup(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * An email address, lower-cased, with spoken forms ("maria at gmail dot
+ * com") turned into the address.
+ *
+ * @param {string} input
+ * @param {object} [options]
+ * @param {(domain: string) => Promise<boolean>} [options.domainExists] DNS
+ *   check for the domain.
+ * @returns {Promise<{ value: string } | { error: { code: string, message: string } }>}
+ */
+export async function normalizeEmail(input, { domainExists: exists = domainExists } = {}) {
+  const value = String(input)
+    .toLowerCase()
+    .replace(/\s+at\s+/g, '@')
+    .replace(/\s+dot\s+/g, '.')
+    .replace(/\s+/g, '')
+    .replace(/\.$/, '');
+  const match = value.match(EMAIL);
+  if (!match || value.length > 254 || value.indexOf('@') > 64) {
+    return problem('invalid_email', `"${input}" is not a valid email address.  Ask the caller to spell it out.`);
+  }
+  const domain = match[1];
+  if (DOMAIN_TYPOS[domain]) {
+    return problem(
+      'email_domain_typo',
+      `"${value}" looks like a typo for ${value.replace(/@.*$/, `@${DOMAIN_TYPOS[domain]}`)}.  Check the address with the caller.`
+    );
+  }
+  if (!(await exists(domain))) {
+    return problem('unknown_email_domain', `${domain} does not accept email.  Ask the caller to spell the address out.`);
+  }
+  return { value };
+}
+
+// Which normaliser each tool parameter goes through.
+const FIELDS = {
+  date: 'date',
+  fromDate: 'date',
+  time: 'time',
+  clientPhone: 'phone',
+  clientEmail: 'email',
+};
+
+/**
+ * Normalise the dates, times, phone numbers and email addresses in a tool's
+ * input.  Parameters are recognised by name (see the list above); null
+ * values are left alone.
+ *
+ * @param {object} input The tool's arguments.
+ * @param {object} options
+ * @param {string} options.timeZone Office time zone for relative dates.
+ * @param {(day: string, time: string) => boolean} [options.isBookable]
+ *   Whether a local day and time is within office hours.  Without it only
+ *   past times are rejected.
+ * @param {Date} [options.now]
+ * @param {(domain: string) => Promise<boolean>} [options.domainExists]
+ * @returns {Promise<{ input: object } | { error: string }>} The input with
+ *   normalised values, or the structured error (JSON) to return to the agent.
+ */
+export async function normalizeToolInput(input, { timeZone, isBookable = null, now = new Date(), domainExists: exists }) {
+  const today = localNow(timeZone, now);
+  const normalized = { ...input };
+  const problems = [];
+  for (const [field, kind] of Object.entries(FIELDS)) {
+    const raw = input[field];
+    if (raw == null || raw === '') continue;
+    const result =
+      kind === 'date'
+        ? normalizeDate(raw, { today: today.day })
+        : kind === 'time'
+        ? normalizeTime(raw)
+        : kind === 'phone'
+        ? normalizePhone(raw)
+        : await normalizeEmail(raw, { domainExists: exists });
+    if (result.error) {
+      problems.push({ field, value: raw, ...result.error });
+    } else {
+      normalized[field] = result.value;
+    }
+  }
+  const { date, time } = normalized;
+  if (!problems.some((entry) => entry.field === 'date') && input.date != null && date < today.day) {
+    problems.push({ field: 'date', value: input.date, code: 'past_date', message: `${date} has already passed.  Ask the caller for a future date.` });
+  } else if (!problems.length && date && time) {
+    if (`${date}T${time}` <= `${today.day}T${today.time}`) {
+      problems.push({ field: 'time', value: input.time, code: 'past_time', message: `${date} at ${time} has already passed.  Ask the caller for a later time.` });
+    } else if (isBookable && !isBookable(date, time)) {
+      problems.push({
+        field: 'time',
+        value: input.time,
+        code: 'outside_office_hours',
+        message: `The office is closed on ${date} at ${time}.  Offer the caller a time during office hours, or use check_availability.`,
+      });
+    }
+  }
+  if (problems.length === 0) return { input: normalized };
+  return {
+    error: JSON.stringify({
+      error: 'invalid_input',
+      fields: problems,
+      instruction: 'Nothing was saved or sent.  Ask the caller to confirm or repeat these details, then call the tool again.',
+    }),
+  };
+}
@@ -0,0 +1,194 @@
+import { addCounts } from './redaction.js';
+
+/*
+ * Structured transcripts
+ *
+ * A transcript is a list of timestamped entries, one per thing that happened
+ * in a conversation, in order:
+ *
+ *   message       { speaker: 'client' | 'agent', text, language }
+ *   tool          { name, arguments, result }
+ *   guardrail     { name, info }
+ *   interruption  {}                       the caller talked over the agent
+ *   handoff       {}
+ *   knowledge     { query, sources }       sources used by search_firm_knowledge
+ *   note          { text }                 anything else worth recording
+ *
+ * Every entry also has `at` (ISO 8601) and `type`.  Realtime messages arrive
+ * before their speech has been transcribed, so a message can be added with an
+ * `itemId` and its text filled in later; messages that never get any text are
+ * left out.  The plain-text form is what the call store indexes for search;
+ * the JSON form is stored alongside it and attached to the report email.
+ *
+ * With a redactor (see `redaction.js`) every entry is masked as it is added,
+ * so card numbers and the like never reach the store, the summary or the
+ * email.  Entries that had something masked carry `redactions`, the counts
+ * by type.
+ */
+
+const SPANISH_WORDS = new Set(
+  'el la los las de del que y en un una por para con no es está estoy son mi su usted hola gracias quiero necesito puedo tengo cita abogado casa pero como cuando dónde sí'.split(' ')
+);
+const ENGLISH_WORDS = new Set(
+  'the a an of to and in is are was i you my your it for on with that this have need want can hello thanks thank please yes no what when where how'.split(' ')
+);
+
+/**
+ * Guess the language of a message: `zh`, `es` or `en` (the languages the
+ * agent speaks), or null when there is nothing to go on.  A word-list
+ * heuristic, good enough to label transcript lines.
+ */
+export function detectLanguage(text) {
+  if (/[㐀-鿿]/u.test(text)) return 'zh';
+  const words = text.toLowerCase().match(/\p{L}+/gu) ?? [];
+  if (words.length === 0) return null;
+  const spanish = words.filter((word) => SPANISH_WORDS.has(word)).length + (/[ñ¿¡áíóú]/iu.test(text) ? 2 : 0);
+  const english = words.filter((word) => ENGLISH_WORDS.has(word)).length;
+  return spanish > english ? 'es' : 'en';
+}
+
+function parseArguments(args) {
+  if (typeof args !== 'string') return args ?? {};
+  try {
+    return JSON.parse(args);
+  } catch {
+    return args;
+  }
+}
+
+/**
+ * Minutes and seconds from the start of a conversation to `at`, e.g. "03:07".
+ */
+export function formatOffset(at, startedAt) {
+  const seconds = Math.max(0, Math.round((Date.parse(at) - new Date(startedAt).getTime()) / 1000));
+  return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * One line of plain text for a transcript entry, without the timestamp.
+ */
+export function describeEntry(entry) {
+  switch (entry.type) {
+    case 'message':
+      return `${entry.speaker}${entry.language ? ` (${entry.language})` : ''}: ${entry.text}`;
+    case 'tool':
+      return `Tool: ${entry.name} ${JSON.stringify(entry.arguments)} -> ${entry.result ?? '(no result)'}`;
+    case 'guardrail':
+      return `Guardrail: ${entry.name} tripped ${JSON.stringify(entry.info ?? {})}`;
+    case 'interruption':
+      return 'Interruption: the caller spoke over the agent';
+    case 'handoff':
+      return 'System: conversation handed off to a human agent';
+    case 'knowledge':
+      return `Knowledge: "${entry.query}" -> ${entry.sources.length ? entry.sources.join(', ') : 'no matching sources'}`;
+    default:
+      return `System: ${entry.text}`;
+  }
+}
+
+/**
+ * Start a transcript.
+ *
+ * @param {object} [options]
+ * @param {Date} [options.startedAt]
+ * @param {ReturnType<import('./redaction.js').createRedactor>} [options.redactor]
+ */
+export function createTranscript({ startedAt = new Date(), redactor = null } = {}) {
+  const entries = [];
+  const messages = new Map();
+
+  // Mask the fields of an entry and note what was masked on it.
+  function redact(entry, fields) {
+    const counts = {};
+    Object.assign(entry, redactor ? redactor.redactValue(fields, counts) : fields);
+    if (Object.keys(counts).length) {
+      entry.redactions = counts;
+    } else {
+      delete entry.redactions;
+    }
+    return entry;
+  }
+
+  function push(type, fields) {
+    const entry = redact({ at: new Date().toISOString(), type }, fields);
+    entries.push(entry);
+    return entry;
+  }
+
+  // Entries worth showing: messages without text are still waiting for (or
+  // never got) a transcription.
+  function visible() {
+    return entries.filter((entry) => entry.type !== 'message' || entry.text);
+  }
+
+  return {
+    startedAt,
+
+    /**
+     * Add a message, or update the text of the message already added with
+     * the same `itemId`.
+     */
+    message(speaker, text, { itemId } = {}) {
+      const existing = itemId && messages.get(itemId);
+      if (existing) {
+        if (text && text !== existing.original) {
+          existing.original = text;
+          redact(existing.entry, { text, language: detectLanguage(text) });
+        }
+        return;
+      }
+      const entry = push('message', { speaker, text: text ?? '', language: text ? detectLanguage(text) : null });
+      if (itemId) messages.set(itemId, { entry, original: text });
+    },
+
+    /**
+     * Add a tool call.  Returns the entry, whose (masked) arguments and
+     * result are what should be stored or sent anywhere else.
+     */
+    tool({ name, args, result }) {
+      return push('tool', { name, arguments: parseArguments(args), result: result == null ? null : String(result) });
+    },
+
+    guardrail(name, info) {
+      push('guardrail', { name, info });
+    },
+
+    interruption() {
+      push('interruption', {});
+    },
+
+    handoff() {
+      push('handoff', {});
+    },
+
+    knowledge(query, sources) {
+      push('knowledge', { query, sources });
+    },
+
+    note(text) {
+      push('note', { text });
+    },
+
+    /** How much was masked in the whole transcript, by type. */
+    redactions() {
+      return entries.reduce((counts, entry) => addCounts(counts, entry.redactions), {});
+    },
+
+    /** Whether anybody said anything. */
+    isEmpty() {
+      return !entries.some((entry) => entry.type === 'message' && entry.text);
+    },
+
+    /** The entries, oldest first. */
+    entries() {
+      return visible().map((entry) => ({ ...entry }));
+    },
+
+    /** Plain text, one `[mm:ss] ...` line per entry. */
+    toText() {
+      return visible()
+        .map((entry) => `[${formatOffset(entry.at, startedAt)}] ${describeEntry(entry)}`)
+        .join('\n');
+    },
+  };
+}
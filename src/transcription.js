@@ -0,0 +1,122 @@
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+/*
+ * Voicemail transcription
+ *
+ * Voicemail recordings are transcribed after the caller hangs up, so the
+ * firm's email carries the message as text as well as the audio link.  A
+ * *transcriber* is any object with one method:
+ *
+ *   transcribe({ recordingUrl }) -> Promise<string | null>
+ *
+ * Built-in providers, picked with `createTranscriber`:
+ *
+ *   openai   Sends the audio to the OpenAI transcription API.
+ *   command  Runs a local program (e.g. whisper.cpp) on a WAV copy of the
+ *            recording and reads the transcript from its standard output, so
+ *            the audio never leaves the server.
+ *   none     No transcription; the email only links the recording.
+ *
+ * Twilio recordings are downloaded with the account credentials, since media
+ * may require HTTP authentication.
+ */
+
+const OPENAI_TRANSCRIPTIONS_URL = 'https://api.openai.com/v1/audio/transcriptions';
+
+// Longest a local transcription command may run.
+const COMMAND_TIMEOUT_MS = 5 * 60 * 1000;
+
+const execFileAsync = promisify(execFile);
+
+export const TRANSCRIPTION_PROVIDERS = ['openai', 'command', 'none'];
+
+/**
+ * Download a Twilio recording as WAV.
+ *
+ * @param {string} recordingUrl `RecordingUrl` from Twilio (without extension).
+ * @param {{ accountSid?: string, authToken?: string }} twilioAuth
+ */
+async function downloadRecording(recordingUrl, { accountSid, authToken }) {
+  const headers = {};
+  if (accountSid && authToken) {
+    headers.Authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+  }
+  const response = await fetch(`${recordingUrl}.wav`, { headers });
+  if (!response.ok) {
+    throw new Error(`Downloading recording ${recordingUrl} failed with ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+function createOpenAITranscriber({ apiKey, model, twilioAuth }) {
+  return {
+    async transcribe({ recordingUrl }) {
+      const audio = await downloadRecording(recordingUrl, twilioAuth);
+      const form = new FormData();
+      form.append('model', model);
+      form.append('file', new Blob([audio], { type: 'audio/wav' }), 'voicemail.wav');
+      const response = await fetch(OPENAI_TRANSCRIPTIONS_URL, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${apiKey}` },
+        body: form,
+      });
+      if (!response.ok) {
+        throw new Error(`OpenAI transcription failed with ${response.status}: ${await response.text()}`);
+      }
+      const { text } = await response.json();
+      return text?.trim() || null;
+    },
+  };
+}
+
+// `command` is split on whitespace; `{file}` is replaced by the path of the
+// WAV file, which is otherwise appended as the last argument.
+function createCommandTranscriber({ command, twilioAuth }) {
+  const [program, ...args] = command.trim().split(/\s+/);
+  return {
+    async transcribe({ recordingUrl }) {
+      const audio = await downloadRecording(recordingUrl, twilioAuth);
+      const dir = await mkdtemp(path.join(os.tmpdir(), 'voicemail-'));
+      const file = path.join(dir, 'voicemail.wav');
+      try {
+        await writeFile(file, audio);
+        const argv = args.includes('{file}') ? args.map((arg) => (arg === '{file}' ? file : arg)) : [...args, file];
+        const { stdout } = await execFileAsync(program, argv, { timeout: COMMAND_TIMEOUT_MS });
+        return stdout.trim() || null;
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    },
+  };
+}
+
+/**
+ * Create the voicemail transcriber for a provider.
+ *
+ * @param {object} options
+ * @param {'openai' | 'command' | 'none'} options.provider
+ * @param {string} [options.openaiApiKey] For `openai`.
+ * @param {string} [options.model] OpenAI transcription model.
+ * @param {string} [options.command] For `command`, e.g.
+ *   `whisper-cli -m models/ggml-base.en.bin -nt -f {file}`.
+ * @param {{ accountSid?: string, authToken?: string }} [options.twilioAuth]
+ *   Credentials for downloading recordings.
+ */
+export function createTranscriber({ provider, openaiApiKey, model = 'gpt-4o-mini-transcribe', command, twilioAuth = {} }) {
+  switch (provider) {
+    case 'openai':
+      if (!openaiApiKey) throw new Error('OpenAI voicemail transcription needs an API key');
+      return createOpenAITranscriber({ apiKey: openaiApiKey, model, twilioAuth });
+    case 'command':
+      if (!command) throw new Error('Command voicemail transcription needs VOICEMAIL_TRANSCRIBE_COMMAND');
+      return createCommandTranscriber({ command, twilioAuth });
+    case 'none':
+      return { transcribe: async () => null };
+    default:
+      throw new Error(`Unknown voicemail transcription provider "${provider}"; use one of ${TRANSCRIPTION_PROVIDERS.join(', ')}`);
+  }
+}
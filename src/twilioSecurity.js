@@ -0,0 +1,118 @@
+import crypto from 'node:crypto';
+import twilio from 'twilio';
+
+/*
+ * Twilio request verification
+ *
+ * Twilio signs every webhook (and the WebSocket handshake for Media Streams)
+ * with an `X-Twilio-Signature` header: an HMAC of the full public URL and the
+ * POST parameters keyed with the account's auth token.  Behind a proxy such as
+ * ngrok or a platform load balancer the URL Twilio signed is not the one the
+ * server sees, so it is rebuilt from `PUBLIC_BASE_URL` or the forwarded
+ * headers.
+ *
+ * The media stream additionally requires a short-lived token which
+ * `/incoming-call` places in the `<Stream>` parameters.  It ties the stream to
+ * the call that was actually answered, so a replayed handshake cannot open a
+ * new realtime session.
+ */
+
+// Proxies may append to forwarded headers, so only the first value (the one
+// set by the outermost proxy) is trusted.
+function firstHeaderValue(value) {
+  if (!value) return undefined;
+  return String(Array.isArray(value) ? value[0] : value).split(',')[0].trim();
+}
+
+/**
+ * Rebuild the URL of `request` as seen by Twilio.
+ *
+ * @param {import('fastify').FastifyRequest} request
+ * @param {object} [options]
+ * @param {string} [options.publicBaseUrl] Explicit public origin, e.g.
+ *   `https://assistant.example.com`.  Takes precedence over forwarded headers.
+ * @param {boolean} [options.websocket] Use the `ws`/`wss` scheme.
+ */
+export function publicRequestUrl(request, { publicBaseUrl, websocket = false } = {}) {
+  let origin;
+  if (publicBaseUrl) {
+    origin = new URL(publicBaseUrl).origin;
+  } else {
+    const proto = firstHeaderValue(request.headers['x-forwarded-proto']) || request.protocol;
+    const host = firstHeaderValue(request.headers['x-forwarded-host']) || request.headers.host;
+    origin = `${proto}://${host}`;
+  }
+  const url = new URL(request.url, origin);
+  if (websocket) {
+    url.protocol = url.protocol === 'http:' ? 'ws:' : 'wss:';
+  }
+  return url.toString();
+}
+
+/**
+ * Create a Fastify `preValidation` hook that rejects requests without a valid
+ * `X-Twilio-Signature`.  Rejections are logged and answered with a 403.
+ *
+ * When `enabled` is false the hook lets everything through; this is meant for
+ * local development against the Twilio CLI or a WebSocket test client only.
+ */
+export function createTwilioSignatureHook({ authToken, publicBaseUrl, enabled = true }) {
+  return async function verifyTwilioSignature(request, reply) {
+    if (!enabled) return;
+    const websocket = request.headers.upgrade?.toLowerCase() === 'websocket';
+    const url = publicRequestUrl(request, { publicBaseUrl, websocket });
+    const signature = request.headers['x-twilio-signature'];
+    let reason = null;
+    if (!authToken) {
+      reason = 'TWILIO_AUTH_TOKEN is not configured';
+    } else if (!signature) {
+      reason = 'missing X-Twilio-Signature header';
+    } else {
+      const params = request.method === 'POST' && request.body ? request.body : {};
+      if (!twilio.validateRequest(authToken, signature, url, params)) {
+        reason = 'invalid X-Twilio-Signature';
+      }
+    }
+    if (reason) {
+      console.warn(`Rejected request to ${url} from ${request.ip}: ${reason}`);
+      await reply.code(403).send('Forbidden');
+    }
+  };
+}
+
+/**
+ * Issue and verify the short-lived media stream tokens.  Tokens have the form
+ * `<expiresAt>.<signature>` where the signature is an HMAC over the call SID
+ * and expiry, so a token is only valid for the call it was issued for.
+ *
+ * @param {object} options
+ * @param {string} [options.secret] HMAC key.  A random per-process key is used
+ *   when omitted, which only works while a single server instance handles both
+ *   the webhook and the stream.
+ * @param {number} [options.ttlSeconds] How long a token stays valid.
+ */
+export function createStreamTokens({ secret, ttlSeconds = 120 } = {}) {
+  const key = secret || crypto.randomBytes(32).toString('hex');
+
+  function sign(callSid, expiresAt) {
+    return crypto
+      .createHmac('sha256', key)
+      .update(`${callSid}.${expiresAt}`)
+      .digest('base64url');
+  }
+
+  return {
+    issue(callSid) {
+      const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+      return `${expiresAt}.${sign(callSid, expiresAt)}`;
+    },
+    verify(token, callSid) {
+      if (!token || !callSid) return false;
+      const [expiresAt, signature] = String(token).split('.');
+      if (!signature || Number(expiresAt) < Date.now() / 1000) return false;
+      const expected = Buffer.from(sign(callSid, expiresAt));
+      const actual = Buffer.from(signature);
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    },
+  };
+}
@@ -0,0 +1,82 @@
+/*
+ * Twilio Media Streams helpers
+ *
+ * Twilio opens the media stream with a `connected` message followed by a
+ * `start` message that carries the call SID, the stream SID and any custom
+ * `<Parameter>` values from the TwiML.  We need those details before deciding
+ * whether (and how) to start a realtime session, but the Twilio transport
+ * layer only starts listening once the session connects and relies on seeing
+ * `start` itself to learn the stream SID.  `waitForStreamStart` therefore
+ * holds on to the raw frame so it can be replayed to the transport.
+ */
+
+/**
+ * Wait for the `start` message on a raw Twilio media stream socket.
+ *
+ * @param {import('ws').WebSocket} socket
+ * @param {number} [timeoutMs] How long to wait before giving up.
+ * @returns {Promise<{ start: object, replay: () => void }>} The `start`
+ *   payload and a function that re-emits the original frame to any listeners
+ *   registered since.
+ */
+export function waitForStreamStart(socket, timeoutMs = 10000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error('Timed out waiting for the Twilio start message'));
+    }, timeoutMs);
+
+    function onMessage(data, isBinary) {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+      if (message.event !== 'start') return;
+      cleanup();
+      resolve({
+        start: message.start,
+        replay: () => socket.emit('message', data, isBinary),
+      });
+    }
+
+    function onClose() {
+      cleanup();
+      reject(new Error('Media stream closed before the start message arrived'));
+    }
+
+    function cleanup() {
+      clearTimeout(timer);
+      socket.off('message', onMessage);
+      socket.off('close', onClose);
+    }
+
+    socket.on('message', onMessage);
+    socket.on('close', onClose);
+  });
+}
+
+// Escape a value for use inside a TwiML attribute.
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Render `<Parameter>` elements for a `<Stream>`.  Twilio passes these to the
+ * media stream as `start.customParameters`.  Empty values are skipped.
+ *
+ * @param {Record<string, string | undefined>} params
+ * @param {string} [indent]
+ */
+export function renderStreamParameters(params, indent = '      ') {
+  return Object.entries(params)
+    .filter(([, value]) => value != null && value !== '')
+    .map(([name, value]) => `${indent}<Parameter name="${escapeXml(name)}" value="${escapeXml(value)}" />`)
+    .join('\n');
+}
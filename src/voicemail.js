@@ -0,0 +1,162 @@
+import { escapeXml } from './twilioStream.js';
+
+/*
+ * Voicemail
+ *
+ * Callers who cannot speak to a person can leave a recorded message: after
+ * hours when the firm sends calls straight to voicemail, when nobody answers
+ * a warm transfer, when the realtime session cannot be started, and when the
+ * caller asks the agent to leave a message.  `record()` returns the TwiML that
+ * prompts for the message and `<Record>`s it.  Calls already connected to the
+ * media stream are moved into voicemail with `redirect()`, which points the
+ * live call (through the Twilio REST API, using its call SID) at
+ * `/voicemail/start`.  A caller who did not agree to be recorded can be
+ * moved there too, to hear the prompt and be let go without a recording.
+ *
+ * Twilio posts the finished recording to `/voicemail/recording`.  The call is
+ * ended straight away; the recording is then transcribed (see
+ * `transcription.js`) and passed to `onVoicemail` with the transcript, so the
+ * firm gets the audio link, the message text and the caller ID together.
+ *
+ * Details about the caller (the firm they called and why they ended up in
+ * voicemail) are held in memory keyed by call SID until the recording
+ * arrives, in the same way as a warm transfer.
+ */
+
+// How long caller details are kept while waiting for a recording.
+const PENDING_TTL_MS = 60 * 60 * 1000;
+
+// Longest message a caller can leave, in seconds.
+const MAX_MESSAGE_SECONDS = 120;
+
+const FALLBACK_VOICE = 'Polly.Joanna-Neural';
+
+function say(text, voice = FALLBACK_VOICE) {
+  return `  <Say voice="${escapeXml(voice)}">${escapeXml(text)}</Say>`;
+}
+
+function twiml(body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<Response>\n${body}\n</Response>`;
+}
+
+/**
+ * Create the voicemail helper.
+ *
+ * @param {object} options
+ * @param {import('twilio').Twilio | null} options.twilioClient Needed to
+ *   redirect live calls into voicemail.
+ * @param {{ transcribe: (recording: { recordingUrl: string }) => Promise<string | null> }} options.transcriber
+ * @param {(voicemail: object) => Promise<void>} options.onVoicemail Called
+ *   with `{ callSid, from, recordingUrl, durationSeconds, transcript, details }`
+ *   when a caller leaves a message.  `transcript` is null if transcription
+ *   failed or is switched off.
+ */
+export function createVoicemail({ twilioClient, transcriber, onVoicemail }) {
+  const pending = new Map();
+
+  function remember(callSid, voicemail) {
+    pending.set(callSid, voicemail);
+    setTimeout(() => pending.delete(callSid), PENDING_TTL_MS).unref();
+  }
+
+  function recordVerbs({ prompt, voice }) {
+    return [
+      say(prompt, voice),
+      `  <Record maxLength="${MAX_MESSAGE_SECONDS}" playBeep="true" action="/voicemail/recording" />`,
+      say('We did not receive a message. Goodbye.', voice),
+    ].join('\n');
+  }
+
+  async function deliver(recording, details) {
+    let transcript = null;
+    try {
+      transcript = await transcriber.transcribe({ recordingUrl: recording.recordingUrl });
+    } catch (error) {
+      console.error('Error transcribing voicemail:', error);
+    }
+    try {
+      await onVoicemail({ ...recording, transcript, details });
+    } catch (error) {
+      console.error('Error sending voicemail notification:', error);
+    }
+  }
+
+  return {
+    /** Whether live calls can be redirected into voicemail. */
+    isAvailable() {
+      return Boolean(twilioClient);
+    },
+
+    /**
+     * TwiML verbs (without `<Response>`) that ask the caller on `callSid` for
+     * a message and record it.
+     *
+     * @param {object} voicemail
+     * @param {string} voicemail.callSid The caller's call SID.
+     * @param {string} voicemail.prompt What to say before the tone.
+     * @param {string} [voicemail.voice] Polly voice for the prompts.
+     * @param {object} [voicemail.details] Passed on to `onVoicemail`.
+     */
+    record({ callSid, prompt, voice, details }) {
+      remember(callSid, { voice, details });
+      return recordVerbs({ prompt, voice });
+    },
+
+    /**
+     * Move a live call into voicemail.  This ends any media stream on the
+     * call.
+     *
+     * @param {object} voicemail As for `record()`, plus:
+     * @param {string} voicemail.publicBaseUrl Public origin of this server.
+     * @param {boolean} [voicemail.record] Set to `false` to say the prompt
+     *   and hang up without recording.
+     */
+    async redirect({ callSid, publicBaseUrl, prompt, voice, record = true, details }) {
+      remember(callSid, { prompt, voice, record, details });
+      await twilioClient.calls(callSid).update({
+        url: new URL('/voicemail/start', publicBaseUrl).toString(),
+        method: 'POST',
+      });
+    },
+
+    /**
+     * Fastify plugin serving the voicemail TwiML and recording callback.
+     * `preValidation` should be the Twilio signature hook.
+     */
+    routes: async function voicemailRoutes(fastify, { preValidation }) {
+      fastify.addHook('preValidation', preValidation);
+
+      // A live call redirected by `redirect()`.
+      fastify.post('/voicemail/start', async (request, reply) => {
+        const voicemail = pending.get(request.body?.CallSid);
+        const prompt =
+          voicemail?.prompt ??
+          'Please leave your name, number and a short message after the tone, and we will call you back.';
+        if (voicemail?.record === false) {
+          pending.delete(request.body.CallSid);
+          reply.type('text/xml').send(twiml(`${say(prompt, voicemail.voice)}\n  <Hangup />`));
+          return;
+        }
+        reply.type('text/xml').send(twiml(recordVerbs({ prompt, voice: voicemail?.voice })));
+      });
+
+      // Recording finished: end the call, then transcribe the message and
+      // notify the firm.  Twilio does not wait for the transcription.
+      fastify.post('/voicemail/recording', async (request, reply) => {
+        const { CallSid, From, RecordingUrl, RecordingDuration } = request.body ?? {};
+        const voicemail = pending.get(CallSid);
+        pending.delete(CallSid);
+        reply.type('text/xml').send(twiml(`${say('Thank you. Goodbye.', voicemail?.voice)}\n  <Hangup />`));
+        deliver(
+          {
+            callSid: CallSid,
+            from: From,
+            recordingUrl: RecordingUrl,
+            durationSeconds: Number(RecordingDuration),
+          },
+          voicemail?.details
+        );
+      });
+    },
+  };
+}
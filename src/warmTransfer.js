@@ -0,0 +1,160 @@
+import { escapeXml } from './twilioStream.js';
+
+/*
+ * Warm transfer to a human
+ *
+ * When the agent escalates, the caller's live call is redirected (through the
+ * Twilio REST API, using the call SID from the media stream) to
+ * `/transfer/connect`.  That TwiML replaces the media stream with a `<Dial>`
+ * to the human number of the firm that took the call.  Before the two legs are bridged the human hears
+ * a whisper from `/transfer/whisper` summarising why the caller escalated and
+ * how to reach them.  If nobody answers within the timeout, `<Dial>` falls
+ * through to `/transfer/dial-status`, which sends the caller to voicemail
+ * (see `voicemail.js`), unless they did not agree to be recorded.
+ *
+ * The number to dial, the voice and the escalation details are held in
+ * memory, keyed by the caller's call SID, for the lifetime of the transfer.  Twilio calls back the same server instance
+ * that redirected the call, so no shared storage is required.
+ */
+
+// How long escalation details are kept for the whisper and voicemail.
+const PENDING_TTL_MS = 60 * 60 * 1000;
+
+// Used when Twilio calls back about a transfer this server no longer knows
+// about, e.g. after a restart.
+const FALLBACK_VOICE = 'Polly.Joanna-Neural';
+
+function twiml(body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<Response>\n${body}\n</Response>`;
+}
+
+function whisperText(details) {
+  if (!details) {
+    return 'You have a call transferred from the virtual receptionist.';
+  }
+  return (
+    `Transferred call from the virtual receptionist. ` +
+    `The caller is ${details.clientName}, calling about: ${details.reason}. ` +
+    `Their callback number is ${details.clientPhone.split('').join(' ')}.`
+  );
+}
+
+/**
+ * Create the warm transfer helper.
+ *
+ * @param {object} options
+ * @param {import('twilio').Twilio | null} options.twilioClient
+ * @param {ReturnType<import('./voicemail.js').createVoicemail>} options.voicemail
+ *   Takes a message when nobody answers.
+ */
+export function createWarmTransfer({ twilioClient, voicemail }) {
+  const pending = new Map();
+
+  function say(text, voice = FALLBACK_VOICE) {
+    return `  <Say voice="${escapeXml(voice)}">${escapeXml(text)}</Say>`;
+  }
+
+  return {
+    /** Whether live transfers are possible at all. */
+    isAvailable() {
+      return Boolean(twilioClient);
+    },
+
+    /**
+     * Redirect the caller's live call into the transfer flow.
+     *
+     * @param {object} transfer
+     * @param {string} transfer.callSid The caller's call SID.
+     * @param {string} transfer.publicBaseUrl Public origin of this server.
+     * @param {string} transfer.humanNumber Number to dial for the transfer.
+     * @param {number} [transfer.timeoutSeconds] How long to ring before voicemail.
+     * @param {string} [transfer.voice] Polly voice for announcements.
+     * @param {object} transfer.details Escalation details for the whisper.
+     * @param {boolean} [transfer.voicemail] Set to `false` when the caller may
+     *   not be recorded; nobody answering then ends the call.
+     */
+    async transfer({
+      callSid,
+      publicBaseUrl,
+      humanNumber,
+      timeoutSeconds = 20,
+      voice,
+      details,
+      voicemail: offerVoicemail = true,
+    }) {
+      pending.set(callSid, { humanNumber, timeoutSeconds, voice, details, offerVoicemail });
+      setTimeout(() => pending.delete(callSid), PENDING_TTL_MS).unref();
+      await twilioClient.calls(callSid).update({
+        url: new URL('/transfer/connect', publicBaseUrl).toString(),
+        method: 'POST',
+      });
+    },
+
+    /**
+     * Fastify plugin serving the transfer TwiML.  `preValidation` should be
+     * the Twilio signature hook.
+     */
+    routes: async function transferRoutes(fastify, { preValidation }) {
+      fastify.addHook('preValidation', preValidation);
+
+      // Caller leg: hold message, then ring the human.  The whisper URL runs
+      // on the human's leg once they pick up, before the legs are bridged.
+      fastify.post('/transfer/connect', async (request, reply) => {
+        const transfer = pending.get(request.body?.CallSid);
+        if (!transfer) {
+          const body = [
+            say('I’m sorry, I could not connect your call. Please call back and ask to speak with our team.'),
+            '  <Hangup />',
+          ].join('\n');
+          reply.type('text/xml').send(twiml(body));
+          return;
+        }
+        const body = [
+          say('Please hold while I connect you with a member of our team.', transfer.voice),
+          `  <Dial timeout="${transfer.timeoutSeconds}" action="/transfer/dial-status">`,
+          `    <Number url="/transfer/whisper">${escapeXml(transfer.humanNumber)}</Number>`,
+          '  </Dial>',
+        ].join('\n');
+        reply.type('text/xml').send(twiml(body));
+      });
+
+      // Human leg: summarise the escalation.  Twilio sends the caller's SID
+      // as ParentCallSid on this request.
+      fastify.post('/transfer/whisper', async (request, reply) => {
+        const transfer = pending.get(request.body?.ParentCallSid);
+        reply.type('text/xml').send(twiml(say(whisperText(transfer?.details), transfer?.voice)));
+      });
+
+      // Caller leg again once the <Dial> ends.  Anything other than a
+      // completed conversation means nobody picked up.
+      fastify.post('/transfer/dial-status', async (request, reply) => {
+        const { CallSid: callSid, DialCallStatus: status } = request.body ?? {};
+        const transfer = pending.get(callSid);
+        pending.delete(callSid);
+        if (status === 'completed' || status === 'answered') {
+          reply.type('text/xml').send(twiml('  <Hangup />'));
+          return;
+        }
+        if (transfer?.offerVoicemail === false) {
+          const body = [
+            say(
+              'I’m sorry, nobody from our team is available right now. We have your details and will call you back.',
+              transfer.voice
+            ),
+            '  <Hangup />',
+          ].join('\n');
+          reply.type('text/xml').send(twiml(body));
+          return;
+        }
+        const body = voicemail.record({
+          callSid,
+          prompt:
+            'I’m sorry, nobody from our team is available right now. Please leave your name, number and a short message after the tone, and we will call you back.',
+          voice: transfer?.voice,
+          details: transfer && { ...transfer.details, kind: 'missed-transfer' },
+        });
+        reply.type('text/xml').send(twiml(body));
+      });
+    },
+  };
+}
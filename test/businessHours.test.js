@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createBusinessHours } from '../src/businessHours.js';
+
+const weekdays = ['09:00-12:00', '13:00-17:00'];
+
+const hours = createBusinessHours({
+  timeZone: 'America/Los_Angeles',
+  weekly: { monday: weekdays, tuesday: weekdays, wednesday: weekdays, thursday: weekdays, friday: ['09:00-17:00'] },
+  holidays: [
+    { date: '12-25', name: 'Christmas Day' },
+    { date: '12-31', name: 'New Year', daysAfter: 1 },
+    { date: '05-monday-last', name: 'Memorial Day' },
+    { date: '11-thursday-4', name: 'Thanksgiving' },
+    { date: '11-thursday-4', name: 'Day after Thanksgiving', daysAfter: 1 },
+    { date: '2026-10-12', name: 'Staff training' },
+  ],
+  closures: [{ start: '2026-10-16T12:00', end: '2026-10-16T14:00', reason: 'Office move' }],
+});
+
+describe('createBusinessHours', () => {
+  test('opens during the weekly windows only', () => {
+    // 2026-10-15 is a Thursday.
+    assert.equal(hours.isOpenAt('2026-10-15', '09:00'), true);
+    assert.equal(hours.isOpenAt('2026-10-15', '12:30'), false);
+    assert.equal(hours.isOpenAt('2026-10-15', '16:59'), true);
+    assert.equal(hours.isOpenAt('2026-10-15', '17:00'), false);
+    assert.equal(hours.isOpenAt('2026-10-17', '10:00'), false);
+  });
+
+  test('finds the nth and last weekday of a month', () => {
+    assert.equal(hours.isOpenAt('2026-11-26', '10:00'), false);
+    assert.equal(hours.isOpenAt('2026-11-19', '10:00'), true);
+    assert.equal(hours.isOpenAt('2027-11-25', '10:00'), false);
+    assert.equal(hours.isOpenAt('2026-05-25', '10:00'), false);
+    assert.equal(hours.isOpenAt('2026-05-18', '10:00'), true);
+    assert.equal(hours.isOpenAt('2027-05-31', '10:00'), false);
+  });
+
+  test('closes on fixed-date holidays, moved on by daysAfter, also into the next year', () => {
+    assert.equal(hours.isOpenAt('2026-12-25', '10:00'), false);
+    assert.equal(hours.isOpenAt('2026-11-27', '10:00'), false);
+    assert.equal(hours.isOpenAt('2027-01-01', '10:00'), false);
+    assert.equal(hours.isOpenAt('2026-12-31', '10:00'), true);
+    assert.equal(hours.isOpenAt('2026-10-12', '10:00'), false);
+    assert.equal(hours.isOpenAt('2027-10-12', '10:00'), true);
+  });
+
+  test('reports when an open office closes, early for a closure', () => {
+    assert.deepEqual(hours.statusAt(new Date('2026-10-15T17:00:00Z')), {
+      open: true,
+      reason: 'open',
+      note: null,
+      until: '12:00 PM',
+      reopens: null,
+      day: '2026-10-15',
+      reopensAt: null,
+    });
+    assert.equal(hours.statusAt(new Date('2026-10-16T17:00:00Z')).until, '12:00 PM');
+  });
+
+  test('reports why a closed office is closed and when it reopens', () => {
+    const evening = hours.statusAt(new Date('2026-10-16T01:00:00Z'));
+    assert.equal(evening.reason, 'after-hours');
+    assert.equal(evening.reopens, 'tomorrow at 9:00 AM');
+
+    const closure = hours.statusAt(new Date('2026-10-16T20:00:00Z'));
+    assert.deepEqual([closure.reason, closure.note, closure.reopens], ['closure', 'Office move', 'today at 2:00 PM']);
+
+    const thanksgiving = hours.statusAt(new Date('2026-11-26T18:00:00Z'));
+    assert.deepEqual(
+      [thanksgiving.reason, thanksgiving.note, thanksgiving.reopens, thanksgiving.reopensAt],
+      ['holiday', 'Thanksgiving', 'Monday, November 30 at 9:00 AM', { day: '2026-11-30', time: '09:00' }]
+    );
+  });
+
+  test('uses local time across a daylight saving change', () => {
+    // Clocks went back on 2026-11-01, so 9:30 AM is now 17:30 UTC.
+    assert.equal(hours.statusAt(new Date('2026-11-02T17:30:00Z')).open, true);
+    assert.equal(hours.statusAt(new Date('2026-11-02T16:30:00Z')).open, false);
+  });
+});
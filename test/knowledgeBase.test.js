@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { createKnowledgeBase, tokenize } from '../src/knowledgeBase.js';
+
+const FEES = `# Fees
+
+Intro text before any section.
+
+## Consultations
+
+A one-hour consultation costs $500, paid in advance.
+
+## Payment plans
+
+Payment plans are available for flat fee matters.
+
+## Payment plans
+
+Ask the firm about payment plans for litigation.
+`;
+
+const FAQ = [
+  { id: 'parking', question: 'Where do I park?', answer: 'Visitor parking is behind the office on Main Street.' },
+  { title: 'Easements', text: 'We advise on easements, boundaries and rights of way.' },
+];
+
+describe('tokenize', () => {
+  test('drops common words and folds simple plurals', () => {
+    assert.deepEqual(tokenize('What are the fees for easements?'), ['fee', 'easement']);
+    assert.deepEqual(tokenize('Business address, bus, rights'), ['business', 'address', 'bus', 'right']);
+  });
+});
+
+describe('createKnowledgeBase', () => {
+  let dir;
+  let knowledgeBase;
+
+  before(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'knowledge-'));
+    writeFileSync(path.join(dir, 'fees.md'), FEES);
+    writeFileSync(path.join(dir, 'faq.json'), JSON.stringify(FAQ));
+    writeFileSync(path.join(dir, 'notes.txt'), 'Not indexed: consultation parking easement.');
+    knowledgeBase = createKnowledgeBase(dir, { watch: false });
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('indexes one passage per heading or entry, with stable source IDs', () => {
+    assert.equal(knowledgeBase.size(), 6);
+    assert.deepEqual(
+      knowledgeBase.search('payment plans intro', { limit: 10 }).map((passage) => passage.id).sort(),
+      ['fees#fees', 'fees#payment-plans', 'fees#payment-plans-2']
+    );
+    const [{ score, ...parking }] = knowledgeBase.search('parking');
+    assert.ok(score > 0);
+    assert.deepEqual(parking, {
+      id: 'faq#parking',
+      title: 'Where do I park?',
+      text: 'Visitor parking is behind the office on Main Street.',
+    });
+  });
+
+  test('ranks the passage that matches the query best first', () => {
+    const results = knowledgeBase.search('How much is a one-hour consultation?');
+    assert.equal(results[0].id, 'fees#consultations');
+    assert.equal(results[0].title, 'Fees: Consultations');
+    assert.ok(results.every((result, index) => index === 0 || result.score <= results[index - 1].score));
+  });
+
+  test('weights rare terms above common ones', () => {
+    // "payment" is in three passages and "litigation" in one.
+    const [best] = knowledgeBase.search('payment litigation');
+    assert.equal(best.id, 'fees#payment-plans-2');
+  });
+
+  test('returns nothing for queries that share no terms with any passage', () => {
+    assert.deepEqual(knowledgeBase.search('the and of'), []);
+    assert.deepEqual(knowledgeBase.search('divorce custody'), []);
+  });
+
+  test('keeps to the limit', () => {
+    assert.equal(knowledgeBase.search('payment plans fees consultation parking', { limit: 2 }).length, 2);
+  });
+
+  test('shortens long passages at a word boundary', () => {
+    const longDir = mkdtempSync(path.join(tmpdir(), 'knowledge-'));
+    try {
+      writeFileSync(path.join(longDir, 'long.md'), `# Long\n\n${'probate '.repeat(200)}`);
+      const [result] = createKnowledgeBase(longDir, { watch: false }).search('probate');
+      assert.ok(result.text.length <= 701);
+      assert.match(result.text, /probate…$/);
+    } finally {
+      rmSync(longDir, { recursive: true, force: true });
+    }
+  });
+
+  test('names the file when a document cannot be read', () => {
+    const brokenDir = mkdtempSync(path.join(tmpdir(), 'knowledge-'));
+    try {
+      writeFileSync(path.join(brokenDir, 'faq.json'), JSON.stringify([{ question: 'Missing answer' }]));
+      assert.throws(
+        () => createKnowledgeBase(brokenDir, { watch: false }),
+        /^Error: faq\.json: entry 0 needs "title" and "text"/
+      );
+    } finally {
+      rmSync(brokenDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,181 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { openDatabase } from '../src/db.js';
+import { createOutbox } from '../src/outbox.js';
+import { createOutboxStore } from '../src/outboxStore.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const email = {
+  tenantId: 'firm',
+  channel: 'email',
+  event: 'booking_confirmation',
+  payload: { to: 'maria@example.com', subject: 'Booked' },
+};
+
+// Let the outbox's sweep run until `check` passes.
+async function until(check) {
+  for (let i = 0; i < 200 && !check(); i++) await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.ok(check(), 'timed out waiting for the outbox');
+}
+
+describe('outbox store', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createOutboxStore(openDatabase(':memory:'));
+  });
+
+  test('queues a message with a dedupe key only once, however late it comes again', () => {
+    const first = store.enqueue({ ...email, dedupeKey: 'confirmation:booking-1' });
+    const later = new Date(Date.now() + 30 * 24 * 60 * MINUTE_MS);
+    const changed = { ...email, payload: { ...email.payload, subject: 'Changed' }, dedupeKey: 'confirmation:booking-1' };
+    const again = store.enqueue(changed, { now: later });
+    assert.deepEqual(again, { id: first.id, duplicate: true });
+    assert.equal(store.listMessages().length, 1);
+  });
+
+  test('holds back identical messages without a key within the dedupe window only', () => {
+    const now = new Date();
+    const first = store.enqueue(email, { now });
+    assert.deepEqual(store.enqueue(email, { now: new Date(now.getTime() + 9 * MINUTE_MS) }), { id: first.id, duplicate: true });
+    assert.equal(store.enqueue({ ...email, channel: 'sms' }, { now }).duplicate, false);
+    assert.equal(store.enqueue({ ...email, tenantId: 'other' }, { now }).duplicate, false);
+    assert.equal(store.enqueue(email, { now: new Date(now.getTime() + 11 * MINUTE_MS) }).duplicate, false);
+  });
+
+  test('claims a due message once, counting the attempt', () => {
+    const { id } = store.enqueue(email);
+    assert.deepEqual(store.listDue().map((message) => message.id), [id]);
+    assert.equal(store.claim(id), true);
+    assert.equal(store.claim(id), false);
+    assert.equal(store.getMessage(id).status, 'sending');
+    assert.equal(store.getMessage(id).attempts, 1);
+  });
+
+  test('puts a failed message back for later, or among the dead letters', () => {
+    const { id } = store.enqueue(email);
+    store.claim(id);
+    const retryAt = new Date(Date.now() + MINUTE_MS);
+    store.markFailed(id, { error: new Error('SMTP down'), nextAttemptAt: retryAt });
+    assert.equal(store.getMessage(id).status, 'pending');
+    assert.equal(store.getMessage(id).lastError, 'Error: SMTP down');
+    assert.deepEqual(store.listDue(), []);
+    assert.equal(store.listDue(retryAt).length, 1);
+
+    store.claim(id, { now: retryAt });
+    store.markFailed(id, { error: 'SMTP down' });
+    assert.equal(store.getMessage(id).status, 'dead');
+    assert.deepEqual(store.listDue(retryAt), []);
+  });
+
+  test('replays only dead messages, with a fresh set of attempts', () => {
+    const { id } = store.enqueue(email);
+    assert.equal(store.replay(id), false);
+    store.claim(id);
+    store.markFailed(id, { error: 'SMTP down' });
+    assert.equal(store.replay(id), true);
+    assert.equal(store.getMessage(id).status, 'pending');
+    assert.equal(store.getMessage(id).attempts, 0);
+  });
+
+  test('requeues messages left sending by a restart', () => {
+    const { id } = store.enqueue(email);
+    store.claim(id);
+    assert.equal(store.releaseInterrupted(), 1);
+    assert.equal(store.getMessage(id).status, 'pending');
+  });
+});
+
+describe('createOutbox', () => {
+  let store;
+  let timer;
+  let deliveries;
+  let failures;
+  let settled;
+
+  function startOutbox(options = {}) {
+    const outbox = createOutbox({
+      store,
+      tenants: { get: (id) => ({ id }) },
+      channels: {
+        email: async (payload, tenant) => {
+          deliveries.push({ payload, tenant });
+          if (failures-- > 0) throw new Error('SMTP down');
+        },
+      },
+      onSettled: (message, status) => settled.push(`${message.id} ${status}`),
+      ...options,
+    });
+    timer = outbox.start({ intervalMs: 10 });
+    return outbox;
+  }
+
+  beforeEach((t) => {
+    store = createOutboxStore(openDatabase(':memory:'));
+    deliveries = [];
+    failures = 0;
+    settled = [];
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+    t.after(() => clearInterval(timer));
+  });
+
+  test('sends a message as soon as it is queued, and a duplicate not at all', async () => {
+    const outbox = startOutbox();
+    const { id } = outbox.enqueue({ ...email, dedupeKey: 'confirmation:booking-1' });
+    assert.equal(outbox.enqueue({ ...email, dedupeKey: 'confirmation:booking-1' }).duplicate, true);
+    await until(() => settled.length === 1);
+    assert.deepEqual(settled, [`${id} sent`]);
+    assert.deepEqual(deliveries, [{ payload: email.payload, tenant: { id: 'firm' } }]);
+    assert.equal(outbox.getMessage(id).status, 'sent');
+  });
+
+  test('backs off exponentially between attempts', async () => {
+    failures = 2;
+    const outbox = startOutbox();
+    const { id } = outbox.enqueue(email);
+    const delayAfter = async (attempts) => {
+      await until(() => outbox.getMessage(id).attempts === attempts && outbox.getMessage(id).status === 'pending');
+      const message = outbox.getMessage(id);
+      assert.equal(message.lastError, 'SMTP down');
+      return new Date(message.nextAttemptAt) - new Date(message.updatedAt);
+    };
+    assert.ok(Math.abs((await delayAfter(1)) - 30 * 1000) < 1000);
+    // Make the retry due now rather than waiting for it.
+    store.markFailed(id, { error: 'SMTP down', nextAttemptAt: new Date() });
+    assert.ok(Math.abs((await delayAfter(2)) - 60 * 1000) < 1000);
+    store.markFailed(id, { error: 'SMTP down', nextAttemptAt: new Date() });
+    await until(() => settled.length === 1);
+    assert.deepEqual(settled, [`${id} sent`]);
+    assert.equal(deliveries.length, 3);
+  });
+
+  test('makes a dead letter after the last attempt, which can be replayed', async () => {
+    failures = 1;
+    const outbox = startOutbox({ maxAttempts: 1 });
+    const { id } = outbox.enqueue(email);
+    await until(() => settled.length === 1);
+    assert.deepEqual(settled, [`${id} dead`]);
+    assert.equal(outbox.getMessage(id).status, 'dead');
+    assert.equal(console.error.mock.callCount(), 1);
+
+    assert.equal(outbox.replay(id).id, id);
+    await until(() => settled.length === 2);
+    assert.equal(settled[1], `${id} sent`);
+    assert.equal(outbox.replay(id), null);
+  });
+
+  test('sends messages interrupted by a restart when it starts', async () => {
+    const { id } = store.enqueue(email);
+    store.claim(id);
+    startOutbox();
+    await until(() => settled.length === 1);
+    assert.equal(store.getMessage(id).status, 'sent');
+  });
+
+  test('refuses channels it cannot send on', () => {
+    const outbox = startOutbox();
+    assert.throws(() => outbox.enqueue({ ...email, channel: 'fax' }), /Unknown outbox channel fax/);
+  });
+});
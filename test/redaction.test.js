@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createRedactor, describeCounts, luhnValid } from '../src/redaction.js';
+
+describe('luhnValid', () => {
+  test('accepts card numbers that pass the check', () => {
+    assert.equal(luhnValid('4242424242424242'), true);
+    assert.equal(luhnValid('378282246310005'), true);
+  });
+
+  test('rejects numbers that fail it, and empty input', () => {
+    assert.equal(luhnValid('4242424242424241'), false);
+    assert.equal(luhnValid(''), false);
+  });
+});
+
+describe('createRedactor', () => {
+  const { redact, redactValue } = createRedactor();
+
+  test('masks card numbers written with spaces or dashes', () => {
+    const counts = {};
+    assert.equal(
+      redact('It is 4242 4242 4242 4242, or 4000-0566-5566-5556.', counts),
+      'It is [card number redacted], or [card number redacted].'
+    );
+    assert.deepEqual(counts, { card_number: 2 });
+  });
+
+  test('leaves long numbers that fail the Luhn check alone', () => {
+    assert.equal(redact('Reference 4242424242424241'), 'Reference 4242424242424241');
+  });
+
+  test('masks dashed and spaced SSNs, and bare ones after "social security"', () => {
+    const counts = {};
+    assert.equal(
+      redact('Mine is 123-45-6789, hers 123 45 6780 and my social security number is 123456788.', counts),
+      'Mine is [SSN redacted], hers [SSN redacted] and my social security number is [SSN redacted].'
+    );
+    assert.deepEqual(counts, { ssn: 3 });
+  });
+
+  test('leaves phone numbers, amounts, invalid SSNs and mixed separators alone', () => {
+    const text = 'Call 415-555-0100 about the $1,250.00 invoice; 000-12-3456 and 123-45 6789 are not SSNs.';
+    assert.equal(redact(text), text);
+  });
+
+  test('masks routing numbers only when they pass the ABA checksum', () => {
+    assert.equal(redact('The routing number is 021000021.'), 'The routing number is [routing number redacted].');
+    assert.equal(redact('The routing number is 021000022.'), 'The routing number is 021000022.');
+  });
+
+  test('masks bank accounts, dates of birth and PINs only next to their keywords', () => {
+    assert.equal(
+      redact('Account number 12345678, born March 4, 1980, PIN 4321.'),
+      'Account number [bank account number redacted], born [date of birth redacted], PIN [PIN redacted].'
+    );
+    assert.equal(redact('Room 12345678 on March 4, 1980 at 4321 Main St.'), 'Room 12345678 on March 4, 1980 at 4321 Main St.');
+  });
+
+  test('masks the values of sensitive keys outright in tool arguments', () => {
+    const counts = {};
+    const input = { clientName: 'Maria', dateOfBirth: '1980-03-04', pin: 4321, notes: ['card 4242424242424242'] };
+    assert.deepEqual(redactValue(input, counts), {
+      clientName: 'Maria',
+      dateOfBirth: '[date of birth redacted]',
+      pin: '[PIN redacted]',
+      notes: ['card [card number redacted]'],
+    });
+    assert.deepEqual(counts, { date_of_birth: 1, pin: 1, card_number: 1 });
+  });
+
+  test('follows the policy: mask, disabled detectors and custom rules', () => {
+    const redactor = createRedactor({
+      mask: '[{{label}} ending {{last4}}]',
+      types: { card_number: true, ssn: false, bank_account: true, routing_number: true, date_of_birth: true, pin: true },
+      fields: {},
+      custom: [{ name: 'case_number', label: 'case number', pattern: 'CV-\\d{6}' }],
+    });
+    assert.equal(
+      redactor.redact('Card 4242424242424242, SSN 123-45-6789, case CV-123456.'),
+      'Card [card number ending 4242], SSN 123-45-6789, case [case number ending 3456].'
+    );
+  });
+});
+
+describe('describeCounts', () => {
+  test('lists what was masked, or null when nothing was', () => {
+    assert.equal(describeCounts({ card_number: 2, ssn: 1, pin: 0 }), 'card number: 2, SSN: 1');
+    assert.equal(describeCounts({}), null);
+  });
+});
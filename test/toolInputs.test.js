@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { normalizeDate, normalizeEmail, normalizePhone, normalizeTime, normalizeToolInput } from '../src/toolInputs.js';
+
+// A Thursday.
+const today = '2026-10-15';
+
+function dateOf(input, day = today) {
+  const result = normalizeDate(input, { today: day });
+  return result.value ?? result.error.code;
+}
+
+describe('normalizeDate', () => {
+  test('resolves relative days against today', () => {
+    assert.equal(dateOf('today'), '2026-10-15');
+    assert.equal(dateOf('tomorrow'), '2026-10-16');
+    assert.equal(dateOf('day after tomorrow'), '2026-10-17');
+    assert.equal(dateOf('in 3 days'), '2026-10-18');
+    assert.equal(dateOf('in two weeks'), '2026-10-29');
+  });
+
+  test('takes a weekday as the next one, and "this" weekday as today', () => {
+    assert.equal(dateOf('Tuesday'), '2026-10-20');
+    assert.equal(dateOf('next Tuesday'), '2026-10-20');
+    assert.equal(dateOf('Thursday'), '2026-10-22');
+    assert.equal(dateOf('this Thursday'), '2026-10-15');
+  });
+
+  test('reads month and day in either order, rolling past dates into next year', () => {
+    assert.equal(dateOf('October 26'), '2026-10-26');
+    assert.equal(dateOf('26th of October'), '2026-10-26');
+    assert.equal(dateOf('10/26'), '2026-10-26');
+    assert.equal(dateOf('Oct. 1'), '2027-10-01');
+    assert.equal(dateOf('10/26/27'), '2027-10-26');
+    assert.equal(dateOf('2026-10-01'), '2026-10-01');
+  });
+
+  test('takes a day of the month on its own as the next such date', () => {
+    assert.equal(dateOf('the 27th'), '2026-10-27');
+    assert.equal(dateOf('the 14th'), '2026-11-14');
+    assert.equal(dateOf('the 31st', '2026-11-15'), '2026-12-31');
+  });
+
+  test('checks a weekday given with a date', () => {
+    assert.equal(dateOf('Tuesday, October 27'), '2026-10-27');
+    assert.equal(dateOf('Wednesday, October 27'), 'weekday_mismatch');
+  });
+
+  test('rejects dates that do not exist or are not dates', () => {
+    assert.equal(dateOf('February 30'), 'unrecognised_date');
+    assert.equal(dateOf('2026-02-29'), 'unrecognised_date');
+    assert.equal(dateOf('soon'), 'unrecognised_date');
+  });
+});
+
+describe('normalizeTime', () => {
+  function timeOf(input) {
+    const result = normalizeTime(input);
+    return result.value ?? result.error.code;
+  }
+
+  test('reads 12-hour, 24-hour and spoken times', () => {
+    assert.equal(timeOf('3pm'), '15:00');
+    assert.equal(timeOf('3:30 P.M.'), '15:30');
+    assert.equal(timeOf('12am'), '00:00');
+    assert.equal(timeOf('12pm'), '12:00');
+    assert.equal(timeOf('noon'), '12:00');
+    assert.equal(timeOf('7 in the evening'), '19:00');
+    assert.equal(timeOf('15:00'), '15:00');
+    assert.equal(timeOf('09:00'), '09:00');
+  });
+
+  test('asks again when morning or afternoon is not clear', () => {
+    assert.equal(timeOf('3'), 'ambiguous_time');
+    assert.equal(timeOf('3:00'), 'ambiguous_time');
+    assert.equal(timeOf('3ish'), 'unrecognised_time');
+    assert.equal(timeOf('13pm'), 'unrecognised_time');
+  });
+});
+
+describe('normalizePhone', () => {
+  function phoneOf(input) {
+    const result = normalizePhone(input);
+    return result.value ?? result.error.code;
+  }
+
+  test('puts US numbers in E.164 form', () => {
+    assert.equal(phoneOf('(510) 555-1234'), '+15105551234');
+    assert.equal(phoneOf('1-510-555-1234'), '+15105551234');
+    assert.equal(phoneOf('+1 510.555.1234'), '+15105551234');
+  });
+
+  test('keeps international numbers given with + or 011', () => {
+    assert.equal(phoneOf('+44 20 7946 0958'), '+442079460958');
+    assert.equal(phoneOf('011 44 20 7946 0958'), '+442079460958');
+  });
+
+  test('rejects incomplete numbers and impossible US ones', () => {
+    assert.equal(phoneOf('555-1234'), 'invalid_phone');
+    assert.equal(phoneOf('(510) 155-1234'), 'invalid_phone');
+    assert.equal(phoneOf('(010) 555-1234'), 'invalid_phone');
+    assert.equal(phoneOf('call me'), 'invalid_phone');
+  });
+});
+
+describe('normalizeEmail', () => {
+  const exists = async () => true;
+
+  test('turns spoken addresses into addresses', async () => {
+    assert.deepEqual(await normalizeEmail('Maria at Gmail dot com', { domainExists: exists }), { value: 'maria@gmail.com' });
+  });
+
+  test('catches domain typos, bad syntax and domains without mail', async () => {
+    assert.equal((await normalizeEmail('maria@gmial.com', { domainExists: exists })).error.code, 'email_domain_typo');
+    assert.equal((await normalizeEmail('maria@', { domainExists: exists })).error.code, 'invalid_email');
+    const missing = await normalizeEmail('maria@example.invalid', { domainExists: async () => false });
+    assert.equal(missing.error.code, 'unknown_email_domain');
+  });
+});
+
+describe('normalizeToolInput', () => {
+  // 10:00 in Los Angeles on the Thursday above.
+  const options = { timeZone: 'America/Los_Angeles', now: new Date('2026-10-15T17:00:00Z'), domainExists: async () => true };
+
+  function problems(result) {
+    return JSON.parse(result.error).fields.map(({ field, code }) => `${field}: ${code}`);
+  }
+
+  test('normalises each field it knows and leaves the rest alone', async () => {
+    const input = { date: 'tomorrow', time: '3pm', clientPhone: '510 555 1234', clientEmail: null, clientName: 'Maria' };
+    assert.deepEqual(await normalizeToolInput(input, options), {
+      input: { date: '2026-10-16', time: '15:00', clientPhone: '+15105551234', clientEmail: null, clientName: 'Maria' },
+    });
+  });
+
+  test('lists every field that could not be used', async () => {
+    const result = await normalizeToolInput({ date: 'soon', time: '3', clientPhone: '555-1234' }, options);
+    assert.deepEqual(problems(result), ['date: unrecognised_date', 'time: ambiguous_time', 'clientPhone: invalid_phone']);
+  });
+
+  test('rejects past dates and times in the office time zone', async () => {
+    assert.deepEqual(problems(await normalizeToolInput({ date: 'October 1 2026' }, options)), ['date: past_date']);
+    assert.deepEqual(problems(await normalizeToolInput({ date: 'today', time: '9am' }, options)), ['time: past_time']);
+    assert.deepEqual(await normalizeToolInput({ date: 'today', time: '11am' }, options), {
+      input: { date: '2026-10-15', time: '11:00' },
+    });
+  });
+
+  test('checks office hours when asked to', async () => {
+    const isBookable = (day, time) => time >= '09:00' && time < '17:00';
+    const result = await normalizeToolInput({ date: 'tomorrow', time: '6pm' }, { ...options, isBookable });
+    assert.deepEqual(problems(result), ['time: outside_office_hours']);
+  });
+});